@@ -1,5 +1,6 @@
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const contentDisposition = require('../utils/contentDisposition');
 
 // Initialize AWS S3 Client
 const s3Client = new S3Client({
@@ -22,29 +23,30 @@ const uploadToS3 = async (file, fileName) => {
       Key: `resources/${fileName}`,
       Body: file.buffer,
       ContentType: file.mimetype,
-      ACL: 'public-read', // Make file publicly accessible
+      // Objects stay private; they are only shared through signed URLs
     };
 
     const command = new PutObjectCommand(uploadParams);
     await s3Client.send(command);
     
-    // Return public URL
-    const publicUrl = `https://${BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/resources/${fileName}`;
-    console.log('File uploaded successfully, URL:', publicUrl);
+    // Return the object URL (not readable without a signature)
+    const objectUrl = `https://${BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/resources/${fileName}`;
+    console.log('File uploaded successfully, URL:', objectUrl);
     
-    return publicUrl;
+    return objectUrl;
   } catch (error) {
     console.error('S3 upload error:', error);
     throw new Error(`Failed to upload file to S3: ${error.message}`);
   }
 };
 
-// Generate signed URL for private files (if needed)
-const getSignedUrlForFile = async (fileName, expiresIn = 3600) => {
+// Generate signed URL for private files; downloadName makes browsers save it under that name
+const getSignedUrlForFile = async (fileName, expiresIn = 3600, downloadName) => {
   try {
     const command = new GetObjectCommand({
       Bucket: BUCKET_NAME,
       Key: `resources/${fileName}`,
+      ResponseContentDisposition: downloadName ? contentDisposition('attachment', downloadName) : undefined,
     });
     
     const signedUrl = await getSignedUrl(s3Client, command, { expiresIn });
@@ -55,9 +57,42 @@ const getSignedUrlForFile = async (fileName, expiresIn = 3600) => {
   }
 };
 
+// Get a readable stream for a file stored in S3
+const getS3Stream = async (fileName) => {
+  try {
+    const command = new GetObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: `resources/${fileName}`,
+    });
+
+    const response = await s3Client.send(command);
+    return response.Body;
+  } catch (error) {
+    console.error('S3 download error:', error);
+    throw new Error(`Failed to read file from S3: ${error.message}`);
+  }
+};
+
+// Delete file from S3
+const deleteFromS3 = async (fileName) => {
+  try {
+    const command = new DeleteObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: `resources/${fileName}`,
+    });
+
+    await s3Client.send(command);
+  } catch (error) {
+    console.error('S3 delete error:', error);
+    throw new Error(`Failed to delete file from S3: ${error.message}`);
+  }
+};
+
 module.exports = {
   s3Client,
   uploadToS3,
   getSignedUrlForFile,
+  getS3Stream,
+  deleteFromS3,
   BUCKET_NAME
 };
@@ -0,0 +1,15 @@
+const cloudinary = require('cloudinary').v2;
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const FOLDER = 'examprepshare';
+
+module.exports = {
+  cloudinary,
+  FOLDER
+};
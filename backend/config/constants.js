@@ -0,0 +1,79 @@
+// Values shared between models, validators and upload handling
+
+const EXAM_CATEGORIES = ['UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other'];
+
+const SECTIONS = ['General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other'];
+
+const FILE_TYPES = ['pdf', 'doc', 'docx', 'txt', 'jpg', 'jpeg', 'png', 'other'];
+
+// Levels of the syllabus taxonomy from the root down, e.g.
+// JEE → Advanced Paper 1 → Physics → Rotational Mechanics
+const TAXONOMY_LEVELS = ['exam', 'paper', 'subject', 'topic'];
+
+// A resource is only visible once its file has passed the malware scan
+const RESOURCE_STATUSES = ['pending_scan', 'published', 'quarantined'];
+
+// Who may see a resource besides its owner: nobody while it is a draft or
+// scheduled for later, everyone once it is public
+const RESOURCE_VISIBILITIES = ['draft', 'scheduled', 'public'];
+
+// Accepted upload mimetypes and the file type stored for each
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/plain': 'txt',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png'
+};
+
+// Mimetype assumed for files that arrive without one (e.g. inside a ZIP)
+const EXTENSION_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+// Content type served for each stored file type
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain; charset=utf-8',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB limit
+
+// Files a resource can hold besides its main file
+const MAX_ATTACHMENTS = 20;
+
+// Photographed pages that can be combined into one PDF
+const MAX_PAGE_PHOTOS = 50;
+const MAX_PAGE_PHOTOS_SIZE = 100 * 1024 * 1024; // 100MB for all photos together
+
+const INVALID_FILE_TYPE_MESSAGE = 'Invalid file type. Only PDF, DOC, DOCX, TXT, JPG, PNG files are allowed.';
+
+module.exports = {
+  EXAM_CATEGORIES,
+  SECTIONS,
+  FILE_TYPES,
+  TAXONOMY_LEVELS,
+  RESOURCE_STATUSES,
+  RESOURCE_VISIBILITIES,
+  MIME_TYPES,
+  EXTENSION_MIME_TYPES,
+  CONTENT_TYPES,
+  MAX_FILE_SIZE,
+  MAX_ATTACHMENTS,
+  MAX_PAGE_PHOTOS,
+  MAX_PAGE_PHOTOS_SIZE,
+  INVALID_FILE_TYPE_MESSAGE
+};
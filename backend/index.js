@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
+const { INVALID_FILE_TYPE_MESSAGE } = require('./config/constants');
 
 // Load environment variables
 dotenv.config();
@@ -11,6 +12,11 @@ connectDB();
 
 const app = express();
 
+// Number of reverse proxies in front of the API, so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Middleware
 // CORS configuration
 app.use(cors({
@@ -22,10 +28,25 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Serve signed download links when files are stored on the local disk
+const storage = require('./storage').getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', storage.middleware());
+}
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/resources/bulk', require('./routes/bulkImport'));
+app.use('/api/resources/:id/versions', require('./routes/versions'));
+app.use('/api/resources/:id/attachments', require('./routes/attachments'));
 app.use('/api/resources', require('./routes/resources'));
+app.use('/api/uploads', require('./routes/uploads'));
 app.use('/api/ratings', require('./routes/ratings'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/drafts', require('./routes/drafts'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/taxonomy', require('./routes/taxonomy'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -43,8 +64,16 @@ app.use((err, req, res, next) => {
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({ message: 'File too large. Maximum size is 50MB.' });
   }
+
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({ message: 'Too many files, or a file sent in an unexpected field' });
+  }
+  
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body too large' });
+  }
   
-  if (err.message === 'Invalid file type. Only PDF, DOC, DOCX, TXT, JPG, PNG files are allowed.') {
+  if (err.message === INVALID_FILE_TYPE_MESSAGE) {
     return res.status(400).json({ message: err.message });
   }
   
@@ -66,4 +95,20 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📚 ExamPrepShare API is ready!`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Uploads are held back as pending until a scanner is configured
+  try {
+    console.log(`🛡️  Malware scanner: ${require('./scanners').getScannerName()}`);
+  } catch (error) {
+    console.warn(`⚠️  ${error.message}. Uploads stay pending until an admin releases them.`);
+  }
+
+  // Purge resources that stayed in the trash past the retention window
+  require('./services/trash').startPurgeJob();
+
+  // Make scheduled resources public once their publish time has come
+  require('./services/publishing').startPublishJob();
+
+  // Delete the temporary files of abandoned chunked uploads
+  require('./services/uploads').startSweepJob();
 });
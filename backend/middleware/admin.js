@@ -0,0 +1,20 @@
+const User = require('../models/User');
+
+// Allow only admins through. Must run after the auth middleware.
+const admin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = admin;
@@ -0,0 +1,44 @@
+const path = require('path');
+const multer = require('multer');
+
+const MAX_ARCHIVE_SIZE_MB = parseInt(process.env.BULK_MAX_SIZE_MB) || 200;
+
+// Field name -> accepted file extensions
+const BULK_FIELDS = {
+  archive: ['.zip'],
+  manifest: ['.csv', '.json']
+};
+
+// Bulk imports take a ZIP archive plus an optional manifest file.
+// Browsers disagree on the mimetypes of these, so the extension is checked.
+const parseFields = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ARCHIVE_SIZE_MB * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    const extensions = BULK_FIELDS[file.fieldname] || [];
+    if (extensions.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid bulk upload. Send a .zip archive and a .csv or .json manifest.'));
+    }
+  }
+}).fields([
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 }
+]);
+
+// Answer upload errors here; the global handler's messages are about single files
+const bulkUpload = (req, res, next) => {
+  parseFields(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: `Archive too large. Maximum size is ${MAX_ARCHIVE_SIZE_MB}MB.` });
+    }
+    res.status(400).json({ message: error.message });
+  });
+};
+
+module.exports = bulkUpload;
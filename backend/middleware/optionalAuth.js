@@ -0,0 +1,20 @@
+const jwt = require('jsonwebtoken');
+
+// Like auth, but lets anonymous requests through; req.userId is only set
+// when a valid token is sent
+const optionalAuth = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      req.userId = decoded.userId;
+    } catch (error) {
+      // Treat an invalid token as an anonymous request
+    }
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
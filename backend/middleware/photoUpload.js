@@ -0,0 +1,25 @@
+const upload = require('./upload');
+const { MAX_PAGE_PHOTOS, MAX_PAGE_PHOTOS_SIZE } = require('../config/constants');
+
+const parsePages = upload.array('pages', MAX_PAGE_PHOTOS);
+
+// Page photos are kept in memory until they are combined, so the whole
+// request is capped, not just each photo. Node stops reading a body at its
+// Content-Length, which makes the header enough to go by.
+const photoUpload = (req, res, next) => {
+  const length = parseInt(req.headers['content-length']);
+
+  if (!length) {
+    return res.status(411).json({ message: 'Content-Length header is required' });
+  }
+
+  if (length > MAX_PAGE_PHOTOS_SIZE) {
+    return res.status(413).json({
+      message: `Photos too large. All pages together can be at most ${MAX_PAGE_PHOTOS_SIZE / (1024 * 1024)}MB.`
+    });
+  }
+
+  parsePages(req, res, next);
+};
+
+module.exports = photoUpload;
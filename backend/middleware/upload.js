@@ -0,0 +1,19 @@
+const multer = require('multer');
+const { MIME_TYPES, MAX_FILE_SIZE, INVALID_FILE_TYPE_MESSAGE } = require('../config/constants');
+
+// Keep uploads in memory; the configured storage driver persists them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (MIME_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error(INVALID_FILE_TYPE_MESSAGE));
+    }
+  }
+});
+
+module.exports = upload;
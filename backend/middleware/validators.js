@@ -0,0 +1,55 @@
+const { body } = require('express-validator');
+const { EXAM_CATEGORIES, SECTIONS } = require('../config/constants');
+
+// A publish time, when given, has to lie ahead
+const publishAtValidator = () => body('publishAt')
+  .optional({ values: 'falsy' })
+  .isISO8601().withMessage('Publish time must be a valid date')
+  .toDate()
+  .custom((date) => date > new Date()).withMessage('Publish time must be in the future');
+
+// Validation rules for resource metadata (title, description, category, section, syllabus node,
+// label of the file, watermark setting, publish time and the draft it finishes)
+const resourceValidators = [
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5-200 characters'),
+  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10-1000 characters'),
+  body('examCategory').isIn(EXAM_CATEGORIES).withMessage('Invalid exam category'),
+  body('section').isIn(SECTIONS).withMessage('Invalid section'),
+  body('taxonomy').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid syllabus node'),
+  body('fileLabel').optional().trim().isLength({ max: 100 }).withMessage('File label cannot exceed 100 characters'),
+  body('watermarkDownloads').optional().isBoolean().withMessage('Watermark setting must be true or false').toBoolean(),
+  publishAtValidator(),
+  body('draftId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid draft')
+];
+
+// Same rules with every field optional, for partial updates. An empty
+// publish time publishes a scheduled resource right away.
+const resourceUpdateValidators = [
+  body('title').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5-200 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10-1000 characters'),
+  body('examCategory').optional().isIn(EXAM_CATEGORIES).withMessage('Invalid exam category'),
+  body('section').optional().isIn(SECTIONS).withMessage('Invalid section'),
+  body('taxonomy').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid syllabus node'),
+  body('fileLabel').optional().trim().isLength({ max: 100 }).withMessage('File label cannot exceed 100 characters'),
+  body('watermarkDownloads').optional().isBoolean().withMessage('Watermark setting must be true or false').toBoolean(),
+  publishAtValidator()
+];
+
+// Drafts can be saved half filled in, so only the limits apply
+const draftValidators = [
+  body('title').optional().trim().isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('examCategory').optional().isIn(EXAM_CATEGORIES).withMessage('Invalid exam category'),
+  body('section').optional().isIn(SECTIONS).withMessage('Invalid section'),
+  body('taxonomy').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid syllabus node'),
+  body('tags').optional().isString().withMessage('Tags must be text'),
+  body('fileLabel').optional().trim().isLength({ max: 100 }).withMessage('File label cannot exceed 100 characters'),
+  body('watermarkDownloads').optional().isBoolean().withMessage('Watermark setting must be true or false').toBoolean(),
+  body('publishAt').optional({ values: 'falsy' }).isISO8601().withMessage('Publish time must be a valid date').toDate()
+];
+
+module.exports = {
+  resourceValidators,
+  resourceUpdateValidators,
+  draftValidators
+};
@@ -17,6 +17,11 @@ const ratingSchema = new mongoose.Schema({
     min: 1,
     max: 5
   },
+  // Version of the resource's file the rating was left on
+  version: {
+    type: Number,
+    default: 1
+  },
   review: {
     type: String,
     trim: true,
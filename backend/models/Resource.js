@@ -1,44 +1,148 @@
 const mongoose = require('mongoose');
+const { EXAM_CATEGORIES, SECTIONS, FILE_TYPES, RESOURCE_STATUSES, RESOURCE_VISIBILITIES } = require('../config/constants');
+
+// An extra file of a bundle (e.g. the answer key of a paper or a chapter
+// of a book). The resource's own file fields hold the main file.
+const attachmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  fileUrl: {
+    type: String,
+    required: [true, 'File URL is required']
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  fileType: {
+    type: String,
+    required: true,
+    enum: FILE_TYPES
+  },
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3', 'cloudinary', 'firebase']
+  },
+  storageKey: {
+    type: String
+  },
+  contentHash: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+attachmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.fileUrl;
+    return ret;
+  }
+});
+
+// Drafts are saved from the upload form before a file is chosen, so
+// they may lack the details every other resource has
+function isComplete() {
+  return this.visibility !== 'draft';
+}
 
 const resourceSchema = new mongoose.Schema({
   title: {
     type: String,
-    required: [true, 'Title is required'],
+    required: [isComplete, 'Title is required'],
     trim: true,
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
   description: {
     type: String,
-    required: [true, 'Description is required'],
+    required: [isComplete, 'Description is required'],
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
   examCategory: {
     type: String,
-    required: [true, 'Exam category is required'],
-    enum: ['UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other']
+    required: [isComplete, 'Exam category is required'],
+    enum: EXAM_CATEGORIES
   },
   section: {
     type: String,
-    required: [true, 'Section is required'],
-    enum: ['General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other']
+    required: [isComplete, 'Section is required'],
+    enum: SECTIONS
   },
   fileUrl: {
     type: String,
-    required: [true, 'File URL is required']
+    required: [isComplete, 'File URL is required']
   },
   fileName: {
     type: String,
-    required: [true, 'File name is required']
+    required: [isComplete, 'File name is required']
   },
   fileSize: {
     type: Number,
-    required: true
+    required: isComplete
   },
   fileType: {
     type: String,
-    required: true,
-    enum: ['pdf', 'doc', 'docx', 'txt', 'jpg', 'jpeg', 'png', 'other']
+    required: isComplete,
+    enum: FILE_TYPES
+  },
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3', 'cloudinary', 'firebase']
+  },
+  storageKey: {
+    type: String
+  },
+  contentHash: {
+    type: String
+  },
+  // Optional label of the main file, shown when the resource has attachments
+  fileLabel: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  // Further files in the order they are listed and zipped
+  attachments: [attachmentSchema],
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  // New uploads start as pending_scan; resources created before scanning
+  // existed have no stored status and count as published
+  status: {
+    type: String,
+    enum: RESOURCE_STATUSES,
+    default: 'published'
+  },
+  // Drafts are only seen by their owner; scheduled resources become public
+  // at publishAt. Resources created before drafts existed have no value and
+  // count as public.
+  visibility: {
+    type: String,
+    enum: RESOURCE_VISIBILITIES,
+    default: 'public'
+  },
+  publishAt: {
+    type: Date
+  },
+  // Result of the last malware scan of the current file
+  scan: {
+    scanner: String,
+    result: {
+      type: String,
+      enum: ['clean', 'infected', 'error', 'released']
+    },
+    signature: String,
+    error: String,
+    scannedAt: Date
   },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -55,17 +159,95 @@ const resourceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Counters derived from ResourceEvent records (repeats are not counted)
   downloadCount: {
     type: Number,
     default: 0
   },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  // Text extracted from the file for search (not returned by default)
+  extractedText: {
+    type: String,
+    select: false
+  },
+  textExtractedAt: {
+    type: Date
+  },
+  // Text recognized in photos and scanned PDFs, which the owner can
+  // correct (not returned by default)
+  ocrText: {
+    type: String,
+    select: false
+  },
+  ocr: {
+    status: {
+      type: String,
+      enum: ['done', 'failed']
+    },
+    languages: String,
+    // Average confidence of the recognized pages, 0-100
+    confidence: Number,
+    error: String,
+    // Storage keys of the files the text was recognized from
+    sourceKeys: [String],
+    processedAt: Date,
+    editedAt: Date
+  },
+  // Thumbnail and first-page images generated after upload
+  preview: {
+    storageDriver: {
+      type: String,
+      enum: ['local', 's3', 'cloudinary', 'firebase']
+    },
+    thumbnailKey: String,
+    pageKeys: [String],
+    generatedAt: Date
+  },
+  // Sanitized HTML of the Word and text files for the in-app reader
+  htmlRenderings: [new mongoose.Schema({
+    // Storage key of the file that was rendered
+    sourceKey: String,
+    storageDriver: {
+      type: String,
+      enum: ['local', 's3', 'cloudinary', 'firebase']
+    },
+    htmlKey: String,
+    generatedAt: Date
+  }, { _id: false })],
+  // Syllabus node the resource is filed under, and that node with every
+  // node above it, so filtering on a node finds everything below it
+  taxonomy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxonomyNode'
+  },
+  taxonomyPath: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxonomyNode'
+  }],
+  // Slugs of tags from the managed vocabulary (see models/Tag.js)
   tags: [{
     type: String,
     trim: true
   }],
+  // Stamp downloaded PDFs with a footer crediting the uploader
+  watermarkDownloads: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set while the resource is in the trash; it is purged after the retention window
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -76,5 +258,33 @@ resourceSchema.index({ examCategory: 1, section: 1 });
 resourceSchema.index({ uploadedBy: 1 });
 resourceSchema.index({ stars: -1 });
 resourceSchema.index({ createdAt: -1 });
+resourceSchema.index({ contentHash: 1 });
+resourceSchema.index({ status: 1 });
+resourceSchema.index({ isActive: 1, deletedAt: 1 });
+resourceSchema.index({ visibility: 1, publishAt: 1 });
+resourceSchema.index({ taxonomyPath: 1 });
+
+// Full-text search (GET /api/resources?search=). Title matches weigh most,
+// then tags, then the description and the text of the file.
+resourceSchema.index({
+  title: 'text',
+  tags: 'text',
+  description: 'text',
+  extractedText: 'text',
+  ocrText: 'text'
+}, {
+  name: 'resource_text_search',
+  weights: { title: 10, tags: 5, description: 2, extractedText: 1, ocrText: 1 },
+  default_language: 'english'
+});
+
+// Stored file locations are never sent to clients; files are downloaded
+// through GET /api/resources/:id/download, which checks access first
+resourceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.fileUrl;
+    return ret;
+  }
+});
 
 module.exports = mongoose.model('Resource', resourceSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One view of a resource page or one download of its file. Repeats inside
+// the deduplication window and the uploader's own activity are kept for the
+// record but not counted.
+const resourceEventSchema = new mongoose.Schema({
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['view', 'download']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Hashed client address, used to tell anonymous visitors apart
+  ipHash: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300
+  },
+  version: {
+    type: Number
+  },
+  counted: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+resourceEventSchema.index({ resource: 1, type: 1, user: 1, createdAt: -1 });
+resourceEventSchema.index({ resource: 1, type: 1, ipHash: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ResourceEvent', resourceEventSchema);
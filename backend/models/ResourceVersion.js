@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { FILE_TYPES } = require('../config/constants');
+
+// One file revision of a resource. The resource itself always mirrors
+// the file fields of its current version.
+const resourceVersionSchema = new mongoose.Schema({
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  fileUrl: {
+    type: String,
+    required: [true, 'File URL is required']
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  fileType: {
+    type: String,
+    required: true,
+    enum: FILE_TYPES
+  },
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3', 'cloudinary', 'firebase']
+  },
+  storageKey: {
+    type: String
+  },
+  contentHash: {
+    type: String
+  },
+  // Result of the malware scan of this version's file; unset until it
+  // was scanned. Only clean or released versions are served.
+  scan: {
+    result: {
+      type: String,
+      enum: ['clean', 'infected', 'released']
+    },
+    signature: String,
+    scannedAt: Date
+  },
+  changelog: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Changelog cannot exceed 500 characters']
+  },
+  revertedFrom: {
+    type: Number
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+resourceVersionSchema.index({ resource: 1, version: 1 }, { unique: true });
+
+// Versions are downloaded through GET /api/resources/:id/download?version=N
+resourceVersionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.fileUrl;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ResourceVersion', resourceVersionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A tag of the managed vocabulary. Resources store the slug; other
+// spellings listed as synonyms are turned into it when resources are saved.
+const tagSchema = new mongoose.Schema({
+  // Normalized form, e.g. "previous-papers"
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Shown in the tag picker, e.g. "Previous Papers"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  },
+  // Slugs of other spellings meaning the same, e.g. "maths" for "mathematics"
+  synonyms: {
+    type: [String],
+    default: []
+  },
+  // Active, non-draft resources with the tag
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ synonyms: 1 });
+tagSchema.index({ usageCount: -1 });
+
+module.exports = mongoose.model('Tag', tagSchema);
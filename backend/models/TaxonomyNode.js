@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { TAXONOMY_LEVELS } = require('../config/constants');
+
+// One node of the syllabus taxonomy. The level follows from the depth: exams
+// at the root, then papers, subjects and topics.
+const taxonomyNodeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  level: {
+    type: String,
+    required: true,
+    enum: TAXONOMY_LEVELS
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxonomyNode',
+    default: null
+  },
+  // Nodes above this one, from the root down
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxonomyNode'
+  }],
+  // Position among its siblings
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+taxonomyNodeSchema.index({ parent: 1, order: 1 });
+taxonomyNodeSchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model('TaxonomyNode', taxonomyNodeSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A resumable upload in progress. Chunks are written to a temporary file
+// and `receivedBytes` is the offset the client should continue from.
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  metadata: {
+    title: String,
+    description: String,
+    examCategory: String,
+    section: String,
+    taxonomy: mongoose.Schema.Types.ObjectId,
+    tags: String,
+    fileLabel: String,
+    watermarkDownloads: Boolean,
+    publishAt: Date,
+    // Draft the upload finishes
+    draftId: mongoose.Schema.Types.ObjectId
+  },
+  // completing while one request creates the resource
+  status: {
+    type: String,
+    enum: ['active', 'completing', 'completed'],
+    default: 'active'
+  },
+  // When the current completion started; a crashed one is retried once it is stale
+  completingAt: Date,
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ user: 1, status: 1 });
+
+// Abandoned sessions are removed by MongoDB once they expire; their
+// temporary files by the sweep job in services/uploads.js
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
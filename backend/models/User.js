@@ -24,6 +24,17 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['student', 'admin'],
     default: 'student'
+  },
+  // Bytes of all files stored for the user's resources, versions included
+  storageUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quota in bytes set by an admin; without one the role's quota applies
+  storageQuota: {
+    type: Number,
+    min: 0
   }
 }, {
   timestamps: true
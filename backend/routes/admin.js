@@ -0,0 +1,400 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { recountResourceStats } = require('../services/tracking');
+const { getStorageInfo, recountStorage } = require('../services/quota');
+const { scheduleProcessing, recordVersionScan } = require('../services/processing');
+const { purgeExpiredTrash } = require('../services/trash');
+const { renameTag, mergeTags, setSynonyms, recountTags } = require('../services/tags');
+const ApiError = require('../utils/ApiError');
+const escapeRegex = require('../utils/escapeRegex');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+// Every route here is for admins only
+router.use(auth, admin);
+
+// @route   GET /api/admin/duplicates
+// @desc    List clusters of active resources that share the same file content
+// @access  Admin
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [result] = await Resource.aggregate([
+      { $match: { isActive: true, contentHash: { $exists: true } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: '$contentHash',
+          count: { $sum: 1 },
+          resources: {
+            $push: {
+              _id: '$_id',
+              title: '$title',
+              examCategory: '$examCategory',
+              section: '$section',
+              fileName: '$fileName',
+              uploadedBy: '$uploadedBy',
+              downloadCount: '$downloadCount',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      {
+        $facet: {
+          clusters: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const clusters = await Resource.populate(result.clusters, {
+      path: 'resources.uploadedBy',
+      select: 'name email',
+      model: 'User'
+    });
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      clusters: clusters.map(({ _id, count, resources }) => ({ contentHash: _id, count, resources })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalClusters: total,
+        hasNext: skip + clusters.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(500).json({ message: 'Server error while fetching duplicates' });
+  }
+});
+
+// @route   GET /api/admin/quarantine
+// @desc    List resources held back by the malware scan (?status=quarantined or pending_scan)
+// @access  Admin
+router.get('/quarantine', async (req, res) => {
+  try {
+    const { status = 'quarantined', page = 1, limit = 10 } = req.query;
+
+    if (!['quarantined', 'pending_scan'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be quarantined or pending_scan' });
+    }
+
+    const filter = { status, isActive: true };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const resources = await Resource.find(filter)
+      .populate('uploadedBy', 'name email')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Resource.countDocuments(filter);
+
+    res.json({
+      resources,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalResources: total,
+        hasNext: skip + resources.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get quarantine error:', error);
+    res.status(500).json({ message: 'Server error while fetching quarantined resources' });
+  }
+});
+
+// @route   POST /api/admin/resources/:id/rescan
+// @desc    Scan a resource's file again (e.g. after the scanner was unavailable)
+// @access  Admin
+router.post('/resources/:id/rescan', async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource || !resource.storageKey) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    resource.status = 'pending_scan';
+    await resource.save();
+
+    scheduleProcessing(resource._id);
+
+    res.json({ message: 'Scan scheduled', resource });
+  } catch (error) {
+    console.error('Rescan resource error:', error);
+    res.status(500).json({ message: 'Server error while scheduling scan' });
+  }
+});
+
+// @route   POST /api/admin/resources/:id/release
+// @desc    Publish a quarantined or pending resource that an admin checked by hand
+// @access  Admin
+router.post('/resources/:id/release', async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (resource.status === 'published') {
+      return res.status(400).json({ message: 'Resource is already published' });
+    }
+
+    resource.status = 'published';
+    resource.set('scan.result', 'released');
+    resource.set('scan.scannedAt', new Date());
+    await resource.save();
+    await recordVersionScan(resource, { result: 'released', scannedAt: resource.scan.scannedAt });
+
+    // Text indexing and previews were skipped while the file was held back
+    scheduleProcessing(resource._id, null, { skipScan: true });
+
+    res.json({ message: 'Resource released', resource });
+  } catch (error) {
+    console.error('Release resource error:', error);
+    res.status(500).json({ message: 'Server error while releasing resource' });
+  }
+});
+
+// @route   POST /api/admin/recount-stats
+// @desc    Rebuild download and view counts of all resources from recorded events
+// @access  Admin
+router.post('/recount-stats', async (req, res) => {
+  try {
+    const updated = await recountResourceStats();
+
+    res.json({
+      message: 'Resource statistics recounted',
+      resourcesWithActivity: updated
+    });
+  } catch (error) {
+    console.error('Recount stats error:', error);
+    res.status(500).json({ message: 'Server error while recounting statistics' });
+  }
+});
+
+const formatUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  createdAt: user.createdAt,
+  storage: getStorageInfo(user)
+});
+
+// @route   GET /api/admin/users
+// @desc    List users with their storage use (?search= matches name or email)
+// @access  Admin
+router.get('/users', async (req, res) => {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (search) {
+      // The search is plain text, never a pattern
+      const pattern = escapeRegex(String(search));
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(filter)
+      .sort({ storageUsed: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users: users.map(formatUser),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalUsers: total,
+        hasNext: skip + users.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/quota
+// @desc    Set a user's storage quota in MB ({ quotaMB: null } goes back to the role's quota)
+// @access  Admin
+router.put('/users/:id/quota', [
+  body('quotaMB').optional({ values: 'null' }).isInt({ min: 0, max: 10 * 1024 * 1024 }).withMessage('Quota must be a whole number of MB')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id).catch(() => null);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { quotaMB } = req.body;
+    user.storageQuota = quotaMB === undefined || quotaMB === null ? undefined : parseInt(quotaMB) * 1024 * 1024;
+    await user.save();
+
+    res.json({
+      message: 'Storage quota updated',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Update quota error:', error);
+    res.status(500).json({ message: 'Server error while updating quota' });
+  }
+});
+
+// @route   POST /api/admin/recount-storage
+// @desc    Rebuild every user's storage use from the stored files
+// @access  Admin
+router.post('/recount-storage', async (req, res) => {
+  try {
+    const updated = await recountStorage();
+
+    res.json({
+      message: 'Storage use recounted',
+      usersWithFiles: updated
+    });
+  } catch (error) {
+    console.error('Recount storage error:', error);
+    res.status(500).json({ message: 'Server error while recounting storage' });
+  }
+});
+
+// @route   POST /api/admin/purge-trash
+// @desc    Purge resources past the trash retention window now instead of waiting for the job
+// @access  Admin
+router.post('/purge-trash', async (req, res) => {
+  try {
+    const purged = await purgeExpiredTrash();
+
+    res.json({
+      message: purged > 0 ? `Purged ${purged} resource(s) from the trash` : 'Nothing to purge',
+      purged
+    });
+  } catch (error) {
+    console.error('Purge trash error:', error);
+    res.status(500).json({ message: 'Server error while purging the trash' });
+  }
+});
+
+// @route   PUT /api/admin/tags/:id
+// @desc    Rename a tag; resources follow and the old name becomes a synonym
+// @access  Admin
+router.put('/tags/:id', [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Tag name must be 1-50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tag = await renameTag(req.params.id, req.body.name);
+
+    res.json({ message: 'Tag renamed', tag });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Rename tag error:', error);
+    res.status(500).json({ message: 'Server error while renaming tag' });
+  }
+});
+
+// @route   PUT /api/admin/tags/:id/synonyms
+// @desc    Set the other spellings that mean this tag ({ synonyms: [...] })
+// @access  Admin
+router.put('/tags/:id/synonyms', [
+  body('synonyms').isArray({ max: 50 }).withMessage('Synonyms must be a list of at most 50 names'),
+  body('synonyms.*').isString().withMessage('Synonyms must be text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tag = await setSynonyms(req.params.id, req.body.synonyms);
+
+    res.json({ message: 'Synonyms saved', tag });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Set synonyms error:', error);
+    res.status(500).json({ message: 'Server error while saving synonyms' });
+  }
+});
+
+// @route   POST /api/admin/tags/:id/merge
+// @desc    Merge a tag into another ({ into: tagId }); resources get the
+//          other tag and this one is deleted
+// @access  Admin
+router.post('/tags/:id/merge', [
+  body('into').isMongoId().withMessage('Valid tag ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tag = await mergeTags(req.params.id, req.body.into);
+
+    res.json({ message: 'Tags merged', tag });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Merge tags error:', error);
+    res.status(500).json({ message: 'Server error while merging tags' });
+  }
+});
+
+// @route   POST /api/admin/recount-tags
+// @desc    Normalize every resource's tags against the vocabulary and
+//          rebuild tag usage counts
+// @access  Admin
+router.post('/recount-tags', async (req, res) => {
+  try {
+    const updated = await recountTags();
+
+    res.json({
+      message: 'Tags recounted',
+      resourcesUpdated: updated
+    });
+  } catch (error) {
+    console.error('Recount tags error:', error);
+    res.status(500).json({ message: 'Server error while recounting tags' });
+  }
+});
+
+module.exports = router;
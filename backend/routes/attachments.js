@@ -0,0 +1,128 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { addAttachment, removeAttachment, updateAttachments } = require('../services/attachments');
+const { canManage } = require('../services/access');
+const ApiError = require('../utils/ApiError');
+const Resource = require('../models/Resource');
+const auth = require('../middleware/auth');
+const upload = require('../middleware/upload');
+
+// Mounted at /api/resources/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// Find an active resource the current user may change, answering 404 or
+// 403 if there is none
+const findManagedResource = async (req, res) => {
+  const resource = await Resource.findById(req.params.id).catch(() => null);
+
+  if (!resource || !resource.isActive) {
+    res.status(404).json({ message: 'Resource not found' });
+    return null;
+  }
+
+  if (!(await canManage(resource, req.userId))) {
+    res.status(403).json({ message: 'Not authorized to update this resource' });
+    return null;
+  }
+
+  return resource;
+};
+
+const labelValidator = (field) => body(field).optional().trim().isLength({ max: 100 }).withMessage('Label cannot exceed 100 characters');
+
+// @route   POST /api/resources/:id/attachments
+// @desc    Add a file to the resource (`file`, optional `label`)
+// @access  Private
+router.post('/', auth, upload.single('file'), [labelValidator('label')], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+
+    const resource = await findManagedResource(req, res);
+    if (!resource) return;
+
+    const attachment = await addAttachment({ resource, file: req.file, label: req.body.label });
+
+    await resource.populate('uploadedBy', 'name email');
+
+    res.status(201).json({
+      message: 'File added successfully',
+      attachment,
+      resource
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Add attachment error:', error);
+    res.status(500).json({ message: 'Server error while adding file' });
+  }
+});
+
+// @route   PUT /api/resources/:id/attachments
+// @desc    Reorder the files and change their labels
+//          ({ attachments: [{ _id, label }] listing every file in the new order)
+// @access  Private
+router.put('/', auth, [
+  body('attachments').isArray().withMessage('Attachments must be a list'),
+  body('attachments.*._id').isMongoId().withMessage('Invalid file id'),
+  labelValidator('attachments.*.label')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resource = await findManagedResource(req, res);
+    if (!resource) return;
+
+    await updateAttachments({ resource, attachments: req.body.attachments });
+
+    await resource.populate('uploadedBy', 'name email');
+
+    res.json({
+      message: 'Files updated successfully',
+      resource
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Update attachments error:', error);
+    res.status(500).json({ message: 'Server error while updating files' });
+  }
+});
+
+// @route   DELETE /api/resources/:id/attachments/:attachmentId
+// @desc    Remove a file from the resource
+// @access  Private
+router.delete('/:attachmentId', auth, async (req, res) => {
+  try {
+    const resource = await findManagedResource(req, res);
+    if (!resource) return;
+
+    await removeAttachment({ resource, attachmentId: req.params.attachmentId });
+
+    await resource.populate('uploadedBy', 'name email');
+
+    res.json({
+      message: 'File removed successfully',
+      resource
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Remove attachment error:', error);
+    res.status(500).json({ message: 'Server error while removing file' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { getStorageInfo } = require('../services/quota');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -161,4 +162,22 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/storage
+// @desc    Get the current user's used and remaining storage (bytes)
+// @access  Private
+router.get('/storage', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ storage: getStorageInfo(user) });
+  } catch (error) {
+    console.error('Get storage error:', error);
+    res.status(500).json({ message: 'Server error while fetching storage' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { importArchive } = require('../services/bulkImport');
+const ApiError = require('../utils/ApiError');
+const auth = require('../middleware/auth');
+const bulkUpload = require('../middleware/bulkUpload');
+
+// Mounted at /api/resources/bulk
+const router = express.Router();
+
+// @route   POST /api/resources/bulk
+// @desc    Import many resources from a ZIP archive and a CSV/JSON manifest
+//          (?dryRun=true only validates the rows)
+// @access  Private
+router.post('/', auth, bulkUpload, async (req, res) => {
+  try {
+    const archive = req.files && req.files.archive && req.files.archive[0];
+    const manifest = req.files && req.files.manifest && req.files.manifest[0];
+
+    if (!archive) {
+      return res.status(400).json({ message: 'ZIP archive is required' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const report = await importArchive({
+      archive,
+      manifest,
+      userId: req.userId,
+      dryRun,
+      allowDuplicates: req.body.allowDuplicates === 'true'
+    });
+
+    res.status(dryRun || report.summary.created === 0 ? 200 : 201).json({
+      message: dryRun
+        ? `${report.summary.valid} of ${report.summary.total} rows are valid`
+        : `Imported ${report.summary.created} of ${report.summary.total} resources`,
+      ...report
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Bulk import error:', error);
+    res.status(500).json({ message: 'Server error while importing resources' });
+  }
+});
+
+module.exports = router;
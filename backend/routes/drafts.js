@@ -0,0 +1,141 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const { draftValidators } = require('../middleware/validators');
+const { resolveTags } = require('../services/tags');
+const { getTaxonomyFields } = require('../services/taxonomy');
+const { findDraft } = require('../services/publishing');
+const { purgeResource } = require('../services/trash');
+const ApiError = require('../utils/ApiError');
+const Resource = require('../models/Resource');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const DRAFT_FIELDS = ['title', 'description', 'examCategory', 'section', 'fileLabel', 'watermarkDownloads', 'publishAt'];
+
+// Copy the upload form fields sent in the request to a draft. Empty
+// fields are cleared.
+const applyDraftFields = async (draft, body) => {
+  for (const field of DRAFT_FIELDS) {
+    if (body[field] !== undefined) {
+      draft[field] = body[field] === '' || body[field] === null ? undefined : body[field];
+    }
+  }
+
+  if (body.tags !== undefined) {
+    draft.tags = await resolveTags(body.tags);
+  }
+
+  if (body.taxonomy !== undefined) {
+    draft.set(await getTaxonomyFields(body.taxonomy));
+  }
+};
+
+// @route   GET /api/drafts
+// @desc    List the current user's drafts and the resources they scheduled
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const [drafts, scheduled] = await Promise.all([
+      Resource.find({ uploadedBy: req.userId, isActive: true, visibility: 'draft' }).sort({ updatedAt: -1 }),
+      Resource.find({ uploadedBy: req.userId, isActive: true, visibility: 'scheduled' }).sort({ publishAt: 1 })
+    ]);
+
+    res.json({ drafts, scheduled });
+  } catch (error) {
+    console.error('Get drafts error:', error);
+    res.status(500).json({ message: 'Server error while fetching drafts' });
+  }
+});
+
+// @route   GET /api/drafts/:id
+// @desc    Get a draft to resume it
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.userId);
+
+    res.json({ draft });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Get draft error:', error);
+    res.status(500).json({ message: 'Server error while fetching draft' });
+  }
+});
+
+// @route   POST /api/drafts
+// @desc    Save the upload form as a draft. The file is added when the
+//          draft is finished with an upload that sends its draftId.
+// @access  Private
+router.post('/', auth, draftValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const draft = new Resource({ visibility: 'draft', uploadedBy: req.userId });
+    await applyDraftFields(draft, req.body);
+    await draft.save();
+
+    res.status(201).json({
+      message: 'Draft saved',
+      draft
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Create draft error:', error);
+    res.status(500).json({ message: 'Server error while saving draft' });
+  }
+});
+
+// @route   PUT /api/drafts/:id
+// @desc    Update a draft
+// @access  Private
+router.put('/:id', auth, draftValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const draft = await findDraft(req.params.id, req.userId);
+    await applyDraftFields(draft, req.body);
+    await draft.save();
+
+    res.json({
+      message: 'Draft saved',
+      draft
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Update draft error:', error);
+    res.status(500).json({ message: 'Server error while saving draft' });
+  }
+});
+
+// @route   DELETE /api/drafts/:id
+// @desc    Delete a draft for good (drafts don't go to the trash)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.userId);
+    await purgeResource(draft);
+
+    res.json({ message: 'Draft deleted' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Delete draft error:', error);
+    res.status(500).json({ message: 'Server error while deleting draft' });
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,40 @@ const mongoose = require('mongoose');
 const Rating = require('../models/Rating');
 const Resource = require('../models/Resource');
 const auth = require('../middleware/auth');
+const { isPublished, isReleased } = require('../services/access');
 
 const router = express.Router();
 
+// A page of a user's ratings, newest first, with the given fields of each
+// rated resource. Ratings of resources in the trash are left out by joining
+// the resources in the same query.
+const findUserRatings = async (userId, { skip, limit, resourceFields }) => {
+  const [result] = await Rating.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $lookup: {
+        from: Resource.collection.name,
+        let: { resourceId: '$resource' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$resourceId'] }, isActive: true } },
+          { $project: Object.fromEntries(resourceFields.map(field => [field, 1])) }
+        ],
+        as: 'resource'
+      }
+    },
+    { $unwind: '$resource' },
+    { $sort: { createdAt: -1 } },
+    {
+      $facet: {
+        ratings: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return { ratings: result.ratings, total: result.total.length > 0 ? result.total[0].count : 0 };
+};
+
 // @route   POST /api/ratings
 // @desc    Add or update rating for a resource
 // @access  Private
@@ -25,7 +56,7 @@ router.post('/', auth, [
 
     // Check if resource exists
     const resource = await Resource.findById(resourceId);
-    if (!resource || !resource.isActive) {
+    if (!resource || !resource.isActive || !isPublished(resource) || !isReleased(resource)) {
       return res.status(404).json({ message: 'Resource not found' });
     }
 
@@ -40,6 +71,7 @@ router.post('/', auth, [
     if (rating) {
       // Update existing rating
       rating.stars = stars;
+      rating.version = resource.currentVersion || 1;
       if (review !== undefined) rating.review = review;
       await rating.save();
     } else {
@@ -48,6 +80,7 @@ router.post('/', auth, [
         user: req.userId,
         resource: resourceId,
         stars,
+        version: resource.currentVersion || 1,
         review: review || ''
       });
       await rating.save();
@@ -113,13 +146,15 @@ router.get('/user/:userId', async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const ratings = await Rating.find({ user: req.params.userId })
-      .populate('resource', 'title examCategory section')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
 
-    const total = await Rating.countDocuments({ user: req.params.userId });
+    const { ratings, total } = await findUserRatings(req.params.userId, {
+      skip,
+      limit: parseInt(limit),
+      resourceFields: ['title', 'examCategory', 'section']
+    });
 
     res.json({
       ratings,
@@ -145,13 +180,11 @@ router.get('/my-ratings', auth, async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const ratings = await Rating.find({ user: req.userId })
-      .populate('resource', 'title examCategory section fileUrl')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Rating.countDocuments({ user: req.userId });
+    const { ratings, total } = await findUserRatings(req.userId, {
+      skip,
+      limit: parseInt(limit),
+      resourceFields: ['title', 'examCategory', 'section']
+    });
 
     res.json({
       ratings,
@@ -199,6 +232,12 @@ router.delete('/:ratingId', auth, async (req, res) => {
 // @access  Public
 router.get('/stats/:resourceId', async (req, res) => {
   try {
+    // Check if resource exists
+    const resource = await Resource.findById(req.params.resourceId);
+    if (!resource || !resource.isActive) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
     const stats = await Rating.aggregate([
       { $match: { resource: new mongoose.Types.ObjectId(req.params.resourceId) } },
       {
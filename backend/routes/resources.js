@@ -1,48 +1,39 @@
 const express = require('express');
-const multer = require('multer');
 const { body, validationResult } = require('express-validator');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { cloudinary } = require('../config/cloudinary');
+const { CONTENT_TYPES, MAX_FILE_SIZE } = require('../config/constants');
+const { resourceValidators, resourceUpdateValidators } = require('../middleware/validators');
+const { createResource } = require('../services/ingest');
+const { resolveTags, updateTagCounts } = require('../services/tags');
+const { getTaxonomyFields } = require('../services/taxonomy');
+const { getSnippets } = require('../services/textExtraction');
+const { buildResourceFilter, getFacetCounts, getSuggestions } = require('../services/search');
+const { ensureInitialVersion, isVersionClean } = require('../services/versions');
+const { findFile, getArchiveName, streamBundle } = require('../services/attachments');
+const { buildPdfFromPhotos } = require('../services/photoPdf');
+const { shouldWatermark, getWatermarkText, stampPdf } = require('../services/watermark');
+const { isPublished, isReleased, canManage, canView } = require('../services/access');
+const { getVisibility } = require('../services/publishing');
+const { MAX_TEXT_LENGTH: MAX_OCR_TEXT_LENGTH } = require('../services/ocr');
+const { canRenderHtml } = require('../services/htmlRenderer');
+const { getHtmlRendering } = require('../services/processing');
+const { trackEvent } = require('../services/tracking');
+const { moveToTrash, getPurgeDate } = require('../services/trash');
+const { getDriver, readFile } = require('../storage');
+const ApiError = require('../utils/ApiError');
+const contentDisposition = require('../utils/contentDisposition');
 const Resource = require('../models/Resource');
+const ResourceVersion = require('../models/ResourceVersion');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const upload = require('../middleware/upload');
+const photoUpload = require('../middleware/photoUpload');
 
 const router = express.Router();
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Configure Cloudinary storage
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'examprepshare',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'pdf', 'doc', 'docx', 'txt'],
-    resource_type: 'auto',
-  },
-});
-
-// Configure multer with Cloudinary storage
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only PDF, DOC, DOCX, TXT, JPG, PNG files are allowed.'));
-    }
-  }
-});
-
-// Cloudinary automatically handles file upload and returns URL
+// Lifetime of signed download links in seconds
+const DOWNLOAD_URL_EXPIRY = parseInt(process.env.DOWNLOAD_URL_EXPIRY) || 300;
 
 // @route   GET /api/resources/test-cloudinary
 // @desc    Test Cloudinary connection
@@ -71,45 +62,55 @@ router.get('/test-cloudinary', async (req, res) => {
 });
 
 // @route   GET /api/resources
-// @desc    Get all resources with filtering
+// @desc    Get all resources with filtering (examCategory, section, fileType,
+//          tags and rating take several comma-separated values; uploadedBy
+//          takes a user id)
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const { examCategory, section, search, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-    
-    // Build filter object
-    const filter = { isActive: true };
-    
-    if (examCategory && examCategory !== 'All') {
-      filter.examCategory = examCategory;
-    }
-    
-    if (section && section !== 'All') {
-      filter.section = section;
-    }
-    
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
-    }
-
-    // Build sort object
+    const { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { filter, searchText } = buildResourceFilter(req.query);
+
+    // Build sort object; relevance needs a search and falls back to newest
     const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (sortBy === 'relevance') {
+      if (searchText) {
+        sort.score = { $meta: 'textScore' };
+      }
+      sort.createdAt = -1;
+    } else {
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const resources = await Resource.find(filter)
+    const query = Resource.find(filter)
       .populate('uploadedBy', 'name email')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
 
+    // File text is only needed to build search snippets
+    if (searchText) {
+      query.select('+extractedText +ocrText');
+    }
+
+    const results = await query;
+
     const total = await Resource.countDocuments(filter);
 
+    // Return matching passages from the file instead of the full text
+    const resources = results.map((result) => {
+      const resource = result.toJSON();
+      if (searchText) {
+        const text = [resource.extractedText, resource.ocrText].filter(Boolean).join(' ');
+        resource.snippets = getSnippets(text, searchText);
+        delete resource.extractedText;
+        delete resource.ocrText;
+      }
+      return resource;
+    });
+
     res.json({
       resources,
       pagination: {
@@ -126,21 +127,59 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @route   GET /api/resources/:id
-// @desc    Get single resource
+// @route   GET /api/resources/facets
+// @desc    Count the resources matching the current filters per exam
+//          category, section, file type, tag and rating. Each facet is
+//          counted with every filter but its own applied.
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/facets', async (req, res) => {
   try {
-    const resource = await Resource.findById(req.params.id)
-      .populate('uploadedBy', 'name email');
+    const facets = await getFacetCounts(req.query);
 
-    if (!resource || !resource.isActive) {
+    res.json({ facets });
+  } catch (error) {
+    console.error('Get facets error:', error);
+    res.status(500).json({ message: 'Server error while counting resources' });
+  }
+});
+
+// @route   GET /api/resources/suggest
+// @desc    Suggest titles, tags and uploaders for what has been typed into
+//          the search (`q`), including close misspellings
+// @access  Public
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
+
+    const suggestions = await getSuggestions(q, limit);
+
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ message: 'Server error while fetching suggestions' });
+  }
+});
+
+// @route   GET /api/resources/:id
+// @desc    Get single resource (counts as a view)
+// @access  Public (unpublished and scheduled resources only for their owner or
+//          an admin; drafts are read through /api/drafts)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource || !resource.isActive || resource.visibility === 'draft' || !(await canView(resource, req.userId))) {
       return res.status(404).json({ message: 'Resource not found' });
     }
 
-    // Increment download count
-    resource.downloadCount += 1;
-    await resource.save();
+    await resource.populate('uploadedBy', 'name email');
+    // The syllabus path from the exam down to the node it is filed under
+    await resource.populate('taxonomyPath', 'name level');
+
+    if (isPublished(resource) && isReleased(resource)) {
+      trackEvent({ resource, type: 'view', userId: req.userId, req });
+    }
 
     res.json({ resource });
   } catch (error) {
@@ -149,14 +188,333 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// @route   POST /api/resources
-// @desc    Upload new resource
-// @access  Private
-router.post('/', auth, upload.single('file'), [
-  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5-200 characters'),
-  body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10-1000 characters'),
-  body('examCategory').isIn(['UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other']).withMessage('Invalid exam category'),
-  body('section').isIn(['General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other']).withMessage('Invalid section')
+// Files are never served before they passed the malware scan
+const sendFileUnavailable = (res, resource) => {
+  if (resource.status === 'quarantined') {
+    return res.status(403).json({ message: 'This file has been quarantined', code: 'FILE_QUARANTINED' });
+  }
+  res.status(403).json({ message: 'This file is still being scanned for malware', code: 'SCAN_PENDING' });
+};
+
+// Pipe a stored file to the response
+const pipeFile = async (res, driverName, key, headers) => {
+  const stream = await getDriver(driverName).getStream(key);
+
+  res.set(headers);
+  stream.on('error', (error) => {
+    console.error('File stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Send a PDF stamped with the resource's attribution footer. The stamped
+// copy is made for this response only; the stored file stays untouched.
+const sendWatermarkedFile = async (res, resource, file, disposition) => {
+  const buffer = await readFile(file.storageDriver, file.storageKey);
+  const stamped = await stampPdf(buffer, await getWatermarkText(resource));
+
+  res.set({
+    'Content-Type': CONTENT_TYPES.pdf,
+    'Content-Disposition': contentDisposition(disposition, file.fileName),
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(stamped);
+};
+
+// Stream a stored preview image of an active resource
+const sendPreviewImage = async (req, res, getKey) => {
+  const resource = await Resource.findById(req.params.id);
+  const key = resource && resource.isActive && isPublished(resource) && isReleased(resource)
+    && resource.preview && getKey(resource.preview);
+
+  if (!key) {
+    return res.status(404).json({ message: 'Preview not found' });
+  }
+
+  // Preview URLs change whenever the previews are rebuilt, so they can be cached
+  await pipeFile(res, resource.preview.storageDriver, key, {
+    'Content-Type': 'image/jpeg',
+    'Cache-Control': 'public, max-age=86400'
+  });
+};
+
+// @route   GET /api/resources/:id/file
+// @desc    Stream the current main file, or an attachment (?attachment=<id>),
+//          inline for the in-app viewer
+// @access  Public (scheduled resources only for their owner or an admin)
+router.get('/:id/file', optionalAuth, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource || !resource.isActive || !(await canView(resource, req.userId))) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (!isPublished(resource)) {
+      return sendFileUnavailable(res, resource);
+    }
+
+    const file = findFile(resource, req.query.attachment);
+
+    // Resources uploaded before the storage layer only have their URL
+    if (!file.storageKey) {
+      return res.redirect(file.fileUrl);
+    }
+
+    if (shouldWatermark(resource, file)) {
+      return await sendWatermarkedFile(res, resource, file, 'inline');
+    }
+
+    await pipeFile(res, file.storageDriver, file.storageKey, {
+      'Content-Type': CONTENT_TYPES[file.fileType] || 'application/octet-stream',
+      'Content-Disposition': contentDisposition('inline', file.fileName),
+      'Cache-Control': 'private, no-cache'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Get resource file error:', error);
+    res.status(500).json({ message: 'Server error while fetching file' });
+  }
+});
+
+// @route   GET /api/resources/:id/html
+// @desc    Get the current main file, or an attachment (?attachment=<id>),
+//          as sanitized HTML for the in-app reader (DOC, DOCX and TXT only)
+// @access  Public (scheduled resources only for their owner or an admin)
+router.get('/:id/html', optionalAuth, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource || !resource.isActive || !(await canView(resource, req.userId))) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (!isPublished(resource)) {
+      return sendFileUnavailable(res, resource);
+    }
+
+    const file = findFile(resource, req.query.attachment);
+
+    if (!canRenderHtml(file.fileType) || !file.storageKey) {
+      return res.status(400).json({ message: 'This file can\'t be shown as HTML' });
+    }
+
+    const rendering = await getHtmlRendering(resource, file);
+
+    // The HTML is sanitized; the policy keeps it inert if opened directly
+    await pipeFile(res, rendering.storageDriver, rendering.htmlKey, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Security-Policy': "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox",
+      'Cache-Control': 'private, no-cache'
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Get resource HTML error:', error);
+    res.status(500).json({ message: 'Server error while rendering file' });
+  }
+});
+
+// @route   GET /api/resources/:id/download
+// @desc    Get a short-lived signed download URL for the current main file,
+//          an older version (?version=N) or an attachment (?attachment=<id>);
+//          ?stream=true sends the file itself. PDFs of resources with
+//          watermarked downloads are only sent stamped, so for those the
+//          answer is { stream: true } and the client asks again with ?stream=true
+// @access  Public (deleted resources only for their owner or an admin)
+router.get('/:id/download', optionalAuth, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource || !(await canView(resource, req.userId))) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (!isPublished(resource)) {
+      return sendFileUnavailable(res, resource);
+    }
+
+    let file = findFile(resource, req.query.attachment);
+
+    if (req.query.version && !req.query.attachment) {
+      const versionNumber = parseInt(req.query.version);
+      if (!versionNumber) {
+        return res.status(400).json({ message: 'Invalid version number' });
+      }
+
+      await ensureInitialVersion(resource);
+      file = await ResourceVersion.findOne({ resource: resource._id, version: versionNumber });
+
+      if (!file) {
+        return res.status(404).json({ message: 'Version not found' });
+      }
+
+      // The resource's status only speaks for its current file
+      if (versionNumber !== resource.currentVersion && !isVersionClean(file)) {
+        return res.status(403).json({
+          message: 'This version has not passed the malware scan and cannot be downloaded',
+          code: 'VERSION_NOT_CLEAN'
+        });
+      }
+    }
+
+    // Files uploaded before the storage layer can't be stamped
+    const watermark = shouldWatermark(resource, file) && Boolean(file.storageKey);
+
+    // Not tracked yet; the download happens with the follow-up request
+    if (watermark && req.query.stream !== 'true') {
+      return res.json({ stream: true, fileName: file.fileName });
+    }
+
+    // Owners trying out a scheduled resource don't count
+    if (isReleased(resource)) {
+      trackEvent({
+        resource,
+        type: 'download',
+        userId: req.userId,
+        req,
+        version: file.version || resource.currentVersion
+      });
+    }
+
+    // Files uploaded before the storage layer are only reachable by their URL
+    if (!file.storageKey) {
+      return res.json({ url: file.fileUrl, fileName: file.fileName, expiresAt: null });
+    }
+
+    if (watermark) {
+      return await sendWatermarkedFile(res, resource, file, 'attachment');
+    }
+
+    if (req.query.stream === 'true') {
+      return await pipeFile(res, file.storageDriver, file.storageKey, {
+        'Content-Type': CONTENT_TYPES[file.fileType] || 'application/octet-stream',
+        'Content-Disposition': contentDisposition('attachment', file.fileName),
+        'Cache-Control': 'private, no-store'
+      });
+    }
+
+    const url = await getDriver(file.storageDriver).getSignedUrl(file.storageKey, DOWNLOAD_URL_EXPIRY, {
+      fileName: file.fileName
+    });
+
+    res.json({
+      url,
+      fileName: file.fileName,
+      expiresAt: new Date(Date.now() + DOWNLOAD_URL_EXPIRY * 1000)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Download resource error:', error);
+    res.status(500).json({ message: 'Server error while preparing download' });
+  }
+});
+
+// @route   GET /api/resources/:id/download/zip
+// @desc    Download the main file and all attachments as one ZIP
+// @access  Public (deleted resources only for their owner or an admin)
+router.get('/:id/download/zip', optionalAuth, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+
+    if (!resource || !(await canView(resource, req.userId))) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (!isPublished(resource)) {
+      return sendFileUnavailable(res, resource);
+    }
+
+    // Owners trying out a scheduled resource don't count
+    if (isReleased(resource)) {
+      trackEvent({ resource, type: 'download', userId: req.userId, req, version: resource.currentVersion });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': contentDisposition('attachment', getArchiveName(resource)),
+      'Cache-Control': 'private, no-store'
+    });
+
+    await streamBundle(resource, res, {
+      watermarkText: resource.watermarkDownloads ? await getWatermarkText(resource) : null
+    });
+  } catch (error) {
+    // Once the ZIP has started the only way to report an error is to cut it off
+    if (res.headersSent) {
+      console.error('Download bundle error:', error);
+      return res.destroy(error);
+    }
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Download bundle error:', error);
+    res.status(500).json({ message: 'Server error while preparing download' });
+  }
+});
+
+// @route   GET /api/resources/:id/thumbnail
+// @desc    Get the thumbnail image of a resource
+// @access  Public
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    await sendPreviewImage(req, res, (preview) => preview.thumbnailKey);
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({ message: 'Server error while fetching thumbnail' });
+  }
+});
+
+// @route   GET /api/resources/:id/previews/:page
+// @desc    Get a preview image of one of the first pages
+// @access  Public
+router.get('/:id/previews/:page', async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    await sendPreviewImage(req, res, (preview) => preview.pageKeys[page - 1]);
+  } catch (error) {
+    console.error('Get preview error:', error);
+    res.status(500).json({ message: 'Server error while fetching preview' });
+  }
+});
+
+// @route   GET /api/resources/:id/ocr
+// @desc    Get the text recognized in the resource's photos or scanned pages
+// @access  Public (unpublished resources only for their owner or an admin)
+router.get('/:id/ocr', optionalAuth, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id).select('+ocrText').catch(() => null);
+
+    if (!resource || !resource.isActive || !(await canView(resource, req.userId))) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
+
+    if (!resource.ocr || !resource.ocr.status) {
+      return res.status(404).json({ message: 'No text has been recognized for this resource' });
+    }
+
+    res.json({
+      ocr: resource.ocr,
+      text: resource.ocrText || ''
+    });
+  } catch (error) {
+    console.error('Get OCR text error:', error);
+    res.status(500).json({ message: 'Server error while fetching recognized text' });
+  }
+});
+
+// @route   PUT /api/resources/:id/ocr
+// @desc    Correct the recognized text (`text`)
+// @access  Private (owner or admin)
+router.put('/:id/ocr', auth, [
+  body('text').isString().withMessage('Text is required')
+    .isLength({ max: MAX_OCR_TEXT_LENGTH }).withMessage(`Text cannot exceed ${MAX_OCR_TEXT_LENGTH} characters`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -164,54 +522,71 @@ router.post('/', auth, upload.single('file'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    if (!req.file) {
-      return res.status(400).json({ message: 'File is required' });
-    }
+    const resource = await Resource.findById(req.params.id).catch(() => null);
 
-    const { title, description, examCategory, section, tags } = req.body;
+    if (!resource || !resource.isActive) {
+      return res.status(404).json({ message: 'Resource not found' });
+    }
 
-    // Generate unique filename
-    const timestamp = Date.now();
-    const fileExtension = req.file.originalname.split('.').pop();
-    const fileName = `${timestamp}-${req.file.originalname}`;
+    if (!(await canManage(resource, req.userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this resource' });
+    }
 
-    // File is automatically uploaded to Cloudinary by multer
-    const fileUrl = req.file.path; // Cloudinary provides the URL
+    if (!resource.ocr || !resource.ocr.status) {
+      return res.status(400).json({ message: 'This resource has no photos or scanned pages to correct' });
+    }
 
-    // Determine file type
-    let fileType = 'other';
-    if (req.file.mimetype === 'application/pdf') fileType = 'pdf';
-    else if (req.file.mimetype === 'application/msword') fileType = 'doc';
-    else if (req.file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') fileType = 'docx';
-    else if (req.file.mimetype === 'text/plain') fileType = 'txt';
-    else if (req.file.mimetype === 'image/jpeg' || req.file.mimetype === 'image/jpg') fileType = 'jpg';
-    else if (req.file.mimetype === 'image/png') fileType = 'png';
+    const text = req.body.text.trim();
 
-    // Parse tags
-    const tagsArray = tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0) : [];
+    // A correction also stands in for a failed recognition. The source keys
+    // keep it from being overwritten until the files change.
+    resource.ocrText = text || undefined;
+    resource.ocr.status = 'done';
+    resource.ocr.error = undefined;
+    resource.ocr.sourceKeys = [resource, ...resource.attachments].map(file => file.storageKey);
+    resource.ocr.editedAt = new Date();
+    await resource.save();
 
-    // Create resource
-    const resource = new Resource({
-      title,
-      description,
-      examCategory,
-      section,
-      fileUrl,
-      fileName: req.file.originalname,
-      fileSize: req.file.size,
-      fileType,
-      uploadedBy: req.userId,
-      tags: tagsArray
+    res.json({
+      message: 'Recognized text updated',
+      ocr: resource.ocr,
+      text: resource.ocrText || ''
     });
+  } catch (error) {
+    console.error('Update OCR text error:', error);
+    res.status(500).json({ message: 'Server error while updating recognized text' });
+  }
+});
 
-    await resource.save();
-    await resource.populate('uploadedBy', 'name email');
+// @route   POST /api/resources
+// @desc    Upload new resource
+// @access  Private
+router.post('/', auth, upload.single('file'), resourceValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+
+    const resource = await createResource({
+      file: req.file,
+      metadata: req.body,
+      userId: req.userId,
+      allowDuplicate: req.body.allowDuplicate === 'true'
+    });
 
     res.status(201).json({
       message: 'Resource uploaded successfully',
       resource
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Upload resource error:', error);
     console.error('Error details:', {
       message: error.message,
@@ -225,15 +600,63 @@ router.post('/', auth, upload.single('file'), [
   }
 });
 
+// @route   POST /api/resources/photos
+// @desc    Upload photographed pages (`pages`, in order) as one PDF resource, with optional `grayscale` and `autoRotate`
+// @access  Private
+router.post('/photos', auth, photoUpload, resourceValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'At least one page photo is required' });
+    }
+
+    const title = req.body.title.trim();
+    const pdf = await buildPdfFromPhotos(req.files, {
+      title,
+      grayscale: req.body.grayscale === 'true',
+      autoRotate: req.body.autoRotate !== 'false'
+    });
+
+    if (pdf.length > MAX_FILE_SIZE) {
+      return res.status(413).json({
+        message: 'The combined PDF is larger than 50MB. Upload fewer pages or smaller photos.'
+      });
+    }
+
+    const resource = await createResource({
+      file: {
+        buffer: pdf,
+        originalname: `${title.replace(/[\\/]/g, '-')}.pdf`,
+        mimetype: 'application/pdf',
+        size: pdf.length
+      },
+      metadata: req.body,
+      userId: req.userId,
+      allowDuplicate: req.body.allowDuplicate === 'true'
+    });
+
+    res.status(201).json({
+      message: `${req.files.length} page(s) combined into a PDF and uploaded`,
+      resource
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Upload photos error:', error);
+    res.status(500).json({ message: 'Server error while combining pages into a PDF' });
+  }
+});
+
 // @route   PUT /api/resources/:id
-// @desc    Update resource
+// @desc    Update resource; a scheduled resource can get a new publishAt,
+//          or an empty one to publish it right away
 // @access  Private
-router.put('/:id', auth, [
-  body('title').optional().trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5-200 characters'),
-  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10-1000 characters'),
-  body('examCategory').optional().isIn(['UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other']).withMessage('Invalid exam category'),
-  body('section').optional().isIn(['General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other']).withMessage('Invalid section')
-], async (req, res) => {
+router.put('/:id', auth, resourceUpdateValidators, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -242,7 +665,8 @@ router.put('/:id', auth, [
 
     const resource = await Resource.findById(req.params.id);
 
-    if (!resource) {
+    // Drafts are changed through /api/drafts
+    if (!resource || resource.visibility === 'draft') {
       return res.status(404).json({ message: 'Resource not found' });
     }
 
@@ -254,38 +678,63 @@ router.put('/:id', auth, [
       }
     }
 
-    const { title, description, examCategory, section, tags } = req.body;
+    const {
+      title, description, examCategory, section, taxonomy, tags, fileLabel, watermarkDownloads, publishAt
+    } = req.body;
+
+    if (publishAt && resource.visibility !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled resources can get a publish time' });
+    }
 
     // Update fields
+    const previousTags = resource.tags;
     if (title) resource.title = title;
     if (description) resource.description = description;
     if (examCategory) resource.examCategory = examCategory;
     if (section) resource.section = section;
-    if (tags) {
-      resource.tags = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    if (taxonomy !== undefined) {
+      resource.set(await getTaxonomyFields(taxonomy));
+    }
+    if (tags !== undefined) {
+      resource.tags = await resolveTags(tags);
+    }
+    if (fileLabel !== undefined) resource.fileLabel = fileLabel || undefined;
+    if (watermarkDownloads !== undefined) resource.watermarkDownloads = watermarkDownloads;
+    if (publishAt !== undefined && resource.visibility === 'scheduled') {
+      resource.visibility = getVisibility(publishAt);
+      resource.publishAt = publishAt || new Date();
     }
 
     await resource.save();
     await resource.populate('uploadedBy', 'name email');
+    await resource.populate('taxonomyPath', 'name level');
+
+    if (tags !== undefined) {
+      updateTagCounts([...previousTags, ...resource.tags]);
+    }
 
     res.json({
       message: 'Resource updated successfully',
       resource
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Update resource error:', error);
     res.status(500).json({ message: 'Server error while updating resource' });
   }
 });
 
 // @route   DELETE /api/resources/:id
-// @desc    Delete resource
+// @desc    Move resource to the trash (it can be restored until it is purged)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
 
-    if (!resource) {
+    // Drafts are deleted through /api/drafts
+    if (!resource || !resource.isActive || resource.visibility === 'draft') {
       return res.status(404).json({ message: 'Resource not found' });
     }
 
@@ -297,11 +746,12 @@ router.delete('/:id', auth, async (req, res) => {
       }
     }
 
-    // Soft delete
-    resource.isActive = false;
-    await resource.save();
+    await moveToTrash(resource, req.userId);
 
-    res.json({ message: 'Resource deleted successfully' });
+    res.json({
+      message: 'Resource moved to the trash',
+      purgeAt: getPurgeDate(resource)
+    });
   } catch (error) {
     console.error('Delete resource error:', error);
     res.status(500).json({ message: 'Server error while deleting resource' });
@@ -0,0 +1,54 @@
+const express = require('express');
+const { normalizeTag } = require('../services/tags');
+const escapeRegex = require('../utils/escapeRegex');
+const Tag = require('../models/Tag');
+
+const router = express.Router();
+
+// @route   GET /api/tags
+// @desc    List tags, most used first. `q` matches the start of a tag or of
+//          one of its synonyms, or any part of its name (tag picker and
+//          admin search).
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { q, page = 1, limit = 10 } = req.query;
+
+    const filter = {};
+    const text = typeof q === 'string' ? q.trim() : '';
+    if (text) {
+      const slug = normalizeTag(text);
+      filter.$or = [{ name: { $regex: escapeRegex(text), $options: 'i' } }];
+      if (slug) {
+        const prefix = new RegExp(`^${escapeRegex(slug)}`);
+        filter.$or.push({ slug: prefix }, { synonyms: prefix });
+      }
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 10, 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const tags = await Tag.find(filter)
+      .sort({ usageCount: -1, name: 1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await Tag.countDocuments(filter);
+
+    res.json({
+      tags,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / pageSize),
+        totalTags: total,
+        hasNext: skip + tags.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ message: 'Server error while fetching tags' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { createNode, updateNode, moveNode, deleteNode, getTree } = require('../services/taxonomy');
+const ApiError = require('../utils/ApiError');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+// @route   GET /api/taxonomy
+// @desc    Get the syllabus taxonomy (exam → paper → subject → topic) as a
+//          tree with the number of public resources under each node
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const tree = await getTree();
+
+    res.json({ tree });
+  } catch (error) {
+    console.error('Get taxonomy error:', error);
+    res.status(500).json({ message: 'Server error while fetching the syllabus' });
+  }
+});
+
+// @route   POST /api/taxonomy
+// @desc    Add a node below `parent`, or an exam when no parent is given
+// @access  Admin
+router.post('/', auth, admin, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1-100 characters'),
+  body('parent').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid parent node'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a whole number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, parent, order } = req.body;
+    const node = await createNode({ name, parent, order });
+
+    res.status(201).json({
+      message: 'Node added',
+      node
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Create taxonomy node error:', error);
+    res.status(500).json({ message: 'Server error while adding node' });
+  }
+});
+
+// @route   PUT /api/taxonomy/:id
+// @desc    Rename a node or change its order among its siblings
+// @access  Admin
+router.put('/:id', auth, admin, [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1-100 characters'),
+  body('order').optional().isInt({ min: 0 }).withMessage('Order must be a whole number').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, order } = req.body;
+    const node = await updateNode(req.params.id, { name, order });
+
+    res.json({
+      message: 'Node updated',
+      node
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Update taxonomy node error:', error);
+    res.status(500).json({ message: 'Server error while updating node' });
+  }
+});
+
+// @route   PUT /api/taxonomy/:id/move
+// @desc    Move a node and everything below it under `parent`, or to the
+//          root as an exam when no parent is given
+// @access  Admin
+router.put('/:id/move', auth, admin, [
+  body('parent').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid parent node')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const node = await moveNode(req.params.id, req.body.parent);
+
+    res.json({
+      message: 'Node moved',
+      node
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Move taxonomy node error:', error);
+    res.status(500).json({ message: 'Server error while moving node' });
+  }
+});
+
+// @route   DELETE /api/taxonomy/:id
+// @desc    Delete a node without nodes or resources below it
+// @access  Admin
+router.delete('/:id', auth, admin, async (req, res) => {
+  try {
+    await deleteNode(req.params.id);
+
+    res.json({ message: 'Node deleted' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Delete taxonomy node error:', error);
+    res.status(500).json({ message: 'Server error while deleting node' });
+  }
+});
+
+module.exports = router;
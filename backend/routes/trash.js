@@ -0,0 +1,120 @@
+const express = require('express');
+const { TRASH_RETENTION_DAYS, getPurgeDate, restoreFromTrash, purgeResource } = require('../services/trash');
+const { canManage } = require('../services/access');
+const ApiError = require('../utils/ApiError');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Find a deleted resource the current user may restore or purge,
+// answering 404 or 403 if there is none
+const findTrashedResource = async (req, res) => {
+  const resource = await Resource.findById(req.params.id).catch(() => null);
+
+  if (!resource || resource.isActive) {
+    res.status(404).json({ message: 'Resource not found in the trash' });
+    return null;
+  }
+
+  if (!(await canManage(resource, req.userId))) {
+    res.status(403).json({ message: 'Not authorized to change this resource' });
+    return null;
+  }
+
+  return resource;
+};
+
+// @route   GET /api/trash
+// @desc    List the current user's deleted resources (?scope=all lists everyone's for admins)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { scope, page = 1, limit = 10 } = req.query;
+
+    const filter = { isActive: false };
+
+    if (scope === 'all') {
+      const user = await User.findById(req.userId);
+      if (!user || user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only admins can see everyone\'s trash' });
+      }
+    } else {
+      filter.uploadedBy = req.userId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const results = await Resource.find(filter)
+      .populate('uploadedBy', 'name email')
+      .populate('deletedBy', 'name')
+      .sort({ deletedAt: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Resource.countDocuments(filter);
+
+    const resources = results.map(resource => ({
+      ...resource.toJSON(),
+      purgeAt: getPurgeDate(resource)
+    }));
+
+    res.json({
+      resources,
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalResources: total,
+        hasNext: skip + resources.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error while fetching the trash' });
+  }
+});
+
+// @route   POST /api/trash/:id/restore
+// @desc    Restore a deleted resource
+// @access  Private (owner or admin)
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const resource = await findTrashedResource(req, res);
+    if (!resource) return;
+
+    await restoreFromTrash(resource);
+
+    res.json({
+      message: 'Resource restored successfully',
+      resource
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Restore resource error:', error);
+    res.status(500).json({ message: 'Server error while restoring resource' });
+  }
+});
+
+// @route   DELETE /api/trash/:id
+// @desc    Permanently delete a resource from the trash, with its files and ratings
+// @access  Private (owner or admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const resource = await findTrashedResource(req, res);
+    if (!resource) return;
+
+    await purgeResource(resource);
+
+    res.json({ message: 'Resource permanently deleted' });
+  } catch (error) {
+    console.error('Purge resource error:', error);
+    res.status(500).json({ message: 'Server error while permanently deleting resource' });
+  }
+});
+
+module.exports = router;
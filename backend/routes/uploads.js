@@ -0,0 +1,272 @@
+const express = require('express');
+const fs = require('fs');
+const { body, validationResult } = require('express-validator');
+const { MIME_TYPES, MAX_FILE_SIZE, INVALID_FILE_TYPE_MESSAGE } = require('../config/constants');
+const { resourceValidators } = require('../middleware/validators');
+const { createResource } = require('../services/ingest');
+const { checkQuota } = require('../services/quota');
+const { findDraft } = require('../services/publishing');
+const { getTaxonomyFields } = require('../services/taxonomy');
+const { SESSION_TTL, TMP_DIR, getTempPath, removeTempFile } = require('../services/uploads');
+const UploadSession = require('../models/UploadSession');
+const Resource = require('../models/Resource');
+const auth = require('../middleware/auth');
+const ApiError = require('../utils/ApiError');
+
+const router = express.Router();
+
+const CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024; // 5MB
+
+// A completion that has not finished by then is taken to have crashed
+const COMPLETE_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Find an upload session that belongs to the current user
+const findSession = async (req, res) => {
+  const session = await UploadSession.findById(req.params.id).catch(() => null);
+
+  if (!session || session.user.toString() !== req.userId) {
+    res.status(404).json({ message: 'Upload not found' });
+    return null;
+  }
+
+  return session;
+};
+
+const formatSession = (session) => ({
+  uploadId: session._id,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  chunkSize: session.chunkSize,
+  offset: session.receivedBytes,
+  status: session.status,
+  resource: session.resource
+});
+
+// @route   POST /api/uploads
+// @desc    Start a resumable upload
+// @access  Private
+router.post('/', auth, [
+  ...resourceValidators,
+  body('fileName').trim().notEmpty().withMessage('File name is required'),
+  body('fileSize').isInt({ min: 1, max: MAX_FILE_SIZE }).withMessage('File size must be less than 50MB'),
+  body('mimeType').isIn(Object.keys(MIME_TYPES)).withMessage(INVALID_FILE_TYPE_MESSAGE)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      fileName, fileSize, mimeType,
+      title, description, examCategory, section, taxonomy, tags, fileLabel, watermarkDownloads, publishAt, draftId
+    } = req.body;
+
+    // Fail before any chunk is sent; the quota is enforced again when the resource is created
+    await checkQuota(req.userId, parseInt(fileSize));
+    if (draftId) await findDraft(draftId, req.userId);
+    await getTaxonomyFields(taxonomy);
+
+    const session = new UploadSession({
+      user: req.userId,
+      fileName,
+      fileSize: parseInt(fileSize),
+      mimeType,
+      chunkSize: CHUNK_SIZE,
+      metadata: {
+        title, description, examCategory, section, tags, fileLabel, watermarkDownloads,
+        taxonomy: taxonomy || undefined,
+        publishAt: publishAt || undefined,
+        draftId: draftId || undefined
+      },
+      expiresAt: new Date(Date.now() + SESSION_TTL)
+    });
+
+    await fs.promises.mkdir(TMP_DIR, { recursive: true });
+    await fs.promises.writeFile(getTempPath(session), '');
+    await session.save();
+
+    res.status(201).json({
+      message: 'Upload started',
+      upload: formatSession(session)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Start upload error:', error);
+    res.status(500).json({ message: 'Server error while starting upload' });
+  }
+});
+
+// @route   GET /api/uploads/:id
+// @desc    Get upload progress (the offset to resume from)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    res.json({ upload: formatSession(session) });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ message: 'Server error while fetching upload' });
+  }
+});
+
+// @route   PUT /api/uploads/:id?offset=<bytes>
+// @desc    Upload one chunk starting at the given offset
+// @access  Private
+router.put('/:id', auth, express.raw({ type: 'application/octet-stream', limit: CHUNK_SIZE }), async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'active') {
+      return res.status(409).json({ message: 'Upload is already complete', upload: formatSession(session) });
+    }
+
+    const offset = parseInt(req.query.offset);
+    const chunk = Buffer.isBuffer(req.body) ? req.body : null;
+
+    if (!chunk || chunk.length === 0) {
+      return res.status(400).json({ message: 'Chunk data is required' });
+    }
+
+    if (isNaN(offset) || offset < 0 || offset + chunk.length > session.fileSize) {
+      return res.status(400).json({ message: 'Invalid chunk offset' });
+    }
+
+    // Chunks must be sent in order; a gap means the client lost track of progress
+    if (offset > session.receivedBytes) {
+      return res.status(409).json({ message: 'Chunk offset does not match upload progress', upload: formatSession(session) });
+    }
+
+    // Writing at an explicit position makes re-sent chunks harmless
+    const handle = await fs.promises.open(getTempPath(session), 'r+');
+    try {
+      await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    const end = offset + chunk.length;
+    await UploadSession.updateOne(
+      { _id: session._id, receivedBytes: { $lt: end } },
+      { receivedBytes: end, expiresAt: new Date(Date.now() + SESSION_TTL) }
+    );
+
+    res.json({ offset: Math.max(end, session.receivedBytes) });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(410).json({ message: 'Upload has expired, please start again' });
+    }
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ message: 'Server error while uploading chunk' });
+  }
+});
+
+// @route   POST /api/uploads/:id/complete
+// @desc    Finish an upload and create the resource
+//          (send { allowDuplicate: true } to keep a possible duplicate)
+// @access  Private
+router.post('/:id/complete', auth, async (req, res) => {
+  let claimed = null;
+  let completed = false;
+
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    // A retried finalize returns the resource that was already created
+    if (session.status === 'completed') {
+      const resource = await Resource.findById(session.resource).populate('uploadedBy', 'name email');
+      return res.json({ message: 'Resource uploaded successfully', resource });
+    }
+
+    if (session.receivedBytes !== session.fileSize) {
+      return res.status(409).json({ message: 'Upload is not complete yet', upload: formatSession(session) });
+    }
+
+    // Claim the session so a retry sent while this one is still working
+    // can't create the resource a second time. A claim left behind by a
+    // request that never finished can be taken over once it is stale.
+    claimed = await UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        $or: [
+          { status: 'active' },
+          { status: 'completing', completingAt: { $lt: new Date(Date.now() - COMPLETE_TIMEOUT) } },
+          { status: 'completing', completingAt: { $exists: false } }
+        ]
+      },
+      { status: 'completing', completingAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ message: 'Upload is already being completed' });
+    }
+
+    const buffer = await fs.promises.readFile(getTempPath(session));
+
+    const resource = await createResource({
+      file: {
+        buffer,
+        originalname: session.fileName,
+        mimetype: session.mimeType,
+        size: buffer.length
+      },
+      metadata: session.metadata,
+      userId: req.userId,
+      allowDuplicate: req.body.allowDuplicate === true
+    });
+
+    await UploadSession.updateOne(
+      { _id: session._id },
+      { status: 'completed', resource: resource._id, $unset: { completingAt: 1 } }
+    );
+    completed = true;
+    await removeTempFile(session);
+
+    res.status(201).json({
+      message: 'Resource uploaded successfully',
+      resource
+    });
+  } catch (error) {
+    // Let the client try again, e.g. with allowDuplicate after a duplicate warning
+    if (claimed && !completed) {
+      await UploadSession.updateOne(
+        { _id: claimed._id, status: 'completing', completingAt: claimed.completingAt },
+        { status: 'active', $unset: { completingAt: 1 } }
+      ).catch(() => {});
+    }
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    if (error.code === 'ENOENT') {
+      return res.status(410).json({ message: 'Upload has expired, please start again' });
+    }
+    console.error('Complete upload error:', error);
+    res.status(500).json({ message: 'Server error while completing upload' });
+  }
+});
+
+// @route   DELETE /api/uploads/:id
+// @desc    Cancel an upload
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    await removeTempFile(session);
+    await UploadSession.findByIdAndDelete(session._id);
+
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({ message: 'Server error while cancelling upload' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ensureInitialVersion, uploadVersion, revertToVersion } = require('../services/versions');
+const { canManage, canView } = require('../services/access');
+const ApiError = require('../utils/ApiError');
+const Resource = require('../models/Resource');
+const ResourceVersion = require('../models/ResourceVersion');
+const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const upload = require('../middleware/upload');
+
+// Mounted at /api/resources/:id/versions
+const router = express.Router({ mergeParams: true });
+
+// Find an active resource, answering 404 if there is none
+const findResource = async (req, res) => {
+  const resource = await Resource.findById(req.params.id).catch(() => null);
+
+  if (!resource || !resource.isActive) {
+    res.status(404).json({ message: 'Resource not found' });
+    return null;
+  }
+
+  return resource;
+};
+
+// Find a resource the current user may see, hiding the same resources as
+// GET /api/resources/:id (drafts, and unpublished or scheduled ones of others)
+const findVisibleResource = async (req, res) => {
+  const resource = await Resource.findById(req.params.id).catch(() => null);
+
+  if (!resource || !resource.isActive || resource.visibility === 'draft' || !(await canView(resource, req.userId))) {
+    res.status(404).json({ message: 'Resource not found' });
+    return null;
+  }
+
+  return resource;
+};
+
+// @route   GET /api/resources/:id/versions
+// @desc    Get the version history of a resource
+// @access  Public (unpublished and scheduled resources only for their owner or an admin)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const resource = await findVisibleResource(req, res);
+    if (!resource) return;
+
+    await ensureInitialVersion(resource);
+
+    const versions = await ResourceVersion.find({ resource: resource._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ version: -1 });
+
+    res.json({
+      currentVersion: resource.currentVersion,
+      versions
+    });
+  } catch (error) {
+    console.error('Get versions error:', error);
+    res.status(500).json({ message: 'Server error while fetching versions' });
+  }
+});
+
+// @route   GET /api/resources/:id/versions/:version
+// @desc    Get a single version
+// @access  Public (unpublished and scheduled resources only for their owner or an admin)
+router.get('/:version', optionalAuth, async (req, res) => {
+  try {
+    const resource = await findVisibleResource(req, res);
+    if (!resource) return;
+
+    await ensureInitialVersion(resource);
+
+    const version = await ResourceVersion.findOne({
+      resource: resource._id,
+      version: parseInt(req.params.version)
+    }).populate('uploadedBy', 'name email');
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    console.error('Get version error:', error);
+    res.status(500).json({ message: 'Server error while fetching version' });
+  }
+});
+
+// @route   POST /api/resources/:id/versions
+// @desc    Upload a new version of the resource file
+// @access  Private
+router.post('/', auth, upload.single('file'), [
+  body('changelog').optional().trim().isLength({ max: 500 }).withMessage('Changelog cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'File is required' });
+    }
+
+    const resource = await findResource(req, res);
+    if (!resource) return;
+
+    if (!(await canManage(resource, req.userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this resource' });
+    }
+
+    const version = await uploadVersion({
+      resource,
+      file: req.file,
+      changelog: req.body.changelog,
+      userId: req.userId
+    });
+
+    await resource.populate('uploadedBy', 'name email');
+
+    res.status(201).json({
+      message: `Version ${version.version} uploaded successfully`,
+      version,
+      resource
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Upload version error:', error);
+    res.status(500).json({ message: 'Server error while uploading version' });
+  }
+});
+
+// @route   POST /api/resources/:id/versions/:version/revert
+// @desc    Make an older version the current one
+// @access  Private
+router.post('/:version/revert', auth, async (req, res) => {
+  try {
+    const resource = await findResource(req, res);
+    if (!resource) return;
+
+    if (!(await canManage(resource, req.userId))) {
+      return res.status(403).json({ message: 'Not authorized to update this resource' });
+    }
+
+    const version = await revertToVersion({
+      resource,
+      versionNumber: parseInt(req.params.version),
+      userId: req.userId
+    });
+
+    await resource.populate('uploadedBy', 'name email');
+
+    res.status(201).json({
+      message: `Reverted to version ${req.params.version}`,
+      version,
+      resource
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Revert version error:', error);
+    res.status(500).json({ message: 'Server error while reverting version' });
+  }
+});
+
+module.exports = router;
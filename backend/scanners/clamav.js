@@ -0,0 +1,65 @@
+const net = require('net');
+
+// Talks to a clamd daemon over TCP using the INSTREAM command
+const HOST = process.env.CLAMAV_HOST || '127.0.0.1';
+const PORT = parseInt(process.env.CLAMAV_PORT) || 3310;
+const TIMEOUT = parseInt(process.env.CLAMAV_TIMEOUT) || 60000;
+const CHUNK_SIZE = 64 * 1024;
+
+// Send the buffer as length-prefixed chunks, ended by a zero-length chunk
+const writeStream = (socket, buffer) => {
+  socket.write('zINSTREAM\0');
+
+  for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+    const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(chunk.length);
+    socket.write(size);
+    socket.write(chunk);
+  }
+
+  socket.end(Buffer.alloc(4));
+};
+
+// clamd answers "stream: OK", "stream: <signature> FOUND" or "<message> ERROR"
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+
+  if (text.endsWith('OK')) {
+    return { infected: false, signature: null };
+  }
+
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+
+  throw new Error(`ClamAV scan failed: ${text}`);
+};
+
+const scan = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: HOST, port: PORT });
+    const chunks = [];
+
+    socket.setTimeout(TIMEOUT, () => {
+      socket.destroy(new Error('ClamAV scan timed out'));
+    });
+
+    socket.on('connect', () => writeStream(socket, buffer));
+    socket.on('data', (chunk) => chunks.push(chunk));
+    socket.on('error', (error) => reject(new Error(`ClamAV is unavailable: ${error.message}`)));
+    socket.on('end', () => {
+      try {
+        resolve(parseReply(Buffer.concat(chunks).toString()));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+};
+
+module.exports = {
+  name: 'clamav',
+  scan
+};
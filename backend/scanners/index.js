@@ -0,0 +1,51 @@
+// Malware scanner registry
+//
+// Every scanner exposes the same interface:
+//   scan(buffer) -> { infected, signature }
+// and throws when the file could not be scanned (e.g. the daemon is down).
+//
+// The active scanner is chosen with SCANNER (clamav, stub). There is no
+// default: without a scanner every scan fails and uploads stay pending
+// until an admin releases them. The stub only catches the EICAR test file,
+// so it has to be chosen explicitly and is refused in production.
+
+const SCANNERS = {
+  clamav: './clamav',
+  stub: './stub'
+};
+
+const scanners = {};
+
+// Name of the configured scanner, or an error explaining why none is usable
+const getScannerName = () => {
+  const name = (process.env.SCANNER || '').trim().toLowerCase();
+
+  if (!name) {
+    throw new Error('No malware scanner configured; set SCANNER (clamav, or stub for development)');
+  }
+
+  if (!SCANNERS[name]) {
+    throw new Error(`Unknown malware scanner: ${name}`);
+  }
+
+  if (name === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new Error('The stub malware scanner is for development only; set SCANNER=clamav');
+  }
+
+  return name;
+};
+
+const getScanner = () => {
+  const name = getScannerName();
+
+  if (!scanners[name]) {
+    scanners[name] = require(SCANNERS[name]);
+  }
+
+  return scanners[name];
+};
+
+module.exports = {
+  getScannerName,
+  getScanner
+};
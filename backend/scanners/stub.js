@@ -0,0 +1,17 @@
+// Scanner for development and tests: only the EICAR test file is
+// reported as infected, so the quarantine flow can be tried without ClamAV
+const EICAR_SIGNATURE = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+const scan = async (buffer) => {
+  const infected = buffer.includes(EICAR_SIGNATURE);
+
+  return {
+    infected,
+    signature: infected ? 'Eicar-Test-Signature' : null
+  };
+};
+
+module.exports = {
+  name: 'stub',
+  scan
+};
@@ -0,0 +1,40 @@
+const User = require('../models/User');
+
+// Query matching resources everyone can see: not deleted, past the
+// malware scan (resources created before scanning have no status) and
+// neither a draft nor scheduled for later
+const PUBLIC_FILTER = {
+  isActive: true,
+  status: { $nin: ['pending_scan', 'quarantined'] },
+  visibility: { $nin: ['draft', 'scheduled'] }
+};
+
+const isPublished = (resource) => resource.status === 'published';
+
+// Whether the owner released the resource to everyone
+const isReleased = (resource) => !['draft', 'scheduled'].includes(resource.visibility);
+
+// Check if user owns the resource or is admin
+const canManage = async (resource, userId) => {
+  if (!userId) return false;
+  if (resource.uploadedBy.toString() === userId) return true;
+
+  const user = await User.findById(userId);
+  return Boolean(user && user.role === 'admin');
+};
+
+// Published resources can be seen by anyone; deleted ones, drafts,
+// scheduled ones and ones that are not through the malware scan only by
+// their owner or an admin
+const canView = async (resource, userId) => {
+  if (resource.isActive && isPublished(resource) && isReleased(resource)) return true;
+  return canManage(resource, userId);
+};
+
+module.exports = {
+  PUBLIC_FILTER,
+  isPublished,
+  isReleased,
+  canManage,
+  canView
+};
@@ -0,0 +1,160 @@
+const path = require('path');
+const archiver = require('archiver');
+const ApiError = require('../utils/ApiError');
+const { getDriver, readFile } = require('../storage');
+const { sanitizeFileName } = require('../utils/fileNames');
+const { MAX_ATTACHMENTS } = require('../config/constants');
+const { hashContent, checkQuarantined, storeOwnedFile, discardFile } = require('./ingest');
+const { verifyFileType } = require('./fileType');
+const { scheduleProcessing } = require('./processing');
+const { stampPdf } = require('./watermark');
+
+// Add a file to the end of a resource's bundle. Like a new version, the
+// resource is held back until the whole bundle passed the malware scan.
+const addAttachment = async ({ resource, file, label }) => {
+  if (resource.attachments.length >= MAX_ATTACHMENTS) {
+    throw new ApiError(400, `A resource can have at most ${MAX_ATTACHMENTS} additional files`, {
+      code: 'TOO_MANY_FILES'
+    });
+  }
+
+  const fileType = verifyFileType(file);
+
+  const contentHash = hashContent(file.buffer);
+  await checkQuarantined(contentHash);
+
+  const storedFile = await storeOwnedFile(resource.uploadedBy, file, contentHash, fileType);
+
+  resource.attachments.push({ ...storedFile, label: label || undefined });
+  resource.status = 'pending_scan';
+  resource.scan = undefined;
+
+  try {
+    await resource.save();
+  } catch (error) {
+    await discardFile(storedFile, resource.uploadedBy);
+    throw error;
+  }
+
+  scheduleProcessing(resource._id);
+  return resource.attachments[resource.attachments.length - 1];
+};
+
+// Remove a file from a resource's bundle and delete it from storage.
+// Attachments are not versioned, so nothing else refers to the file.
+const removeAttachment = async ({ resource, attachmentId }) => {
+  const attachment = resource.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new ApiError(404, 'File not found');
+  }
+
+  resource.attachments.pull(attachment._id);
+
+  // A bundle held back because of this file gets another chance
+  const wasPublished = resource.status === 'published';
+  if (!wasPublished) {
+    resource.status = 'pending_scan';
+    resource.scan = undefined;
+  }
+
+  await resource.save();
+  await discardFile(attachment, resource.uploadedBy);
+
+  // The search index still has the text of the removed file
+  scheduleProcessing(resource._id, null, { skipScan: wasPublished });
+};
+
+// Reorder a resource's attachments and update their labels.
+// `attachments` lists every attachment as { _id, label } in the new order.
+const updateAttachments = async ({ resource, attachments }) => {
+  const ids = attachments.map(attachment => String(attachment._id));
+  const currentIds = resource.attachments.map(attachment => String(attachment._id));
+
+  const sameFiles = ids.length === currentIds.length &&
+    new Set(ids).size === ids.length &&
+    ids.every(id => currentIds.includes(id));
+
+  if (!sameFiles) {
+    throw new ApiError(400, 'The list must contain every file of the resource exactly once');
+  }
+
+  resource.attachments = attachments.map(({ _id, label }) => {
+    const attachment = resource.attachments.id(_id).toObject();
+    attachment.label = label || undefined;
+    return attachment;
+  });
+
+  await resource.save();
+};
+
+// Find the main file (no id) or one of the attachments of a resource
+const findFile = (resource, attachmentId) => {
+  if (!attachmentId) return resource;
+
+  const attachment = resource.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new ApiError(404, 'File not found');
+  }
+
+  return attachment;
+};
+
+// Name of a file inside the bundle ZIP. The position prefix keeps the
+// bundle order and makes names unique.
+const getEntryName = (file, index) => {
+  const label = index === 0 ? file.fileLabel : file.label;
+  const name = label ? `${label}${path.extname(file.fileName)}` : file.fileName;
+  return `${String(index + 1).padStart(2, '0')} - ${sanitizeFileName(name.replace(/[\\/]/g, '-'))}`;
+};
+
+// Name of the bundle ZIP, taken from the resource title
+const getArchiveName = (resource) => `${sanitizeFileName(resource.title.replace(/[\\/]/g, '-'))}.zip`;
+
+// Stream the main file and all attachments of a resource as a ZIP. With a
+// `watermarkText` the PDFs in it are stamped with that footer.
+const streamBundle = async (resource, output, { watermarkText = null } = {}) => {
+  const files = [resource, ...resource.attachments];
+
+  // Resources uploaded before the storage layer are only reachable by their URL
+  if (files.some(file => !file.storageKey)) {
+    throw new ApiError(409, 'This resource cannot be downloaded as a ZIP');
+  }
+
+  const archive = archiver('zip');
+  archive.on('warning', (error) => console.warn('Bundle archive warning:', error));
+  archive.on('error', (error) => {
+    console.error('Bundle archive error:', error);
+    output.destroy(error);
+  });
+  archive.pipe(output);
+
+  // Files are read one at a time so only one storage stream is open
+  for (const [index, file] of files.entries()) {
+    const name = getEntryName(file, index);
+
+    if (watermarkText && file.fileType === 'pdf') {
+      const stamped = await stampPdf(await readFile(file.storageDriver, file.storageKey), watermarkText);
+      archive.append(stamped, { name });
+      await new Promise((resolve) => archive.once('entry', resolve));
+      continue;
+    }
+
+    const stream = await getDriver(file.storageDriver).getStream(file.storageKey);
+    archive.append(stream, { name });
+    await new Promise((resolve, reject) => {
+      archive.once('entry', resolve);
+      stream.once('error', reject);
+    });
+  }
+
+  await archive.finalize();
+};
+
+module.exports = {
+  addAttachment,
+  removeAttachment,
+  updateAttachments,
+  findFile,
+  getArchiveName,
+  streamBundle
+};
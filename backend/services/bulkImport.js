@@ -0,0 +1,243 @@
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { resourceValidators } = require('../middleware/validators');
+const { MAX_FILE_SIZE, EXTENSION_MIME_TYPES } = require('../config/constants');
+const { createResource } = require('./ingest');
+const { verifyFileType } = require('./fileType');
+const { checkQuota } = require('./quota');
+const ApiError = require('../utils/ApiError');
+
+const MAX_ROWS = parseInt(process.env.BULK_MAX_ROWS) || 200;
+
+// Total size of the files in an archive once extracted
+const MAX_EXTRACTED_SIZE_MB = parseInt(process.env.BULK_MAX_EXTRACTED_MB) || 1024;
+
+// ZIP compression methods
+const STORED = 0;
+const DEFLATED = 8;
+
+// Manifest names looked for at the root of the archive when no manifest
+// file is uploaded next to it
+const MANIFEST_NAMES = ['manifest.csv', 'manifest.json'];
+
+const MANIFEST_FIELDS = ['file', 'title', 'description', 'examCategory', 'section', 'tags'];
+
+// Normalize a manifest row to string fields, the shape a form upload has
+const normalizeRow = (row) => {
+  return MANIFEST_FIELDS.reduce((fields, field) => {
+    const value = row[field];
+    if (Array.isArray(value)) {
+      fields[field] = value.join(',');
+    } else if (value !== undefined && value !== null) {
+      fields[field] = String(value);
+    }
+    return fields;
+  }, {});
+};
+
+// Parse a CSV (header row required) or JSON manifest into rows
+const parseManifest = (buffer, fileName) => {
+  const content = buffer.toString('utf8');
+  let rows;
+
+  try {
+    if (path.extname(fileName).toLowerCase() === '.json') {
+      const data = JSON.parse(content);
+      rows = Array.isArray(data) ? data : data.resources;
+    } else {
+      rows = parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+    }
+  } catch (error) {
+    throw new ApiError(400, `Could not read the manifest: ${error.message}`, { code: 'INVALID_MANIFEST' });
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ApiError(400, 'The manifest has no rows', { code: 'INVALID_MANIFEST' });
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw new ApiError(400, `A manifest can list at most ${MAX_ROWS} files`, { code: 'TOO_MANY_ROWS' });
+  }
+
+  return rows.map(normalizeRow);
+};
+
+const normalizeEntryPath = (name) => name.replace(/\\/g, '/').replace(/^\.?\//, '');
+
+// Index the files of the archive by path, skipping folders and macOS metadata
+const readArchive = (buffer) => {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new ApiError(400, 'The archive is not a valid ZIP file', { code: 'INVALID_ARCHIVE' });
+  }
+
+  const files = new Map();
+  entries
+    .filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'))
+    .forEach(entry => files.set(normalizeEntryPath(entry.entryName), entry));
+
+  // Extraction checks every file against its declared size, so the
+  // declared sizes are enough to bound the whole archive
+  const totalSize = [...files.values()].reduce((total, entry) => total + entry.header.size, 0);
+  if (totalSize > MAX_EXTRACTED_SIZE_MB * 1024 * 1024) {
+    throw new ApiError(400, `The archive's files add up to more than ${MAX_EXTRACTED_SIZE_MB}MB once extracted`, {
+      code: 'ARCHIVE_TOO_LARGE'
+    });
+  }
+
+  return files;
+};
+
+// Extract an archive entry. The declared size can't be trusted, so
+// decompression stops just past it and anything else is rejected.
+const extractEntry = (entry) => {
+  const damaged = new ApiError(400, `"${entry.entryName}" is damaged or larger than the archive says`, {
+    code: 'INVALID_ARCHIVE'
+  });
+  const { size, method, encrypted } = entry.header;
+
+  if (encrypted || size > MAX_FILE_SIZE) throw damaged;
+
+  const compressed = entry.getCompressedData();
+  let data;
+
+  if (method === STORED) {
+    data = compressed;
+  } else if (method === DEFLATED) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: size + 1 });
+    } catch (error) {
+      throw damaged;
+    }
+  } else {
+    throw damaged;
+  }
+
+  if (data.length !== size) throw damaged;
+  return data;
+};
+
+// Find the archive entry a manifest row points at: by full path, or by
+// file name when that is unambiguous
+const findEntry = (files, fileName) => {
+  const wanted = normalizeEntryPath(fileName);
+  if (files.has(wanted)) return files.get(wanted);
+
+  const matches = [...files.keys()].filter(name => path.posix.basename(name) === wanted);
+  return matches.length === 1 ? files.get(matches[0]) : null;
+};
+
+// Check a row against the POST /api/resources rules and the archive.
+// Returns a list of error messages (empty when the row is valid).
+const validateRow = async (row, files) => {
+  const req = { body: row };
+  for (const validator of resourceValidators) {
+    await validator.run(req);
+  }
+  const messages = validationResult(req).array().map(error => error.msg);
+
+  if (!row.file) {
+    messages.push('File is required');
+    return messages;
+  }
+
+  const entry = findEntry(files, row.file);
+  if (!entry) {
+    messages.push(`File "${row.file}" was not found in the archive`);
+  } else if (!EXTENSION_MIME_TYPES[path.extname(entry.entryName).toLowerCase()]) {
+    messages.push('Invalid file type. Only PDF, DOC, DOCX, TXT, JPG, PNG files are allowed.');
+  } else if (entry.header.size > MAX_FILE_SIZE) {
+    // The declared size is checked before anything is extracted
+    messages.push('File too large. Maximum size is 50MB.');
+  }
+
+  return messages;
+};
+
+// Import every row of the manifest as a resource. Rows are independent: a
+// failing row is reported and the rest are still imported. With `dryRun`
+// rows are only validated.
+const importArchive = async ({ archive, manifest, userId, dryRun = false, allowDuplicates = false }) => {
+  const files = readArchive(archive.buffer);
+
+  if (!manifest) {
+    const manifestName = MANIFEST_NAMES.find(name => files.has(name));
+    if (!manifestName) {
+      throw new ApiError(400, 'Upload a manifest or include manifest.csv or manifest.json in the archive', {
+        code: 'MISSING_MANIFEST'
+      });
+    }
+    manifest = { buffer: extractEntry(files.get(manifestName)), originalname: manifestName };
+  }
+
+  const rows = parseManifest(manifest.buffer, manifest.originalname);
+  const results = [];
+  // Bytes the valid rows of a dry run would add to the user's storage
+  let plannedBytes = 0;
+
+  for (const [index, row] of rows.entries()) {
+    const result = { row: index + 1, file: row.file, title: row.title };
+    results.push(result);
+
+    const errors = await validateRow(row, files);
+    if (errors.length > 0) {
+      Object.assign(result, { status: 'error', message: errors[0], errors });
+      continue;
+    }
+
+    try {
+      const entry = findEntry(files, row.file);
+      const buffer = extractEntry(entry);
+      const file = {
+        buffer,
+        originalname: path.posix.basename(entry.entryName),
+        mimetype: EXTENSION_MIME_TYPES[path.extname(entry.entryName).toLowerCase()],
+        size: buffer.length
+      };
+
+      if (dryRun) {
+        verifyFileType(file);
+        await checkQuota(userId, plannedBytes + file.size);
+        plannedBytes += file.size;
+        result.status = 'valid';
+        continue;
+      }
+
+      const resource = await createResource({
+        file,
+        metadata: row,
+        userId,
+        allowDuplicate: allowDuplicates
+      });
+
+      Object.assign(result, { status: 'created', resourceId: resource._id });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        Object.assign(result, { status: 'error', message: error.message, code: error.details.code });
+      } else {
+        console.error(`Bulk import row ${result.row} error:`, error);
+        Object.assign(result, { status: 'error', message: 'Server error while creating resource' });
+      }
+    }
+  }
+
+  return {
+    summary: {
+      total: results.length,
+      created: results.filter(result => result.status === 'created').length,
+      valid: results.filter(result => result.status === 'valid').length,
+      failed: results.filter(result => result.status === 'error').length
+    },
+    results
+  };
+};
+
+module.exports = {
+  parseManifest,
+  importArchive
+};
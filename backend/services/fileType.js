@@ -0,0 +1,90 @@
+const path = require('path');
+const ApiError = require('../utils/ApiError');
+const { MIME_TYPES, EXTENSION_MIME_TYPES } = require('../config/constants');
+
+// Only the first bytes are needed to recognise most formats
+const SNIFF_LENGTH = 64 * 1024;
+
+const startsWith = (buffer, bytes) => buffer.subarray(0, bytes.length).equals(Buffer.from(bytes));
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const PDF_SIGNATURE = '%PDF-';
+
+// Windows (MZ) and Linux (ELF) executables, rejected whatever they contain
+const EXECUTABLE_SIGNATURES = [[0x4d, 0x5a], [0x7f, 0x45, 0x4c, 0x46]];
+
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+
+// PDFs must start with their signature; only a byte order mark or
+// whitespace may come before it
+const isPdf = (buffer) => {
+  let start = startsWith(buffer, UTF8_BOM) ? UTF8_BOM.length : 0;
+  while (start < buffer.length && [0x09, 0x0a, 0x0c, 0x0d, 0x20].includes(buffer[start])) {
+    start++;
+  }
+  return buffer.subarray(start, start + PDF_SIGNATURE.length).toString('latin1') === PDF_SIGNATURE;
+};
+
+// Plain text has no signature; accept it when there are no NUL bytes and
+// the bytes decode as UTF-8
+const isText = (buffer) => {
+  const sample = buffer.subarray(0, SNIFF_LENGTH);
+  if (sample.includes(0)) return false;
+
+  try {
+    // A multi-byte character may be cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, sample.length - 4));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Work out the real file type from the file's bytes, or null when it is
+// not one of the accepted formats
+const detectFileType = (buffer) => {
+  if (EXECUTABLE_SIGNATURES.some(signature => startsWith(buffer, signature))) return null;
+
+  if (isPdf(buffer)) return 'pdf';
+  if (startsWith(buffer, PNG_SIGNATURE)) return 'png';
+  if (startsWith(buffer, JPEG_SIGNATURE)) return 'jpg';
+
+  // DOCX is a ZIP archive; its part names are stored uncompressed
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    return buffer.includes('[Content_Types].xml') && buffer.includes('word/document.xml') ? 'docx' : null;
+  }
+
+  // DOC is an OLE compound file with a "WordDocument" stream
+  if (startsWith(buffer, OLE_SIGNATURE)) {
+    return buffer.includes(Buffer.from('WordDocument', 'utf16le')) ? 'doc' : null;
+  }
+
+  return isText(buffer) ? 'txt' : null;
+};
+
+// Check that a file's content matches its declared mimetype and extension.
+// Returns the detected file type, which is what gets stored.
+const verifyFileType = (file) => {
+  const detectedType = detectFileType(file.buffer);
+  const claimedType = MIME_TYPES[file.mimetype] || null;
+  // An accepted extension in the file name must agree with the content too
+  const extensionType = MIME_TYPES[EXTENSION_MIME_TYPES[path.extname(file.originalname || '').toLowerCase()]];
+
+  if (!detectedType || detectedType !== claimedType || (extensionType && extensionType !== detectedType)) {
+    throw new ApiError(415, 'The file content does not match its type. Only real PDF, DOC, DOCX, TXT, JPG and PNG files are allowed.', {
+      code: 'FILE_TYPE_MISMATCH',
+      claimedType: claimedType !== detectedType ? claimedType : extensionType,
+      detectedType: detectedType || 'unknown'
+    });
+  }
+
+  return detectedType;
+};
+
+module.exports = {
+  detectFileType,
+  verifyFileType
+};
@@ -0,0 +1,71 @@
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const sanitizeHtml = require('sanitize-html');
+
+// File types the reader shows as HTML rendered on the server
+const HTML_TYPES = ['doc', 'docx', 'txt'];
+
+const canRenderHtml = (fileType) => HTML_TYPES.includes(fileType);
+
+// Only document structure survives: no scripts, styles, forms or embedded
+// content, and images only when they are embedded in the file itself
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'a', 'img',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'id', 'target', 'rel'],
+    img: ['src', 'alt'],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['data'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // External links open outside the app; footnote links stay on the page
+    a: (tagName, attribs) => (attribs.href && !attribs.href.startsWith('#')
+      ? { tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' } }
+      : { tagName, attribs })
+  }
+};
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+// Legacy .doc files only give up their text, so blank lines become paragraphs
+const textToParagraphs = (text) => {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+};
+
+const renderers = {
+  // Headings, lists, tables and embedded images (as data URIs) are kept
+  docx: async (buffer) => (await mammoth.convertToHtml({ buffer })).value,
+  doc: async (buffer) => textToParagraphs((await new WordExtractor().extract(buffer)).getBody()),
+  txt: async (buffer) => `<pre>${escapeHtml(buffer.toString('utf8'))}</pre>`
+};
+
+// Render a Word or text file as sanitized HTML, safe to insert into a page.
+// Returns null for other file types.
+const renderHtml = async (buffer, fileType) => {
+  const renderer = renderers[fileType];
+  if (!renderer) return null;
+
+  return sanitizeHtml(await renderer(buffer), SANITIZE_OPTIONS);
+};
+
+module.exports = {
+  canRenderHtml,
+  renderHtml
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { getStorage, getDriver } = require('../storage');
+const Resource = require('../models/Resource');
+const ResourceVersion = require('../models/ResourceVersion');
+const ApiError = require('../utils/ApiError');
+const { scheduleProcessing } = require('./processing');
+const { verifyFileType } = require('./fileType');
+const { reserveStorage, releaseStorage } = require('./quota');
+const { getVisibility, findDraft } = require('./publishing');
+const { PUBLIC_FILTER } = require('./access');
+const { resolveTags, updateTagCounts } = require('./tags');
+const { getTaxonomyFields } = require('./taxonomy');
+const { sanitizeFileName, buildStorageKey } = require('../utils/fileNames');
+const { CONTENT_TYPES } = require('../config/constants');
+
+// What to do when an upload matches an existing resource:
+//   warn   - answer with a possible duplicate; the client may upload anyway
+//   reject - never accept a duplicate
+const DUPLICATE_POLICY = process.env.DUPLICATE_POLICY === 'reject' ? 'reject' : 'warn';
+
+// SHA-256 of the file content
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Throw if the content was quarantined before, as a resource's current
+// file or as one of its versions
+const checkQuarantined = async (contentHash) => {
+  const quarantined = await Resource.exists({ contentHash, status: 'quarantined' })
+    || await ResourceVersion.exists({ contentHash, 'scan.result': 'infected' });
+  if (quarantined) {
+    throw new ApiError(422, 'This file was flagged as malware and cannot be uploaded', {
+      code: 'QUARANTINED_FILE'
+    });
+  }
+};
+
+// Throw if the content was quarantined before, or if an active resource
+// already has it. Only a public resource or one of the uploader's own is
+// described; a match the uploader can't see is rejected without details.
+const checkDuplicate = async (contentHash, allowDuplicate, userId) => {
+  await checkQuarantined(contentHash);
+
+  const existing = await Resource.findOne({
+    contentHash,
+    $or: [PUBLIC_FILTER, { isActive: true, uploadedBy: userId }]
+  })
+    .select('title examCategory section uploadedBy createdAt')
+    .populate('uploadedBy', 'name');
+
+  if (!existing) {
+    if (await Resource.exists({ contentHash, isActive: true })) {
+      throw new ApiError(409, 'This file has already been uploaded', {
+        code: 'DUPLICATE_RESOURCE'
+      });
+    }
+    return;
+  }
+
+  if (DUPLICATE_POLICY === 'reject') {
+    throw new ApiError(409, 'This file has already been uploaded', {
+      code: 'DUPLICATE_RESOURCE',
+      duplicate: existing
+    });
+  }
+
+  if (!allowDuplicate) {
+    throw new ApiError(409, 'This file looks like a duplicate of an existing resource', {
+      code: 'POSSIBLE_DUPLICATE',
+      duplicate: existing
+    });
+  }
+};
+
+// Store a file with the configured storage driver and return the
+// file fields shared by resources and their versions.
+// `file` has the same shape as a multer file: { buffer, originalname, mimetype, size }
+const storeFile = async (file, contentHash = hashContent(file.buffer), fileType = verifyFileType(file)) => {
+  const fileName = sanitizeFileName(file.originalname);
+
+  const storage = getStorage();
+  const { key, url } = await storage.put(buildStorageKey(fileName, fileType), file.buffer, {
+    contentType: CONTENT_TYPES[fileType]
+  });
+
+  return {
+    fileUrl: url,
+    fileName,
+    fileSize: file.size,
+    fileType,
+    storageDriver: storage.name,
+    storageKey: key,
+    contentHash
+  };
+};
+
+// Store a file counted against the storage quota of `ownerId`
+const storeOwnedFile = async (ownerId, file, contentHash, fileType) => {
+  await reserveStorage(ownerId, file.size);
+
+  try {
+    return await storeFile(file, contentHash, fileType);
+  } catch (error) {
+    await releaseStorage(ownerId, file.size);
+    throw error;
+  }
+};
+
+// Delete a stored file that is no longer used (e.g. its document could not
+// be saved) and give its space back to its owner
+const discardFile = async (storedFile, ownerId) => {
+  await getDriver(storedFile.storageDriver).delete(storedFile.storageKey).catch(() => {});
+  await releaseStorage(ownerId, storedFile.fileSize);
+};
+
+// Store an uploaded file and create the resource pointing at it. With a
+// `draftId` in the metadata the user's draft becomes that resource.
+const createResource = async ({ file, metadata, userId, allowDuplicate = false }) => {
+  const {
+    title, description, examCategory, section, taxonomy, tags, fileLabel, watermarkDownloads, publishAt, draftId
+  } = metadata;
+
+  // Fail before anything is stored
+  const draft = draftId ? await findDraft(draftId, userId) : null;
+
+  // Trust the file's bytes, not the type the client sent
+  const fileType = verifyFileType(file);
+
+  const contentHash = hashContent(file.buffer);
+  await checkDuplicate(contentHash, allowDuplicate, userId);
+
+  const taxonomyFields = await getTaxonomyFields(taxonomy);
+  const tagSlugs = await resolveTags(tags);
+  const storedFile = await storeOwnedFile(userId, file, contentHash, fileType);
+
+  const resource = draft || new Resource();
+  resource.set({
+    title,
+    description,
+    examCategory,
+    section,
+    ...taxonomyFields,
+    ...storedFile,
+    fileLabel: fileLabel || undefined,
+    watermarkDownloads: watermarkDownloads === true || watermarkDownloads === 'true',
+    visibility: getVisibility(publishAt),
+    publishAt: publishAt || undefined,
+    status: 'pending_scan',
+    uploadedBy: userId,
+    tags: tagSlugs
+  });
+
+  try {
+    await resource.save();
+  } catch (error) {
+    // Don't leave an orphaned file behind if the resource can't be saved
+    await discardFile(storedFile, userId);
+    throw error;
+  }
+
+  await ResourceVersion.create({
+    resource: resource._id,
+    version: 1,
+    ...storedFile,
+    changelog: 'Initial version',
+    uploadedBy: userId
+  });
+
+  scheduleProcessing(resource._id, file.buffer);
+  updateTagCounts(resource.tags);
+
+  await resource.populate('uploadedBy', 'name email');
+  return resource;
+};
+
+module.exports = {
+  hashContent,
+  checkQuarantined,
+  storeFile,
+  storeOwnedFile,
+  discardFile,
+  createResource
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createWorker } = require('tesseract.js');
+const { renderPdfPages, measurePdfText } = require('./pdfWorker');
+
+// Languages to recognize as tesseract codes joined by '+'. Each one needs
+// its @tesseract.js-data package, so recognition works without a network.
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng+hin';
+
+// Scanned PDFs are recognized up to this many pages
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 20;
+
+// Keep recognized text well below MongoDB's document size limit
+const MAX_TEXT_LENGTH = 500000;
+
+// PDF pages with less embedded text than this are treated as scanned
+const MIN_PAGE_TEXT = 20;
+
+// Width pages and photos are scaled to before recognition
+const OCR_WIDTH = 2000;
+
+const IMAGE_TYPES = ['jpg', 'jpeg', 'png'];
+
+const canRecognize = (fileType) => fileType === 'pdf' || IMAGE_TYPES.includes(fileType);
+
+// Directory with a <code>.traineddata.gz file per language. Without
+// OCR_LANG_PATH the files are gathered from the installed packages once.
+let langPath = process.env.OCR_LANG_PATH || null;
+
+const getLangPath = async () => {
+  if (langPath) return langPath;
+
+  const dir = path.join(os.tmpdir(), 'examprepshare-ocr');
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  for (const code of OCR_LANGUAGES.split('+')) {
+    let packageDir;
+    try {
+      packageDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+    } catch (error) {
+      throw new Error(`OCR language "${code}" is not installed (npm install @tesseract.js-data/${code})`);
+    }
+
+    const fileName = `${code}.traineddata.gz`;
+    await fs.promises.copyFile(path.join(packageDir, '4.0.0_best_int', fileName), path.join(dir, fileName));
+  }
+
+  langPath = dir;
+  return langPath;
+};
+
+// One tesseract worker is shared by all recognitions, since each worker
+// loads every language model. It is stopped after a while without work.
+const WORKER_IDLE_TIME = 5 * 60 * 1000; // 5 minutes
+
+let workerPromise = null;
+let workerUsers = 0;
+let idleTimer = null;
+
+const acquireWorker = () => {
+  workerUsers++;
+  clearTimeout(idleTimer);
+
+  if (!workerPromise) {
+    workerPromise = getLangPath()
+      .then(dir => createWorker(OCR_LANGUAGES, 1, { langPath: dir, cacheMethod: 'none' }))
+      .catch((error) => {
+        workerPromise = null;
+        throw error;
+      });
+  }
+
+  return workerPromise;
+};
+
+const releaseWorker = () => {
+  workerUsers--;
+  if (workerUsers > 0 || !workerPromise) return;
+
+  idleTimer = setTimeout(() => {
+    const stopping = workerPromise;
+    workerPromise = null;
+    stopping.then(worker => worker.terminate()).catch(() => {});
+  }, WORKER_IDLE_TIME);
+  idleTimer.unref();
+};
+
+// Grayscale and scale an image so tesseract reads it reliably
+const prepareImage = (image) => {
+  return sharp(image)
+    .rotate() // respect EXIF orientation of phone photos
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize({ width: OCR_WIDTH, withoutEnlargement: true })
+    .png()
+    .toBuffer();
+};
+
+// True when a PDF has (almost) no embedded text, i.e. its pages are scans
+const isScannedPdf = async (buffer) => {
+  const { pageCount, textLength } = await measurePdfText(buffer, { maxPages: OCR_MAX_PAGES });
+  return textLength < MIN_PAGE_TEXT * pageCount;
+};
+
+// Page images of a file that need recognition: photos and scanned PDFs.
+// Returns an empty list for files whose text can be extracted directly.
+const getImages = async (buffer, fileType) => {
+  if (IMAGE_TYPES.includes(fileType)) return [buffer];
+
+  if (fileType === 'pdf' && await isScannedPdf(buffer)) {
+    return renderPdfPages(buffer, { maxPages: OCR_MAX_PAGES, width: OCR_WIDTH });
+  }
+
+  return [];
+};
+
+// Keep line breaks so the text stays readable and easy to correct
+const normalizeText = (text) => {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Recognize the text of photos and scanned PDFs. `files` is a list of
+// { buffer, fileType }. Returns null when none of them needs OCR, otherwise
+// the text and the average confidence (0-100) of the recognized pages.
+const recognizeFiles = async (files) => {
+  const targets = files.filter(file => canRecognize(file.fileType));
+  if (targets.length === 0) return null;
+
+  let worker = null;
+  let acquired = false;
+  const texts = [];
+  const confidences = [];
+
+  try {
+    for (const file of targets) {
+      const images = await getImages(file.buffer, file.fileType);
+
+      for (const image of images) {
+        if (!acquired) {
+          acquired = true;
+          worker = await acquireWorker();
+        }
+
+        const { data } = await worker.recognize(await prepareImage(image));
+        texts.push(normalizeText(data.text));
+        confidences.push(data.confidence);
+      }
+    }
+  } finally {
+    if (acquired) releaseWorker();
+  }
+
+  if (confidences.length === 0) return null;
+
+  return {
+    text: texts.filter(Boolean).join('\n\n').slice(0, MAX_TEXT_LENGTH),
+    confidence: Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length),
+    languages: OCR_LANGUAGES
+  };
+};
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  canRecognize,
+  recognizeFiles
+};
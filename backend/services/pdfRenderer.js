@@ -0,0 +1,93 @@
+const { createCanvas, DOMMatrix, Path2D, ImageData } = require('@napi-rs/canvas');
+
+// pdf.js expects these browser globals when rendering in Node
+global.DOMMatrix = global.DOMMatrix || DOMMatrix;
+global.Path2D = global.Path2D || Path2D;
+global.ImageData = global.ImageData || ImageData;
+
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Lets pdf.js create the scratch canvases it needs
+const canvasFactory = {
+  create: (width, height) => {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset: (canvasAndContext, width, height) => {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy: (canvasAndContext) => {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+  }
+};
+
+const loadPdf = (buffer) => {
+  return pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    // Scanned pages are drawn through scratch canvases, which pdf.js
+    // would otherwise create with the `canvas` package
+    canvasFactory,
+    disableFontFace: true,
+    isEvalSupported: false
+  }).promise;
+};
+
+// Render the first `maxPages` pages of a PDF to PNG buffers `width` pixels wide
+const renderPdfPages = async (buffer, { maxPages = 1, width = 1200 } = {}) => {
+  const pdf = await loadPdf(buffer);
+
+  try {
+    const images = [];
+    const pageCount = Math.min(pdf.numPages, maxPages);
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const scaledViewport = page.getViewport({ scale: width / viewport.width });
+
+      const { canvas, context } = canvasFactory.create(
+        Math.ceil(scaledViewport.width),
+        Math.ceil(scaledViewport.height)
+      );
+
+      await page.render({ canvasContext: context, viewport: scaledViewport, canvasFactory }).promise;
+      images.push(canvas.toBuffer('image/png'));
+      page.cleanup();
+    }
+
+    return images;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Number of pages looked at and the length of the text embedded in the
+// first `maxPages` of them
+const measurePdfText = async (buffer, { maxPages = 1 } = {}) => {
+  const pdf = await loadPdf(buffer);
+
+  try {
+    const pageCount = Math.min(pdf.numPages, maxPages);
+    let textLength = 0;
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      textLength += content.items.map(item => item.str).join('').trim().length;
+      page.cleanup();
+    }
+
+    return { pageCount, textLength };
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Run these through services/pdfWorker.js to keep them off the main thread
+module.exports = {
+  loadPdf,
+  renderPdfPages,
+  measurePdfText
+};
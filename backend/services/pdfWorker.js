@@ -0,0 +1,72 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// pdf.js parses and draws pages synchronously, which takes seconds for a
+// long scanned PDF. This file runs that work in a worker thread so the
+// server keeps answering requests meanwhile; the same file is the worker.
+
+// A PDF that takes longer than this is given up on
+const PDF_WORKER_TIMEOUT = (parseInt(process.env.PDF_WORKER_TIMEOUT_SECONDS) || 120) * 1000;
+
+// Memory a worker may use for JavaScript objects, in MB
+const PDF_WORKER_MEMORY = parseInt(process.env.PDF_WORKER_MEMORY_MB) || 512;
+
+const runTask = (task, buffer, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { task, buffer, options },
+      resourceLimits: { maxOldGenerationSizeMb: PDF_WORKER_MEMORY }
+    });
+
+    // The first of answer, error, exit and timeout settles the task
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    const timer = setTimeout(() => {
+      settle(reject, new Error(`PDF worker timed out after ${PDF_WORKER_TIMEOUT / 1000}s`));
+      worker.terminate();
+    }, PDF_WORKER_TIMEOUT);
+
+    worker.once('message', ({ result, error }) => {
+      if (error) {
+        settle(reject, new Error(error));
+      } else {
+        settle(resolve, result);
+      }
+    });
+    worker.once('error', error => settle(reject, error));
+    worker.once('exit', (code) => {
+      settle(reject, new Error(`PDF worker stopped with exit code ${code}`));
+    });
+  });
+};
+
+// Buffers come back from the worker as plain Uint8Arrays
+const toBuffer = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+// Render the first `maxPages` pages of a PDF to PNG buffers `width` pixels wide
+const renderPdfPages = async (buffer, options) => {
+  const images = await runTask('renderPdfPages', buffer, options);
+  return images.map(toBuffer);
+};
+
+// Number of pages looked at and the length of the text embedded in them
+const measurePdfText = (buffer, options) => runTask('measurePdfText', buffer, options);
+
+if (!isMainThread) {
+  const tasks = require('./pdfRenderer');
+  const { task, buffer, options } = workerData;
+
+  tasks[task](toBuffer(buffer), options)
+    .then(result => parentPort.postMessage({ result }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+module.exports = {
+  renderPdfPages,
+  measurePdfText
+};
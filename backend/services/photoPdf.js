@@ -0,0 +1,65 @@
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const ApiError = require('../utils/ApiError');
+const { verifyFileType } = require('./fileType');
+
+// Pages are stored at 200 dpi: sharp enough to read small handwriting,
+// at most A4 size
+const PAGE_DPI = 200;
+const MAX_PAGE_WIDTH = 1654;
+const MAX_PAGE_HEIGHT = 2339;
+const JPEG_QUALITY = 75;
+
+const POINTS_PER_INCH = 72;
+
+// Shrink and compress one photographed page to a JPEG
+const preparePage = (buffer, { grayscale, autoRotate }) => {
+  let image = sharp(buffer);
+
+  // Turn phone photos upright according to their EXIF orientation
+  if (autoRotate) image = image.rotate();
+
+  image = image
+    .resize({ width: MAX_PAGE_WIDTH, height: MAX_PAGE_HEIGHT, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' });
+
+  if (grayscale) image = image.grayscale();
+
+  return image.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+};
+
+// Combine photographed pages (JPG or PNG uploads, in order) into one PDF
+// with a page per photo. Returns the PDF as a buffer.
+const buildPdfFromPhotos = async (files, { title, grayscale = false, autoRotate = true } = {}) => {
+  for (const file of files) {
+    const fileType = verifyFileType(file);
+    if (!['jpg', 'png'].includes(fileType)) {
+      throw new ApiError(400, `${file.originalname} is not a photo. Only JPG and PNG pages can be combined into a PDF.`);
+    }
+  }
+
+  const pdf = await PDFDocument.create();
+  if (title) pdf.setTitle(title);
+  pdf.setProducer('ExamPrepShare');
+
+  for (const file of files) {
+    let page;
+    try {
+      page = await preparePage(file.buffer, { grayscale, autoRotate });
+    } catch (error) {
+      throw new ApiError(400, `${file.originalname} could not be read as an image`);
+    }
+
+    const image = await pdf.embedJpg(page.data);
+    const width = (page.info.width / PAGE_DPI) * POINTS_PER_INCH;
+    const height = (page.info.height / PAGE_DPI) * POINTS_PER_INCH;
+
+    pdf.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  buildPdfFromPhotos
+};
@@ -0,0 +1,47 @@
+const sharp = require('sharp');
+const { renderPdfPages } = require('./pdfWorker');
+
+const PREVIEW_PAGES = parseInt(process.env.PREVIEW_PAGES) || 3;
+const PREVIEW_WIDTH = 1200;
+const THUMBNAIL_WIDTH = 400;
+
+const IMAGE_TYPES = ['jpg', 'jpeg', 'png'];
+
+const toJpeg = (image, width) => {
+  return sharp(image)
+    .rotate() // respect EXIF orientation of phone photos
+    .resize({ width, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+};
+
+// Build a thumbnail and preview page images (JPEG buffers) for a file.
+// Returns null for file types that have no visual preview.
+const generatePreviews = async (buffer, fileType) => {
+  let pageImages;
+
+  if (fileType === 'pdf') {
+    pageImages = await renderPdfPages(buffer, { maxPages: PREVIEW_PAGES, width: PREVIEW_WIDTH });
+  } else if (IMAGE_TYPES.includes(fileType)) {
+    pageImages = [buffer];
+  } else {
+    return null;
+  }
+
+  if (pageImages.length === 0) return null;
+
+  const pages = [];
+  for (const image of pageImages) {
+    pages.push(await toJpeg(image, PREVIEW_WIDTH));
+  }
+
+  return {
+    thumbnail: await toJpeg(pageImages[0], THUMBNAIL_WIDTH),
+    pages
+  };
+};
+
+module.exports = {
+  generatePreviews
+};
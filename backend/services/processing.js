@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const Resource = require('../models/Resource');
+const ResourceVersion = require('../models/ResourceVersion');
+const { getStorage, getDriver, readFile } = require('../storage');
+const { extractText } = require('./textExtraction');
+const { generatePreviews } = require('./previews');
+const { canRecognize, recognizeFiles } = require('./ocr');
+const { canRenderHtml, renderHtml } = require('./htmlRenderer');
+const { getScanner } = require('../scanners');
+
+const getPreviewKeys = (preview) => {
+  if (!preview || !preview.thumbnailKey) return [];
+  return [preview.thumbnailKey, ...preview.pageKeys];
+};
+
+// The main file followed by the attachments of a bundle
+const getFiles = (resource) => [resource, ...resource.attachments];
+
+// Query matching the resource only while it still has the files that were
+// processed, so results for replaced or removed files are never saved
+const sameFiles = (resource) => {
+  const keys = resource.attachments.map(attachment => attachment.storageKey);
+  const filter = { _id: resource._id, storageKey: resource.storageKey };
+
+  if (keys.length === 0) {
+    filter['attachments.0'] = { $exists: false };
+  } else {
+    filter.attachments = { $size: keys.length };
+    filter['attachments.storageKey'] = { $all: keys };
+  }
+
+  return filter;
+};
+
+// Record the scan result of the resource's current file on its version, so
+// the file is judged by it when it is downloaded or restored later
+const recordVersionScan = async (resource, scan) => {
+  await ResourceVersion.updateOne(
+    { resource: resource._id, version: resource.currentVersion, storageKey: resource.storageKey },
+    { scan }
+  );
+};
+
+// Check every file for malware and publish or quarantine the resource.
+// Returns true when all files are clean and may be processed further.
+const scanFiles = async (resource, fileBuffers) => {
+  const files = getFiles(resource);
+  let scanner = null;
+  let update;
+  let versionScan;
+
+  try {
+    // Without a usable scanner nothing is published
+    scanner = getScanner();
+
+    let infection = null;
+    for (const [index, fileBuffer] of fileBuffers.entries()) {
+      const { infected, signature } = await scanner.scan(fileBuffer);
+      if (infected) {
+        infection = { signature, fileName: files[index].fileName, index };
+        break;
+      }
+    }
+
+    // The main file is scanned first, so it is clean unless it is the infected one
+    versionScan = infection && infection.index === 0
+      ? { result: 'infected', signature: infection.signature, scannedAt: new Date() }
+      : { result: 'clean', scannedAt: new Date() };
+
+    update = {
+      status: infection ? 'quarantined' : 'published',
+      scan: {
+        scanner: scanner.name,
+        result: infection ? 'infected' : 'clean',
+        signature: infection ? infection.signature : undefined,
+        scannedAt: new Date()
+      }
+    };
+
+    if (infection) {
+      console.warn(`Resource ${resource._id} quarantined: ${infection.signature} in ${infection.fileName}`);
+    }
+  } catch (error) {
+    // The resource stays pending until an admin scans it again
+    console.error('Malware scan error:', error);
+    update = {
+      scan: { scanner: scanner && scanner.name, result: 'error', error: error.message, scannedAt: new Date() }
+    };
+  }
+
+  const result = await Resource.updateOne(sameFiles(resource), update);
+  if (versionScan && result.matchedCount > 0) {
+    await recordVersionScan(resource, versionScan);
+  }
+
+  return update.status === 'published';
+};
+
+// Index the text of all files for search
+const indexText = async (resource, fileBuffers) => {
+  const files = getFiles(resource);
+  const texts = [];
+  for (const [index, fileBuffer] of fileBuffers.entries()) {
+    texts.push(await extractText(fileBuffer, files[index].fileType));
+  }
+
+  const extractedText = texts.filter(Boolean).join(' ') || null;
+
+  await Resource.updateOne(
+    sameFiles(resource),
+    { extractedText, textExtractedAt: new Date() }
+  );
+};
+
+// Recognize the text of photos and scanned PDFs for search. Corrections
+// the owner made are kept as long as the files did not change.
+const recognizeText = async (resource, fileBuffers) => {
+  const files = getFiles(resource);
+  const sourceKeys = files.map(file => file.storageKey);
+
+  const { ocr } = resource;
+  if (ocr && ocr.editedAt && ocr.sourceKeys.join('\n') === sourceKeys.join('\n')) return;
+
+  let update;
+
+  if (!files.some(file => canRecognize(file.fileType))) {
+    update = { $unset: { ocrText: 1, ocr: 1 } };
+  } else {
+    try {
+      const result = await recognizeFiles(files.map((file, index) => ({
+        buffer: fileBuffers[index],
+        fileType: file.fileType
+      })));
+
+      update = result
+        ? {
+          ocrText: result.text,
+          ocr: {
+            status: 'done',
+            languages: result.languages,
+            confidence: result.confidence,
+            sourceKeys,
+            processedAt: new Date()
+          }
+        }
+        : { $unset: { ocrText: 1, ocr: 1 } };
+    } catch (error) {
+      console.error('OCR error:', error);
+      update = {
+        $unset: { ocrText: 1 },
+        ocr: { status: 'failed', error: error.message, sourceKeys, processedAt: new Date() }
+      };
+    }
+  }
+
+  await Resource.updateOne(sameFiles(resource), update);
+};
+
+// Store a thumbnail and the first pages of the main file as images,
+// replacing the previews of the file this one replaced
+const buildPreviews = async (resource, fileBuffers) => {
+  const images = await generatePreviews(fileBuffers[0], resource.fileType);
+  const previousKeys = getPreviewKeys(resource.preview);
+  let preview;
+
+  if (images) {
+    const storage = getStorage();
+    const prefix = `previews/${resource._id}/${resource.contentHash || 'current'}`;
+
+    const thumbnail = await storage.put(`${prefix}/thumbnail.jpg`, images.thumbnail, { contentType: 'image/jpeg' });
+    const pageKeys = [];
+    for (const [index, image] of images.pages.entries()) {
+      const page = await storage.put(`${prefix}/page-${index + 1}.jpg`, image, { contentType: 'image/jpeg' });
+      pageKeys.push(page.key);
+    }
+
+    preview = {
+      storageDriver: storage.name,
+      thumbnailKey: thumbnail.key,
+      pageKeys,
+      generatedAt: new Date()
+    };
+  }
+
+  const result = await Resource.updateOne(
+    sameFiles(resource),
+    preview ? { preview } : { $unset: { preview: 1 } }
+  );
+
+  // The file changed while we were working; the newer run will build its own
+  if (result.matchedCount === 0) return;
+
+  const currentKeys = getPreviewKeys(preview);
+  const staleKeys = previousKeys.filter(key => !currentKeys.includes(key));
+  for (const key of staleKeys) {
+    await getDriver(resource.preview.storageDriver).delete(key).catch(() => {});
+  }
+};
+
+// Render a Word or text file of the resource as HTML and store it. The key
+// only depends on the file, so rendering it again overwrites the same copy.
+const storeHtmlRendering = async (resource, file, buffer) => {
+  const html = await renderHtml(buffer, file.fileType);
+  const storage = getStorage();
+  const fileId = crypto.createHash('sha256').update(file.storageKey).digest('hex').slice(0, 32);
+
+  const stored = await storage.put(`html/${resource._id}/${fileId}.html`, Buffer.from(html, 'utf8'), {
+    contentType: 'text/html'
+  });
+
+  return {
+    sourceKey: file.storageKey,
+    storageDriver: storage.name,
+    htmlKey: stored.key,
+    generatedAt: new Date()
+  };
+};
+
+// Store the HTML renderings of all Word and text files for the reader.
+// Files that were rendered before keep their rendering; renderings of
+// replaced or removed files are deleted.
+const renderDocuments = async (resource, fileBuffers) => {
+  const previous = resource.htmlRenderings.map(rendering => rendering.toObject());
+  const renderings = [];
+
+  for (const [index, file] of getFiles(resource).entries()) {
+    if (!canRenderHtml(file.fileType)) continue;
+
+    const existing = previous.find(rendering => rendering.sourceKey === file.storageKey);
+    if (existing) {
+      renderings.push(existing);
+      continue;
+    }
+
+    try {
+      renderings.push(await storeHtmlRendering(resource, file, fileBuffers[index]));
+    } catch (error) {
+      console.error(`HTML rendering error (${file.fileName}):`, error);
+    }
+  }
+
+  const result = await Resource.updateOne(sameFiles(resource), { htmlRenderings: renderings });
+
+  // The files changed while we were working; the newer run cleans up
+  if (result.matchedCount === 0) return;
+
+  const currentKeys = renderings.map(rendering => rendering.htmlKey);
+  for (const rendering of previous) {
+    if (!currentKeys.includes(rendering.htmlKey)) {
+      await getDriver(rendering.storageDriver).delete(rendering.htmlKey).catch(() => {});
+    }
+  }
+};
+
+// Get the stored HTML rendering of a Word or text file of the resource,
+// rendering it now if processing has not done so (e.g. for files uploaded
+// before renderings existed)
+const getHtmlRendering = async (resource, file) => {
+  const existing = resource.htmlRenderings.find(rendering => rendering.sourceKey === file.storageKey);
+  if (existing) return existing;
+
+  const rendering = await storeHtmlRendering(resource, file, await readFile(file.storageDriver, file.storageKey));
+
+  await Resource.updateOne(
+    { ...sameFiles(resource), 'htmlRenderings.sourceKey': { $ne: file.storageKey } },
+    { $push: { htmlRenderings: rendering } }
+  );
+
+  return rendering;
+};
+
+// OCR is by far the slowest step, so it runs last
+const steps = [indexText, buildPreviews, renderDocuments, recognizeText];
+
+// Work done on a resource's current files after they have been stored.
+// `buffer` can be passed when the main file is still in memory. The files
+// are only read by the other steps once they passed the malware scan,
+// unless `skipScan` is set (an admin released them).
+const processResource = async (resourceId, buffer = null, { skipScan = false } = {}) => {
+  const resource = await Resource.findById(resourceId);
+
+  // Resources uploaded before the storage layer have no key to read from
+  if (!resource || !resource.storageKey) return;
+
+  const fileBuffers = [buffer || await readFile(resource.storageDriver, resource.storageKey)];
+  for (const attachment of resource.attachments) {
+    fileBuffers.push(await readFile(attachment.storageDriver, attachment.storageKey));
+  }
+
+  if (!skipScan && !(await scanFiles(resource, fileBuffers))) return;
+
+  // A failing step shouldn't keep the others from running
+  for (const step of steps) {
+    try {
+      await step(resource, fileBuffers);
+    } catch (error) {
+      console.error(`Resource processing error (${step.name}):`, error);
+    }
+  }
+};
+
+// Resources processed at the same time. Rendering and OCR take a lot of
+// memory, so a bulk import must not start them all at once.
+const PROCESSING_CONCURRENCY = Math.max(parseInt(process.env.PROCESSING_CONCURRENCY) || 1, 1);
+
+const queue = [];
+let running = 0;
+
+const runNext = () => {
+  while (running < PROCESSING_CONCURRENCY && queue.length > 0) {
+    const { resourceId, buffer, options } = queue.shift();
+    running++;
+
+    processResource(resourceId, buffer, options)
+      .catch((error) => {
+        console.error('Resource processing error:', error);
+      })
+      .finally(() => {
+        running--;
+        runNext();
+      });
+  }
+};
+
+// Process a resource in the background without holding up the request.
+// Waiting resources don't keep their file in memory; it is read from
+// storage when their turn comes.
+const scheduleProcessing = (resourceId, buffer = null, options = {}) => {
+  const startsNow = running < PROCESSING_CONCURRENCY && queue.length === 0;
+  queue.push({ resourceId, buffer: startsNow ? buffer : null, options });
+  setImmediate(runNext);
+};
+
+module.exports = {
+  getPreviewKeys,
+  recordVersionScan,
+  getHtmlRendering,
+  processResource,
+  scheduleProcessing
+};
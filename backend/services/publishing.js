@@ -0,0 +1,60 @@
+const Resource = require('../models/Resource');
+const ApiError = require('../utils/ApiError');
+
+// Seconds between runs of the job releasing scheduled resources
+const PUBLISH_CHECK_INTERVAL = parseInt(process.env.PUBLISH_CHECK_INTERVAL_SECONDS) || 60;
+
+// Visibility of a finished resource: scheduled while its publish time is
+// still ahead, public otherwise
+const getVisibility = (publishAt) => (publishAt && publishAt > new Date() ? 'scheduled' : 'public');
+
+// Find a draft of the current user, e.g. to finish it with an upload
+const findDraft = async (draftId, userId) => {
+  const draft = await Resource.findOne({
+    _id: draftId,
+    uploadedBy: userId,
+    isActive: true,
+    visibility: 'draft'
+  }).catch(() => null);
+
+  if (!draft) {
+    throw new ApiError(404, 'Draft not found');
+  }
+
+  return draft;
+};
+
+// Make every scheduled resource whose time has come public. Returns the
+// number of released resources.
+const publishDueResources = async () => {
+  const result = await Resource.updateMany(
+    { visibility: 'scheduled', publishAt: { $lte: new Date() } },
+    { visibility: 'public' }
+  );
+
+  return result.modifiedCount;
+};
+
+// Release due resources at startup and then every PUBLISH_CHECK_INTERVAL seconds
+const startPublishJob = () => {
+  const run = async () => {
+    try {
+      const published = await publishDueResources();
+      if (published > 0) {
+        console.log(`📢 Published ${published} scheduled resource(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled publishing error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, PUBLISH_CHECK_INTERVAL * 1000).unref();
+};
+
+module.exports = {
+  getVisibility,
+  findDraft,
+  publishDueResources,
+  startPublishJob
+};
@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+const ResourceVersion = require('../models/ResourceVersion');
+const ApiError = require('../utils/ApiError');
+
+const MB = 1024 * 1024;
+
+// Storage each role may use unless an admin gave the user a quota of their own
+const ROLE_QUOTAS = {
+  student: (parseInt(process.env.STUDENT_STORAGE_QUOTA_MB) || 500) * MB,
+  admin: (parseInt(process.env.ADMIN_STORAGE_QUOTA_MB) || 10240) * MB
+};
+
+const getQuota = (user) => {
+  if (user.storageQuota !== undefined && user.storageQuota !== null) return user.storageQuota;
+  return ROLE_QUOTAS[user.role] || ROLE_QUOTAS.student;
+};
+
+// Used and remaining storage of a user, in bytes
+const getStorageInfo = (user) => {
+  const quota = getQuota(user);
+  const used = user.storageUsed || 0;
+
+  return {
+    used,
+    quota,
+    remaining: Math.max(quota - used, 0),
+    customQuota: user.storageQuota !== undefined && user.storageQuota !== null
+  };
+};
+
+const quotaExceeded = (user) => {
+  return new ApiError(413, 'This upload would exceed your storage quota. Delete some of your files or ask an admin for more space.', {
+    code: 'QUOTA_EXCEEDED',
+    storage: getStorageInfo(user)
+  });
+};
+
+const findUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+  return user;
+};
+
+// Throw if `bytes` more would not fit in the user's quota
+const checkQuota = async (userId, bytes) => {
+  const user = await findUser(userId);
+
+  if ((user.storageUsed || 0) + bytes > getQuota(user)) {
+    throw quotaExceeded(user);
+  }
+};
+
+// Count `bytes` against the user's quota before a file is stored. The
+// check and the increment are one update, so parallel uploads can't
+// overshoot the quota together.
+const reserveStorage = async (userId, bytes) => {
+  const user = await findUser(userId);
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$storageUsed', 0] }, bytes] }, getQuota(user)] }
+    },
+    { $inc: { storageUsed: bytes } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw quotaExceeded(user);
+  }
+};
+
+// Give back the space of a file that was deleted or never stored
+const releaseStorage = async (userId, bytes) => {
+  await User.updateOne({ _id: userId }, [
+    { $set: { storageUsed: { $max: [0, { $subtract: [{ $ifNull: ['$storageUsed', 0] }, bytes] }] } } }
+  ]);
+};
+
+// Rebuild every user's storage use from the stored files: all versions and
+// attachments of the resources they own. A file shared by several versions
+// (after a revert) is counted once. Returns the number of users with files.
+const recountStorage = async () => {
+  const usage = await Resource.aggregate([
+    {
+      $lookup: {
+        from: ResourceVersion.collection.name,
+        localField: '_id',
+        foreignField: 'resource',
+        as: 'versions'
+      }
+    },
+    {
+      $project: {
+        uploadedBy: 1,
+        files: {
+          $concatArrays: [
+            // Resources uploaded before versioning only have their current file
+            {
+              $cond: [
+                { $gt: [{ $size: '$versions' }, 0] },
+                '$versions',
+                [{ storageKey: '$storageKey', fileSize: '$fileSize' }]
+              ]
+            },
+            { $ifNull: ['$attachments', []] }
+          ]
+        }
+      }
+    },
+    { $unwind: '$files' },
+    {
+      $group: {
+        _id: { owner: '$uploadedBy', resource: '$_id', key: '$files.storageKey' },
+        size: { $first: '$files.fileSize' }
+      }
+    },
+    { $group: { _id: '$_id.owner', used: { $sum: '$size' } } }
+  ]);
+
+  await User.updateMany({}, { storageUsed: 0 });
+
+  if (usage.length > 0) {
+    await User.bulkWrite(usage.map(({ _id, used }) => ({
+      updateOne: { filter: { _id }, update: { storageUsed: used } }
+    })));
+  }
+
+  return usage.length;
+};
+
+module.exports = {
+  ROLE_QUOTAS,
+  getStorageInfo,
+  checkQuota,
+  reserveStorage,
+  releaseStorage,
+  recountStorage
+};
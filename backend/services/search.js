@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { PUBLIC_FILTER } = require('./access');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Average ratings are grouped into whole-star ranges; unrated resources
+// have 0 stars
+const RATING_BUCKETS = [
+  { value: '4', min: 4, max: 6 },
+  { value: '3', min: 3, max: 4 },
+  { value: '2', min: 2, max: 3 },
+  { value: '1', min: 1, max: 2 },
+  { value: 'unrated', min: 0, max: 1 }
+];
+
+// Most tags returned as facet values
+const MAX_TAG_FACETS = 20;
+
+// Suggestions start at this many characters; from MIN_FUZZY_LENGTH on,
+// words one typo away from the input are suggested too
+const MIN_SUGGEST_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+// Matches fetched per suggestion type before ranking
+const SUGGEST_CANDIDATES = 20;
+
+// Filters the resource list can be narrowed by, each with several values
+// allowed. Rating values are RATING_BUCKETS, the others field values.
+const FACETS = ['examCategory', 'section', 'fileType', 'tags', 'rating'];
+
+// Values of a facet in the query: repeated parameters, an array or a
+// comma-separated list. "All" selects nothing.
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values
+    .map(item => String(item).trim())
+    .filter(item => item && item !== 'All');
+};
+
+// Selected values per facet
+const getSelectedFacets = (query) => {
+  const selected = {};
+  for (const facet of FACETS) {
+    selected[facet] = toList(query[facet]);
+  }
+  return selected;
+};
+
+// Filter conditions for the selected facets except `except`. Values of one
+// facet are alternatives; different facets must all match.
+const getFacetConditions = (selected, except = null) => {
+  const conditions = [];
+
+  for (const facet of FACETS) {
+    const values = selected[facet];
+    if (facet === except || values.length === 0) continue;
+
+    if (facet === 'rating') {
+      const buckets = RATING_BUCKETS.filter(bucket => values.includes(bucket.value));
+      if (buckets.length === 0) continue;
+      conditions.push({ $or: buckets.map(({ min, max }) => ({ stars: { $gte: min, $lt: max } })) });
+    } else {
+      conditions.push({ [facet]: { $in: values } });
+    }
+  }
+
+  return conditions;
+};
+
+// Search text of the query, if any
+const getSearchText = (query) => (typeof query.search === 'string' ? query.search.trim() : '');
+
+// Public resources matching the search text, uploader and syllabus nodes,
+// before facets are applied. Words are stemmed, "quoted phrases" must match
+// as a whole and -words exclude resources.
+const getBaseFilter = (query) => {
+  const filter = { ...PUBLIC_FILTER };
+  const searchText = getSearchText(query);
+
+  if (searchText) {
+    filter.$text = { $search: searchText };
+  }
+
+  // Cast here because aggregation pipelines are not cast by Mongoose
+  if (typeof query.uploadedBy === 'string' && /^[a-f\d]{24}$/i.test(query.uploadedBy)) {
+    filter.uploadedBy = new mongoose.Types.ObjectId(query.uploadedBy);
+  }
+
+  // Syllabus nodes match the resources filed under them or any node below
+  const nodeIds = toList(query.taxonomy).filter(id => /^[a-f\d]{24}$/i.test(id));
+  if (nodeIds.length > 0) {
+    filter.taxonomyPath = { $in: nodeIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  return filter;
+};
+
+// Filter for the resource list: the search text and every selected facet
+const buildResourceFilter = (query) => {
+  const searchText = getSearchText(query);
+  const filter = getBaseFilter(query);
+  const conditions = getFacetConditions(getSelectedFacets(query));
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  return { filter, searchText };
+};
+
+// Stages narrowing the results by every facet but `facet`, so a facet's
+// counts show what selecting one more of its values would add
+const matchOtherFacets = (selected, facet) => {
+  const conditions = getFacetConditions(selected, facet);
+  return conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Number of matching resources per value of each facet for the query
+const getFacetCounts = async (query) => {
+  const selected = getSelectedFacets(query);
+  const ratingBucket = {
+    $switch: {
+      branches: RATING_BUCKETS.map(({ value, min, max }) => ({
+        case: { $and: [{ $gte: ['$stars', min] }, { $lt: ['$stars', max] }] },
+        then: value
+      })),
+      default: 'unrated'
+    }
+  };
+
+  const [result] = await Resource.aggregate([
+    { $match: getBaseFilter(query) },
+    {
+      $facet: {
+        examCategory: [...matchOtherFacets(selected, 'examCategory'), ...countBy('$examCategory')],
+        section: [...matchOtherFacets(selected, 'section'), ...countBy('$section')],
+        fileType: [...matchOtherFacets(selected, 'fileType'), ...countBy('$fileType')],
+        tags: [
+          ...matchOtherFacets(selected, 'tags'),
+          { $unwind: '$tags' },
+          ...countBy('$tags'),
+          { $limit: MAX_TAG_FACETS }
+        ],
+        rating: [...matchOtherFacets(selected, 'rating'), ...countBy(ratingBucket)]
+      }
+    }
+  ]);
+
+  const facets = {};
+  for (const facet of FACETS) {
+    facets[facet] = result[facet].map(({ _id, count }) => ({ value: _id, count }));
+  }
+
+  // Rating buckets are always listed in the same order
+  facets.rating = RATING_BUCKETS.map(({ value }) => ({
+    value,
+    count: (facets.rating.find(item => item.value === value) || { count: 0 }).count
+  }));
+
+  return facets;
+};
+
+// Regex source matching words that start with `prefix`, or for longer
+// input with `prefix` with one letter changed, missing or added
+const getFuzzyPattern = (prefix) => {
+  const chars = [...prefix.toLowerCase()];
+  const part = (start, end) => chars.slice(start, end).map(escapeRegex).join('');
+  const variants = [part(0)];
+
+  if (chars.length >= MIN_FUZZY_LENGTH) {
+    chars.forEach((char, index) => {
+      variants.push(`${part(0, index)}.${part(index + 1)}`);
+      variants.push(`${part(0, index)}${part(index + 1)}`);
+      variants.push(`${part(0, index)}.${part(index)}`);
+    });
+  }
+
+  return `(?:^|\\W)(?:${variants.join('|')})`;
+};
+
+// Titles, tags and uploaders of public resources starting with `prefix`
+// or close to it, each with the number of resources it leads to. Exact
+// prefix matches come first, then the ones with more resources.
+const getSuggestions = async (prefix, limit) => {
+  if (prefix.length < MIN_SUGGEST_LENGTH) return [];
+
+  const pattern = { $regex: getFuzzyPattern(prefix), $options: 'i' };
+
+  const [titles, tags, users] = await Promise.all([
+    Resource.aggregate([
+      { $match: { ...PUBLIC_FILTER, title: pattern } },
+      ...countBy('$title'),
+      { $limit: SUGGEST_CANDIDATES }
+    ]),
+    Resource.aggregate([
+      { $match: { ...PUBLIC_FILTER, tags: pattern } },
+      { $unwind: '$tags' },
+      { $match: { tags: pattern } },
+      ...countBy('$tags'),
+      { $limit: SUGGEST_CANDIDATES }
+    ]),
+    User.find({ name: pattern }).select('name').limit(SUGGEST_CANDIDATES)
+  ]);
+
+  // Uploaders are only suggested when they have public resources
+  const uploads = users.length > 0
+    ? await Resource.aggregate([
+      { $match: { ...PUBLIC_FILTER, uploadedBy: { $in: users.map(user => user._id) } } },
+      { $group: { _id: '$uploadedBy', count: { $sum: 1 } } }
+    ])
+    : [];
+
+  const suggestions = [
+    ...titles.map(({ _id, count }) => ({ type: 'title', value: _id, count })),
+    ...tags.map(({ _id, count }) => ({ type: 'tag', value: _id, count })),
+    ...uploads.map(({ _id, count }) => ({
+      type: 'uploader',
+      value: users.find(user => user._id.equals(_id)).name,
+      id: _id,
+      count
+    }))
+  ];
+
+  const exact = new RegExp(`(?:^|\\W)${escapeRegex(prefix)}`, 'i');
+  return suggestions
+    .map(suggestion => ({ ...suggestion, fuzzy: !exact.test(suggestion.value) }))
+    .sort((a, b) => (a.fuzzy - b.fuzzy) || (b.count - a.count) || a.value.localeCompare(b.value))
+    .slice(0, limit);
+};
+
+module.exports = {
+  buildResourceFilter,
+  getFacetCounts,
+  getSuggestions
+};
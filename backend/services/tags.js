@@ -0,0 +1,212 @@
+const Tag = require('../models/Tag');
+const Resource = require('../models/Resource');
+const ApiError = require('../utils/ApiError');
+
+const MAX_TAG_LENGTH = 50;
+
+// Resources counted in a tag's usage
+const COUNTED_FILTER = { isActive: true, visibility: { $ne: 'draft' } };
+
+// Slug a tag is stored and matched under: lowercase, without accents, words
+// joined by hyphens. "Maths ", "maths" and "MATHS" all become "maths".
+const normalizeTag = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/-+$/, '')
+    .normalize('NFC');
+};
+
+// Tags sent as a comma separated string or as an array
+const splitTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => String(tag).trim()).filter(tag => tag.length > 0);
+};
+
+// Turn tags as typed into the slugs of the vocabulary, in the order given
+// and without repeats. Synonyms become their tag; unknown tags are added
+// to the vocabulary.
+const resolveTags = async (tags) => {
+  const names = new Map();
+  for (const name of splitTags(tags)) {
+    const slug = normalizeTag(name);
+    if (slug && !names.has(slug)) {
+      names.set(slug, name.slice(0, MAX_TAG_LENGTH));
+    }
+  }
+
+  if (names.size === 0) return [];
+
+  const slugs = [...names.keys()];
+  const known = await Tag.find({ $or: [{ slug: { $in: slugs } }, { synonyms: { $in: slugs } }] });
+
+  const resolved = [];
+  for (const slug of slugs) {
+    const tag = known.find(item => item.slug === slug || item.synonyms.includes(slug));
+
+    if (!tag) {
+      // Another request may add the same tag at the same moment
+      await Tag.updateOne(
+        { slug },
+        { $setOnInsert: { slug, name: names.get(slug) } },
+        { upsert: true }
+      ).catch((error) => {
+        if (error.code !== 11000) throw error;
+      });
+    }
+
+    const target = tag ? tag.slug : slug;
+    if (!resolved.includes(target)) {
+      resolved.push(target);
+    }
+  }
+
+  return resolved;
+};
+
+const refreshTagCounts = async (slugs) => {
+  for (const slug of new Set(slugs)) {
+    const usageCount = await Resource.countDocuments({ ...COUNTED_FILTER, tags: slug });
+    await Tag.updateOne({ slug }, { usageCount });
+  }
+};
+
+// Update the usage counts of tags after resources using them changed.
+// Counting must never break the request it is attached to.
+const updateTagCounts = (slugs) => {
+  refreshTagCounts(slugs || []).catch((error) => {
+    console.error('Tag count error:', error);
+  });
+};
+
+const findTag = async (tagId) => {
+  const tag = await Tag.findById(tagId).catch(() => null);
+  if (!tag) {
+    throw new ApiError(404, 'Tag not found');
+  }
+  return tag;
+};
+
+// Throw if another tag already uses one of `slugs` as its slug or synonym
+const checkSlugsFree = async (slugs, tagId) => {
+  const clash = await Tag.findOne({
+    _id: { $ne: tagId },
+    $or: [{ slug: { $in: slugs } }, { synonyms: { $in: slugs } }]
+  });
+
+  if (clash) {
+    throw new ApiError(409, `"${clash.name}" already uses this name; merge the tags instead`, {
+      code: 'TAG_EXISTS',
+      tag: clash
+    });
+  }
+};
+
+// Rename a tag. Resources get the new slug and the old one stays as a
+// synonym, so the old spelling keeps working.
+const renameTag = async (tagId, name) => {
+  const tag = await findTag(tagId);
+  const slug = normalizeTag(name);
+
+  if (!slug) {
+    throw new ApiError(400, 'Tag name must contain a letter or digit');
+  }
+
+  const oldSlug = tag.slug;
+  if (slug !== oldSlug) {
+    await checkSlugsFree([slug], tag._id);
+    tag.slug = slug;
+    tag.synonyms = [...tag.synonyms.filter(synonym => synonym !== slug && synonym !== oldSlug), oldSlug];
+  }
+
+  tag.name = name.trim();
+  await tag.save();
+
+  if (slug !== oldSlug) {
+    await Resource.updateMany({ tags: oldSlug }, { $set: { 'tags.$': slug } });
+  }
+
+  return tag;
+};
+
+// Fold `sourceId` into `targetId`: resources swap the source tag for the
+// target and the source's slug and synonyms become synonyms of the target
+const mergeTags = async (sourceId, targetId) => {
+  const [source, target] = await Promise.all([findTag(sourceId), findTag(targetId)]);
+
+  if (source._id.equals(target._id)) {
+    throw new ApiError(400, 'A tag cannot be merged into itself');
+  }
+
+  // Two steps because one update can't both add to and pull from tags
+  await Resource.updateMany({ tags: source.slug }, { $addToSet: { tags: target.slug } });
+  await Resource.updateMany({ tags: source.slug }, { $pull: { tags: source.slug } });
+
+  target.synonyms = [...new Set([...target.synonyms, source.slug, ...source.synonyms])]
+    .filter(synonym => synonym !== target.slug);
+  await source.deleteOne();
+  await target.save();
+
+  await refreshTagCounts([target.slug]);
+  return Tag.findById(target._id);
+};
+
+// Replace the synonyms of a tag. A spelling another tag already uses has to
+// be merged instead.
+const setSynonyms = async (tagId, synonyms) => {
+  const tag = await findTag(tagId);
+  const slugs = [...new Set(splitTags(synonyms).map(normalizeTag))]
+    .filter(slug => slug && slug !== tag.slug);
+
+  if (slugs.length > 0) {
+    await checkSlugsFree(slugs, tag._id);
+  }
+
+  tag.synonyms = slugs;
+  await tag.save();
+  return tag;
+};
+
+// Normalize the tags of every resource against the vocabulary and rebuild
+// all usage counts. Returns the number of resources whose tags changed.
+const recountTags = async () => {
+  let updated = 0;
+  const cursor = Resource.find({ 'tags.0': { $exists: true } }).select('tags').cursor();
+
+  for await (const resource of cursor) {
+    const tags = await resolveTags(resource.tags);
+    if (tags.join(',') !== resource.tags.join(',')) {
+      await Resource.updateOne({ _id: resource._id }, { tags });
+      updated++;
+    }
+  }
+
+  const counts = await Resource.aggregate([
+    { $match: { ...COUNTED_FILTER } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+
+  await Tag.updateMany({}, { usageCount: 0 });
+  if (counts.length > 0) {
+    await Tag.bulkWrite(counts.map(({ _id, count }) => ({
+      updateOne: { filter: { slug: _id }, update: { usageCount: count } }
+    })));
+  }
+
+  return updated;
+};
+
+module.exports = {
+  normalizeTag,
+  resolveTags,
+  updateTagCounts,
+  renameTag,
+  mergeTags,
+  setSynonyms,
+  recountTags
+};
@@ -0,0 +1,197 @@
+const TaxonomyNode = require('../models/TaxonomyNode');
+const Resource = require('../models/Resource');
+const ApiError = require('../utils/ApiError');
+const { PUBLIC_FILTER } = require('./access');
+const { TAXONOMY_LEVELS } = require('../config/constants');
+
+const findNode = async (nodeId) => {
+  const node = await TaxonomyNode.findById(nodeId).catch(() => null);
+  if (!node) {
+    throw new ApiError(404, 'Syllabus node not found');
+  }
+  return node;
+};
+
+// Fields of a resource filed under `nodeId`; an empty id takes the
+// resource out of the taxonomy
+const getTaxonomyFields = async (nodeId) => {
+  if (!nodeId) {
+    return { taxonomy: undefined, taxonomyPath: [] };
+  }
+
+  const node = await TaxonomyNode.findById(nodeId).catch(() => null);
+  if (!node) {
+    throw new ApiError(400, 'Syllabus node not found');
+  }
+
+  return { taxonomy: node._id, taxonomyPath: [...node.ancestors, node._id] };
+};
+
+// Add a node below `parent`, or an exam at the root without one. New nodes
+// go after their siblings unless an order is given.
+const createNode = async ({ name, parent, order }) => {
+  let parentNode = null;
+  if (parent) {
+    parentNode = await TaxonomyNode.findById(parent).catch(() => null);
+    if (!parentNode) {
+      throw new ApiError(400, 'Parent node not found');
+    }
+  }
+
+  const depth = parentNode ? parentNode.ancestors.length + 1 : 0;
+  if (depth >= TAXONOMY_LEVELS.length) {
+    throw new ApiError(400, 'Topics are the lowest level and cannot have nodes below them');
+  }
+
+  const parentId = parentNode ? parentNode._id : null;
+  return TaxonomyNode.create({
+    name,
+    level: TAXONOMY_LEVELS[depth],
+    parent: parentId,
+    ancestors: parentNode ? [...parentNode.ancestors, parentNode._id] : [],
+    order: order !== undefined ? order : await TaxonomyNode.countDocuments({ parent: parentId })
+  });
+};
+
+// Rename a node or change its position among its siblings
+const updateNode = async (nodeId, { name, order }) => {
+  const node = await findNode(nodeId);
+
+  if (name !== undefined) node.name = name;
+  if (order !== undefined) node.order = order;
+  await node.save();
+
+  return node;
+};
+
+// Move a node, with everything below it, under `parent` (or to the root
+// without one). Levels follow the new depth, and the resources filed
+// under the moved nodes get their new path.
+const moveNode = async (nodeId, parent) => {
+  const node = await findNode(nodeId);
+
+  let parentNode = null;
+  if (parent) {
+    parentNode = await TaxonomyNode.findById(parent).catch(() => null);
+    if (!parentNode) {
+      throw new ApiError(400, 'Parent node not found');
+    }
+    if (parentNode._id.equals(node._id) || parentNode.ancestors.some(id => id.equals(node._id))) {
+      throw new ApiError(400, 'A node cannot be moved below itself', { code: 'INVALID_MOVE' });
+    }
+  }
+
+  const parentId = parentNode ? parentNode._id : null;
+  if (String(node.parent) === String(parentId)) return node;
+
+  const oldDepth = node.ancestors.length;
+  const ancestors = parentNode ? [...parentNode.ancestors, parentNode._id] : [];
+  const descendants = await TaxonomyNode.find({ ancestors: node._id });
+
+  // Levels below the node, which must still fit under the new parent
+  const height = Math.max(0, ...descendants.map(descendant => descendant.ancestors.length - oldDepth));
+  if (ancestors.length + height >= TAXONOMY_LEVELS.length) {
+    throw new ApiError(400, 'Topics are the lowest level; this node has too many levels below it to move there', {
+      code: 'INVALID_MOVE'
+    });
+  }
+
+  // Replace the part of a path above the moved node
+  const movePath = path => [...ancestors, ...path.slice(oldDepth)];
+
+  if (descendants.length > 0) {
+    await TaxonomyNode.bulkWrite(descendants.map((descendant) => {
+      const newAncestors = movePath(descendant.ancestors);
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { ancestors: newAncestors, level: TAXONOMY_LEVELS[newAncestors.length] }
+        }
+      };
+    }));
+  }
+
+  node.set({
+    parent: parentId,
+    ancestors,
+    level: TAXONOMY_LEVELS[ancestors.length],
+    // Last among its new siblings
+    order: await TaxonomyNode.countDocuments({ parent: parentId })
+  });
+  await node.save();
+
+  await Resource.updateMany({ taxonomyPath: node._id }, [{
+    $set: {
+      taxonomyPath: {
+        $concatArrays: [ancestors, { $slice: ['$taxonomyPath', oldDepth, TAXONOMY_LEVELS.length] }]
+      }
+    }
+  }]);
+
+  return node;
+};
+
+// Delete a node that has nothing below it and no resources filed under it
+const deleteNode = async (nodeId) => {
+  const node = await findNode(nodeId);
+
+  if (await TaxonomyNode.exists({ parent: node._id })) {
+    throw new ApiError(409, 'Delete the nodes below this one first', { code: 'NODE_HAS_CHILDREN' });
+  }
+
+  // Trashed resources count too, as they can still be restored
+  const resources = await Resource.countDocuments({ taxonomyPath: node._id });
+  if (resources > 0) {
+    throw new ApiError(409, `${resources} resource(s) are filed under this node`, {
+      code: 'NODE_IN_USE',
+      resources
+    });
+  }
+
+  await node.deleteOne();
+};
+
+// The whole taxonomy as nested nodes, each with `children` and the number
+// of public resources filed under it or below it
+const getTree = async () => {
+  const [nodes, counts] = await Promise.all([
+    TaxonomyNode.find().sort({ order: 1, name: 1 }).lean(),
+    Resource.aggregate([
+      { $match: { ...PUBLIC_FILTER, 'taxonomyPath.0': { $exists: true } } },
+      { $unwind: '$taxonomyPath' },
+      { $group: { _id: '$taxonomyPath', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+  const byId = new Map(nodes.map(node => [node._id.toString(), {
+    _id: node._id,
+    name: node.name,
+    level: node.level,
+    parent: node.parent,
+    order: node.order,
+    count: countById.get(node._id.toString()) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of byId.values()) {
+    const parent = node.parent && byId.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+module.exports = {
+  getTaxonomyFields,
+  createNode,
+  updateNode,
+  moveNode,
+  deleteNode,
+  getTree
+};
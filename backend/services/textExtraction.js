@@ -0,0 +1,104 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Keep extracted text well below MongoDB's document size limit
+const MAX_TEXT_LENGTH = 500000;
+
+const extractors = {
+  pdf: async (buffer) => (await pdfParse(buffer)).text,
+  docx: async (buffer) => (await mammoth.extractRawText({ buffer })).value,
+  doc: async (buffer) => (await new WordExtractor().extract(buffer)).getBody(),
+  txt: async (buffer) => buffer.toString('utf8')
+};
+
+// Collapse whitespace so snippets read naturally
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Extract the searchable text of a file. Returns null for file types
+// without an extractor (e.g. images).
+const extractText = async (buffer, fileType) => {
+  const extractor = extractors[fileType];
+  if (!extractor) return null;
+
+  const text = normalizeText(await extractor(buffer) || '');
+  return text.slice(0, MAX_TEXT_LENGTH);
+};
+
+// Words and "quoted phrases" of a text search, leaving out -excluded ones
+const getSearchTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(search))) {
+    const [, phraseExcluded, phrase, wordExcluded, word] = match;
+    const term = phrase !== undefined ? phrase : word.replace(/"/g, '');
+    // Punctuation on its own is not indexed, so it is not highlighted either
+    if (!phraseExcluded && !wordExcluded && /[\p{L}\p{N}]/u.test(term)) {
+      terms.push({ text: term.trim(), phrase: phrase !== undefined });
+    }
+  }
+
+  return terms;
+};
+
+// Search matches word stems, so "formulas" should also highlight "formula"
+const stem = (word) => {
+  const stemmed = word.replace(/(ing|ed|s)$/i, '');
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+// Pattern highlighting the search terms in file text: phrases as written,
+// words at the start of a word in any inflection
+const getHighlightPattern = (search) => {
+  const alternatives = getSearchTerms(search)
+    .map(({ text, phrase }) => (phrase
+      ? text.split(/\s+/).map(escapeRegex).join('\\s+')
+      : `${escapeRegex(stem(text))}[\\p{L}\\p{N}]*`))
+    .sort((a, b) => b.length - a.length);
+
+  if (alternatives.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+};
+
+// Find up to `limit` places where the terms of `search` occur in `text`,
+// with some surrounding context, split so the match can be highlighted
+const getSnippets = (text, search, { limit = 3, context = 60 } = {}) => {
+  if (!text || !search) return [];
+
+  const pattern = getHighlightPattern(search);
+  if (!pattern) return [];
+
+  const snippets = [];
+  let lastEnd = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) && snippets.length < limit) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    // Skip matches already shown in the previous snippet
+    if (start >= lastEnd) {
+      const snippetStart = Math.max(0, start - context);
+      const snippetEnd = Math.min(text.length, end + context);
+
+      snippets.push({
+        before: (snippetStart > 0 ? '…' : '') + text.slice(snippetStart, start),
+        match: match[0],
+        after: text.slice(end, snippetEnd) + (snippetEnd < text.length ? '…' : '')
+      });
+      lastEnd = snippetEnd;
+    }
+
+    if (match[0].length === 0) pattern.lastIndex++;
+  }
+
+  return snippets;
+};
+
+module.exports = {
+  extractText,
+  getSnippets
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const Resource = require('../models/Resource');
+const ResourceEvent = require('../models/ResourceEvent');
+
+// Repeat events from the same user (or address, when anonymous) inside
+// these windows are not counted again. Values are in minutes.
+const DEDUP_WINDOWS = {
+  view: parseInt(process.env.VIEW_DEDUP_MINUTES) || 30,
+  download: parseInt(process.env.DOWNLOAD_DEDUP_MINUTES) || 24 * 60
+};
+
+// Resource counter kept in sync with each event type
+const COUNT_FIELDS = {
+  view: 'viewCount',
+  download: 'downloadCount'
+};
+
+const hashIp = (ip) => {
+  return crypto.createHash('sha256').update(`${ip}:${process.env.JWT_SECRET}`).digest('hex');
+};
+
+// Record a view or download and bump the resource counter when it counts
+const recordEvent = async ({ resource, type, userId, req, version }) => {
+  const ownerId = (resource.uploadedBy._id || resource.uploadedBy).toString();
+  const ipHash = hashIp(req.ip);
+
+  // Logged-in users are identified by account, everyone else by address
+  const identity = userId ? { user: userId } : { user: null, ipHash };
+
+  const isOwner = userId === ownerId;
+  const isRepeat = !isOwner && await ResourceEvent.exists({
+    resource: resource._id,
+    type,
+    counted: true,
+    ...identity,
+    createdAt: { $gte: new Date(Date.now() - DEDUP_WINDOWS[type] * 60 * 1000) }
+  });
+  const counted = !isOwner && !isRepeat;
+
+  await ResourceEvent.create({
+    resource: resource._id,
+    type,
+    user: userId || null,
+    ipHash,
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    version,
+    counted
+  });
+
+  if (counted) {
+    await Resource.updateOne({ _id: resource._id }, { $inc: { [COUNT_FIELDS[type]]: 1 } });
+  }
+
+  return counted;
+};
+
+// Tracking must never break the request it is attached to
+const trackEvent = (options) => {
+  recordEvent(options).catch((error) => {
+    console.error(`Track ${options.type} error:`, error);
+  });
+};
+
+// Rebuild every resource's counters from the recorded events
+const recountResourceStats = async () => {
+  const totals = await ResourceEvent.aggregate([
+    { $match: { counted: true } },
+    { $group: { _id: { resource: '$resource', type: '$type' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = {};
+  totals.forEach(({ _id, count }) => {
+    const id = _id.resource.toString();
+    counts[id] = counts[id] || { viewCount: 0, downloadCount: 0 };
+    counts[id][COUNT_FIELDS[_id.type]] = count;
+  });
+
+  await Resource.updateMany({}, { $set: { viewCount: 0, downloadCount: 0 } });
+
+  const updates = Object.entries(counts).map(([id, fields]) => ({
+    updateOne: { filter: { _id: id }, update: { $set: fields } }
+  }));
+  if (updates.length > 0) {
+    await Resource.bulkWrite(updates);
+  }
+
+  return updates.length;
+};
+
+module.exports = {
+  recordEvent,
+  trackEvent,
+  recountResourceStats
+};
@@ -0,0 +1,150 @@
+const Resource = require('../models/Resource');
+const ResourceVersion = require('../models/ResourceVersion');
+const ResourceEvent = require('../models/ResourceEvent');
+const Rating = require('../models/Rating');
+const ApiError = require('../utils/ApiError');
+const { getDriver } = require('../storage');
+const { discardFile } = require('./ingest');
+const { releaseStorage } = require('./quota');
+const { getPreviewKeys } = require('./processing');
+const { updateTagCounts } = require('./tags');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days a deleted resource can be restored before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Minutes between runs of the purge job
+const TRASH_PURGE_INTERVAL = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+// When a deleted resource will be purged. Resources deleted before the
+// trash existed count from their last update.
+const getPurgeDate = (resource) => {
+  const deletedAt = resource.deletedAt || resource.updatedAt;
+  return new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY);
+};
+
+const moveToTrash = async (resource, userId) => {
+  resource.isActive = false;
+  resource.deletedAt = new Date();
+  resource.deletedBy = userId;
+  await resource.save();
+  updateTagCounts(resource.tags);
+};
+
+const restoreFromTrash = async (resource) => {
+  if (resource.isActive) {
+    throw new ApiError(400, 'Resource is not in the trash');
+  }
+
+  resource.isActive = true;
+  resource.deletedAt = undefined;
+  resource.deletedBy = undefined;
+  await resource.save();
+  updateTagCounts(resource.tags);
+};
+
+// Every file a resource stored: all versions and attachments. A file
+// shared by several versions (after a revert) is listed once.
+const getStoredFiles = async (resource) => {
+  const versions = await ResourceVersion.find({ resource: resource._id });
+
+  // Resources uploaded before versioning only have their current file;
+  // drafts may not have one yet
+  const mainFiles = versions.length > 0 ? versions : [resource].filter(file => file.storageKey || file.fileUrl);
+  const files = [...mainFiles, ...resource.attachments];
+
+  const unique = new Map();
+  for (const file of files) {
+    const key = file.storageKey || file.fileUrl;
+    if (!unique.has(key)) unique.set(key, file);
+  }
+  return [...unique.values()];
+};
+
+// Delete a resource for good together with its files, previews, reader
+// HTML, version history, ratings and view/download records. The owner gets
+// the space back.
+const purgeResource = async (resource) => {
+  const files = await getStoredFiles(resource);
+  const previewKeys = getPreviewKeys(resource.preview);
+
+  // Records go first, so a failure halfway never leaves a resource
+  // pointing at files that are gone
+  await Resource.deleteOne({ _id: resource._id });
+  await Promise.all([
+    ResourceVersion.deleteMany({ resource: resource._id }),
+    Rating.deleteMany({ resource: resource._id }),
+    ResourceEvent.deleteMany({ resource: resource._id })
+  ]);
+
+  for (const file of files) {
+    if (file.storageKey) {
+      await discardFile(file, resource.uploadedBy);
+    } else {
+      // Resources uploaded before the storage layer are only known by their URL
+      await releaseStorage(resource.uploadedBy, file.fileSize);
+    }
+  }
+
+  for (const key of previewKeys) {
+    await getDriver(resource.preview.storageDriver).delete(key).catch(() => {});
+  }
+
+  for (const rendering of resource.htmlRenderings) {
+    await getDriver(rendering.storageDriver).delete(rendering.htmlKey).catch(() => {});
+  }
+};
+
+// Purge every resource that stayed in the trash longer than the retention
+// window. Returns the number of purged resources.
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY);
+
+  const resources = await Resource.find({
+    isActive: false,
+    $or: [
+      { deletedAt: { $lte: cutoff } },
+      { deletedAt: { $exists: false }, updatedAt: { $lte: cutoff } }
+    ]
+  });
+
+  let purged = 0;
+  for (const resource of resources) {
+    try {
+      await purgeResource(resource);
+      purged += 1;
+    } catch (error) {
+      console.error(`Purge of resource ${resource._id} failed:`, error);
+    }
+  }
+
+  return purged;
+};
+
+// Purge expired trash at startup and then every TRASH_PURGE_INTERVAL minutes
+const startPurgeJob = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} resource(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL * 60 * 1000).unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  moveToTrash,
+  restoreFromTrash,
+  purgeResource,
+  purgeExpiredTrash,
+  startPurgeJob
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UploadSession = require('../models/UploadSession');
+
+// How long an upload may sit idle before its session expires
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Chunks of uploads in progress are collected here as `<session id>.part`
+const TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'examprepshare-uploads');
+
+// Minutes between runs of the sweep job
+const UPLOAD_SWEEP_INTERVAL = parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES) || 60;
+
+// A new upload writes its file just before its session is saved, so files
+// without a session are only removed once they are older than this
+const ORPHAN_GRACE_PERIOD = 10 * 60 * 1000; // 10 minutes
+
+const getTempPath = (session) => path.join(TMP_DIR, `${session._id}.part`);
+
+const removeTempFile = async (session) => {
+  await fs.promises.unlink(getTempPath(session)).catch(() => {});
+};
+
+// Delete the temporary files of abandoned uploads. MongoDB removes expired
+// sessions on its own, but not their files. Returns the number removed.
+const sweepTempFiles = async () => {
+  const names = await fs.promises.readdir(TMP_DIR).catch((error) => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  let removed = 0;
+  for (const name of names) {
+    if (!name.endsWith('.part')) continue;
+
+    const filePath = path.join(TMP_DIR, name);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats) continue;
+
+    // Every chunk touches the file, so it is as old as the session's last activity
+    const age = Date.now() - stats.mtimeMs;
+    if (age < ORPHAN_GRACE_PERIOD) continue;
+
+    const sessionId = path.basename(name, '.part');
+    const live = age < SESSION_TTL && /^[a-f\d]{24}$/i.test(sessionId)
+      && await UploadSession.exists({ _id: sessionId, status: { $in: ['active', 'completing'] } });
+
+    if (!live) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      removed++;
+    }
+  }
+
+  return removed;
+};
+
+// Sweep abandoned upload files at startup and then every
+// UPLOAD_SWEEP_INTERVAL minutes
+const startSweepJob = () => {
+  const run = async () => {
+    try {
+      const removed = await sweepTempFiles();
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} abandoned upload file(s)`);
+      }
+    } catch (error) {
+      console.error('Upload sweep error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, UPLOAD_SWEEP_INTERVAL * 60 * 1000).unref();
+};
+
+module.exports = {
+  SESSION_TTL,
+  TMP_DIR,
+  getTempPath,
+  removeTempFile,
+  sweepTempFiles,
+  startSweepJob
+};
@@ -0,0 +1,149 @@
+const ResourceVersion = require('../models/ResourceVersion');
+const ApiError = require('../utils/ApiError');
+const { hashContent, checkQuarantined, storeOwnedFile, discardFile } = require('./ingest');
+const { verifyFileType } = require('./fileType');
+const { scheduleProcessing } = require('./processing');
+
+// File fields copied between a resource and its versions
+const FILE_FIELDS = ['fileUrl', 'fileName', 'fileSize', 'fileType', 'storageDriver', 'storageKey', 'contentHash'];
+
+const pickFileFields = (source) => {
+  return FILE_FIELDS.reduce((fields, field) => {
+    fields[field] = source[field];
+    return fields;
+  }, {});
+};
+
+// Scan result of the resource's current file for its version record
+const getCurrentScan = (resource) => {
+  const scan = resource.scan || {};
+
+  if (resource.status === 'quarantined') {
+    return { result: 'infected', signature: scan.signature, scannedAt: scan.scannedAt };
+  }
+  if (resource.status === 'published') {
+    return { result: scan.result === 'released' ? 'released' : 'clean', scannedAt: scan.scannedAt };
+  }
+  return undefined;
+};
+
+// Only versions whose file passed the scan, or that an admin released,
+// may be downloaded
+const isVersionClean = (version) => {
+  return Boolean(version.scan) && ['clean', 'released'].includes(version.scan.result);
+};
+
+// Resources uploaded before versioning existed have no version records;
+// record their file as version 1 the first time history is needed
+const ensureInitialVersion = async (resource) => {
+  // A draft has no file yet; its first uploaded file becomes version 1
+  if (!resource.storageKey) return;
+
+  const exists = await ResourceVersion.exists({ resource: resource._id });
+  if (exists) return;
+
+  await ResourceVersion.create({
+    resource: resource._id,
+    version: resource.currentVersion || 1,
+    ...pickFileFields(resource),
+    scan: getCurrentScan(resource),
+    changelog: 'Initial version',
+    uploadedBy: resource.uploadedBy
+  });
+};
+
+
+// Record `fields` as the newest version and point the resource at it
+const addVersion = async (resource, fields, { changelog, userId, revertedFrom }) => {
+  await ensureInitialVersion(resource);
+
+  const latest = await ResourceVersion.findOne({ resource: resource._id }).sort({ version: -1 });
+
+  // The unique (resource, version) index rejects a concurrent upload of the same number
+  const version = await ResourceVersion.create({
+    resource: resource._id,
+    version: latest ? latest.version + 1 : 1,
+    ...fields,
+    changelog,
+    revertedFrom,
+    uploadedBy: userId
+  });
+
+  try {
+    resource.set(fields);
+    resource.currentVersion = version.version;
+    // Every new file goes through the malware scan again
+    resource.status = 'pending_scan';
+    resource.scan = undefined;
+    await resource.save();
+  } catch (error) {
+    await ResourceVersion.findByIdAndDelete(version._id);
+    throw error;
+  }
+
+  return version;
+};
+
+// Upload a corrected file as a new version of the resource
+const uploadVersion = async ({ resource, file, changelog, userId }) => {
+  const fileType = verifyFileType(file);
+
+  const contentHash = hashContent(file.buffer);
+  if (contentHash === resource.contentHash) {
+    throw new ApiError(400, 'This file is identical to the current version', { code: 'UNCHANGED_FILE' });
+  }
+  await checkQuarantined(contentHash);
+
+  // Old versions are kept, so every new one counts against the owner's quota
+  const storedFile = await storeOwnedFile(resource.uploadedBy, file, contentHash, fileType);
+
+  let version;
+  try {
+    version = await addVersion(resource, storedFile, { changelog, userId });
+  } catch (error) {
+    await discardFile(storedFile, resource.uploadedBy);
+    throw error;
+  }
+
+  scheduleProcessing(resource._id, file.buffer);
+  return version;
+};
+
+// Make an older version current again. History stays linear: the
+// revert is recorded as a new version sharing the old version's file.
+const revertToVersion = async ({ resource, versionNumber, userId }) => {
+  if (versionNumber === resource.currentVersion) {
+    throw new ApiError(400, 'This is already the current version');
+  }
+
+  await ensureInitialVersion(resource);
+
+  const target = await ResourceVersion.findOne({ resource: resource._id, version: versionNumber });
+  if (!target) {
+    throw new ApiError(404, 'Version not found');
+  }
+
+  // Versions stored before they were scanned are scanned again after the
+  // revert; ones found infected never come back
+  if (target.scan && !isVersionClean(target)) {
+    throw new ApiError(422, 'This version was flagged as malware and cannot be restored', {
+      code: 'QUARANTINED_FILE'
+    });
+  }
+
+  const version = await addVersion(resource, pickFileFields(target), {
+    changelog: `Reverted to version ${versionNumber}`,
+    userId,
+    revertedFrom: versionNumber
+  });
+
+  scheduleProcessing(resource._id);
+  return version;
+};
+
+module.exports = {
+  isVersionClean,
+  ensureInitialVersion,
+  uploadVersion,
+  revertToVersion
+};
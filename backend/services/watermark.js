@@ -0,0 +1,83 @@
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+const User = require('../models/User');
+
+// Address of the web app, used for the link back to a resource
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const FONT_SIZE = 8;
+// Distance of the footer from the bottom edge of the page, in points
+const MARGIN = 12;
+
+// Whether a file of the resource is stamped when it is downloaded
+const shouldWatermark = (resource, file) => Boolean(resource.watermarkDownloads) && file.fileType === 'pdf';
+
+// Footer crediting the uploader, e.g.
+// "Shared by Asha on ExamPrepShare — http://.../resource/<id>"
+const getWatermarkText = async (resource) => {
+  const uploader = await User.findById(resource.uploadedBy._id || resource.uploadedBy).select('name');
+  const link = `${FRONTEND_URL}/resource/${resource._id}`;
+
+  return uploader ? `Shared by ${uploader.name} on ExamPrepShare — ${link}` : `Shared on ExamPrepShare — ${link}`;
+};
+
+// The standard PDF fonts only cover Latin characters; anything else (e.g.
+// a name in Devanagari) is left out rather than breaking the download
+const toWinAnsi = (text) => {
+  return text
+    .replace(/—/g, '-')
+    .normalize('NFKD')
+    .replace(/[^\x20-\x7e]/g, '')
+    .replace(/ {2,}/g, ' ');
+};
+
+// Position of the footer so it reads left to right along the bottom of the
+// page as displayed, whatever rotation the page has
+const getPlacement = (page, textWidth) => {
+  const { x, y, width, height } = page.getCropBox();
+
+  switch (page.getRotation().angle % 360) {
+    case 90:
+      return { x: x + width - MARGIN, y: y + (height - textWidth) / 2, rotate: degrees(90) };
+    case 180:
+      return { x: x + (width + textWidth) / 2, y: y + height - MARGIN, rotate: degrees(180) };
+    case 270:
+      return { x: x + MARGIN, y: y + (height + textWidth) / 2, rotate: degrees(270) };
+    default:
+      return { x: x + (width - textWidth) / 2, y: y + MARGIN, rotate: degrees(0) };
+  }
+};
+
+// Stamp every page of a PDF with a footer. The stored original is never
+// changed; this returns a new buffer. PDFs pdf-lib can't rewrite (e.g.
+// encrypted ones) are returned as they are.
+const stampPdf = async (buffer, text) => {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buffer);
+  } catch (error) {
+    console.warn('Watermark skipped, PDF could not be read:', error.message);
+    return buffer;
+  }
+
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const footer = toWinAnsi(text);
+  const textWidth = font.widthOfTextAtSize(footer, FONT_SIZE);
+
+  for (const page of pdf.getPages()) {
+    page.drawText(footer, {
+      ...getPlacement(page, textWidth),
+      size: FONT_SIZE,
+      font,
+      color: rgb(0.35, 0.35, 0.35),
+      opacity: 0.8
+    });
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  shouldWatermark,
+  getWatermarkText,
+  stampPdf
+};
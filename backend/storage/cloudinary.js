@@ -0,0 +1,61 @@
+const https = require('https');
+const { cloudinary, FOLDER } = require('../config/cloudinary');
+
+// Study material is mostly documents, so everything is stored as a raw asset.
+// Private assets can only be fetched through signed download URLs.
+const RESOURCE_TYPE = 'raw';
+const DELIVERY_TYPE = 'private';
+
+const getPublicId = (key) => `${FOLDER}/${key}`;
+
+const put = (key, buffer) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      { public_id: getPublicId(key), resource_type: RESOURCE_TYPE, type: DELIVERY_TYPE },
+      (error, result) => {
+        if (error) {
+          console.error('Cloudinary upload error:', error);
+          return reject(new Error(`Failed to upload file to Cloudinary: ${error.message}`));
+        }
+        resolve({ key, url: result.secure_url });
+      }
+    );
+    uploadStream.end(buffer);
+  });
+};
+
+const getSignedUrl = async (key, expiresIn = 3600, { fileName } = {}) => {
+  return cloudinary.utils.private_download_url(getPublicId(key), '', {
+    resource_type: RESOURCE_TYPE,
+    type: DELIVERY_TYPE,
+    // Cloudinary takes the download's file name as the attachment value
+    attachment: fileName || undefined,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn
+  });
+};
+
+const getStream = async (key) => {
+  const url = await getSignedUrl(key, 60);
+
+  return new Promise((resolve, reject) => {
+    https.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Failed to read file from Cloudinary: HTTP ${response.statusCode}`));
+      }
+      resolve(response);
+    }).on('error', reject);
+  });
+};
+
+const remove = async (key) => {
+  await cloudinary.uploader.destroy(getPublicId(key), { resource_type: RESOURCE_TYPE, type: DELIVERY_TYPE });
+};
+
+module.exports = {
+  name: 'cloudinary',
+  put,
+  getStream,
+  delete: remove,
+  getSignedUrl
+};
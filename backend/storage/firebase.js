@@ -0,0 +1,40 @@
+const { initializeFirebase, getBucket, admin } = require('../config/firebase');
+const contentDisposition = require('../utils/contentDisposition');
+
+const PREFIX = 'resources';
+
+if (!admin.apps.length) {
+  initializeFirebase();
+}
+
+const getFile = (key) => getBucket().file(`${PREFIX}/${key}`);
+
+const put = async (key, buffer, { contentType } = {}) => {
+  const file = getFile(key);
+  await file.save(buffer, { contentType, resumable: false });
+
+  return { key, url: `https://storage.googleapis.com/${getBucket().name}/${PREFIX}/${key}` };
+};
+
+const getStream = async (key) => getFile(key).createReadStream();
+
+const remove = async (key) => {
+  await getFile(key).delete({ ignoreNotFound: true });
+};
+
+const getSignedUrl = async (key, expiresIn = 3600, { fileName } = {}) => {
+  const [url] = await getFile(key).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + expiresIn * 1000,
+    responseDisposition: fileName ? contentDisposition('attachment', fileName) : undefined
+  });
+  return url;
+};
+
+module.exports = {
+  name: 'firebase',
+  put,
+  getStream,
+  delete: remove,
+  getSignedUrl
+};
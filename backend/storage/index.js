@@ -0,0 +1,62 @@
+// Storage driver registry
+//
+// Every driver exposes the same interface so routes never need to know
+// where files actually live:
+//   put(key, buffer, { contentType })  -> { key, url }
+//   getStream(key)                     -> readable stream of the file
+//   delete(key)                        -> removes the file
+//   getSignedUrl(key, expiresIn, { fileName })
+//                                      -> short-lived download URL (served as an
+//                                         attachment named fileName when given)
+//
+// Files are stored privately; clients only ever get signed URLs.
+//
+// The active driver is chosen with STORAGE_DRIVER (local, s3, cloudinary, firebase).
+
+const DRIVERS = {
+  local: './local',
+  s3: './s3',
+  cloudinary: './cloudinary',
+  firebase: './firebase'
+};
+
+const DEFAULT_DRIVER = 'cloudinary';
+
+const drivers = {};
+
+// Load a driver by name (drivers are only required when used, so a local
+// setup does not need cloud credentials)
+const getDriver = (name) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!drivers[name]) {
+    drivers[name] = require(DRIVERS[name]);
+  }
+
+  return drivers[name];
+};
+
+// Get the driver configured for new uploads
+const getStorage = () => {
+  const name = (process.env.STORAGE_DRIVER || DEFAULT_DRIVER).toLowerCase();
+  return getDriver(name);
+};
+
+// Read a stored file into memory
+const readFile = async (driverName, key) => {
+  const stream = await getDriver(driverName).getStream(key);
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  getStorage,
+  getDriver,
+  readFile
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const contentDisposition = require('../utils/contentDisposition');
+
+// Files are kept on the local disk, which lets a box run without any cloud account
+const UPLOAD_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+const PUBLIC_URL = process.env.LOCAL_STORAGE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`;
+
+// Resolve a key to a path inside the upload directory
+const resolvePath = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const buildUrl = (key) => `${PUBLIC_URL}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+const sign = (key, expires, fileName = '') => {
+  return crypto
+    .createHmac('sha256', process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET)
+    .update(`${key}:${expires}:${fileName}`)
+    .digest('hex');
+};
+
+const isValidSignature = (key, { expires, signature, filename }) => {
+  if (typeof signature !== 'string' || !(parseInt(expires) > Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires, filename));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolvePath(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return { key, url: buildUrl(key) };
+};
+
+const getStream = async (key) => {
+  const filePath = resolvePath(key);
+  await fs.promises.access(filePath, fs.constants.R_OK);
+  return fs.createReadStream(filePath);
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolvePath(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+const getSignedUrl = async (key, expiresIn = 3600, { fileName } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const params = new URLSearchParams({ expires, signature: sign(key, expires, fileName) });
+  if (fileName) params.set('filename', fileName);
+
+  return `${buildUrl(key)}?${params}`;
+};
+
+// Express middleware serving the upload directory, only for valid signed URLs
+const middleware = () => {
+  const serveStatic = express.static(UPLOAD_DIR, { index: false });
+
+  return (req, res, next) => {
+    let key;
+    try {
+      key = decodeURIComponent(req.path.slice(1));
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid file path' });
+    }
+
+    if (!isValidSignature(key, req.query)) {
+      return res.status(403).json({ message: 'Download link is invalid or has expired' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    if (req.query.filename) {
+      res.set('Content-Disposition', contentDisposition('attachment', req.query.filename));
+    }
+
+    serveStatic(req, res, next);
+  };
+};
+
+module.exports = {
+  name: 'local',
+  put,
+  getStream,
+  delete: remove,
+  getSignedUrl,
+  middleware,
+  UPLOAD_DIR
+};
@@ -0,0 +1,14 @@
+const { uploadToS3, getS3Stream, deleteFromS3, getSignedUrlForFile } = require('../config/aws');
+
+const put = async (key, buffer, { contentType } = {}) => {
+  const url = await uploadToS3({ buffer, mimetype: contentType }, key);
+  return { key, url };
+};
+
+module.exports = {
+  name: 's3',
+  put,
+  getStream: getS3Stream,
+  delete: deleteFromS3,
+  getSignedUrl: (key, expiresIn, { fileName } = {}) => getSignedUrlForFile(key, expiresIn, fileName)
+};
@@ -0,0 +1,12 @@
+// Error with an HTTP status, thrown by services so routes can answer with it.
+// `details` is merged into the JSON response (e.g. an error `code`).
+class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = ApiError;
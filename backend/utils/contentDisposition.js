@@ -0,0 +1,6 @@
+// Build a Content-Disposition header that survives non-ASCII file names
+const contentDisposition = (type, fileName) => {
+  return `${type}; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+module.exports = contentDisposition;
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const MAX_NAME_LENGTH = 255;
+const MAX_SLUG_LENGTH = 60;
+
+// Clean a client supplied file name for display and Content-Disposition:
+// no directories, control characters or overlong names
+const sanitizeFileName = (fileName) => {
+  const name = path.basename(String(fileName || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim();
+
+  if (!name || name === '.' || name === '..') return 'file';
+  if (name.length <= MAX_NAME_LENGTH) return name;
+
+  const extension = path.extname(name).slice(0, 16);
+  return name.slice(0, MAX_NAME_LENGTH - extension.length) + extension;
+};
+
+// ASCII slug of a file name, used inside storage keys
+const slugify = (fileName) => {
+  const slug = path.parse(fileName).name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+
+  return slug || 'file';
+};
+
+// Unique storage key for an upload. The extension comes from the detected
+// file type, never from the client, and a random part avoids collisions.
+const buildStorageKey = (fileName, fileType) => {
+  const unique = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  return `${unique}-${slugify(fileName)}.${fileType}`;
+};
+
+module.exports = {
+  sanitizeFileName,
+  buildStorageKey
+};
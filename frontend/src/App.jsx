@@ -12,7 +12,15 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Upload from './pages/Upload';
+import BulkUpload from './pages/BulkUpload';
 import ResourceDetails from './pages/ResourceDetails';
+import EditResource from './pages/EditResource';
+import Quarantine from './pages/Quarantine';
+import AdminUsers from './pages/AdminUsers';
+import AdminTags from './pages/AdminTags';
+import AdminTaxonomy from './pages/AdminTaxonomy';
+import Trash from './pages/Trash';
+import Drafts from './pages/Drafts';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -93,6 +101,14 @@ function AppContent() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/upload/bulk" 
+            element={
+              <ProtectedRoute>
+                <BulkUpload />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/resource/:id" 
             element={
@@ -101,6 +117,63 @@ function AppContent() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/resource/:id/edit" 
+            element={
+              <ProtectedRoute>
+                <EditResource />
+              </ProtectedRoute>
+            } 
+          />
+          
+          <Route 
+            path="/drafts" 
+            element={
+              <ProtectedRoute>
+                <Drafts />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/trash" 
+            element={
+              <ProtectedRoute>
+                <Trash />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/quarantine" 
+            element={
+              <ProtectedRoute>
+                <Quarantine />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/users" 
+            element={
+              <ProtectedRoute>
+                <AdminUsers />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/tags" 
+            element={
+              <ProtectedRoute>
+                <AdminTags />
+              </ProtectedRoute>
+            } 
+          />
+          <Route 
+            path="/admin/taxonomy" 
+            element={
+              <ProtectedRoute>
+                <AdminTaxonomy />
+              </ProtectedRoute>
+            } 
+          />
           
           {/* Default redirect */}
           <Route path="/" element={<Navigate to="/dashboard" />} />
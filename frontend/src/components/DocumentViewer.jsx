@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useRef, lazy, Suspense } from 'react';
+import { X, ZoomIn, ZoomOut, Search, ChevronUp, ChevronDown } from 'lucide-react';
+import { resourcesAPI } from '../utils/api';
+
+// pdf.js is large, so it is only loaded when a PDF is opened
+const PdfViewer = lazy(() => import('./PdfViewer'));
+
+// File types the built-in reader can display
+export const VIEWABLE_TYPES = ['pdf', 'jpg', 'jpeg', 'png', 'doc', 'docx', 'txt'];
+
+// File types the server renders to HTML for the reader
+const HTML_TYPES = ['doc', 'docx', 'txt'];
+
+const IMAGE_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const ImageViewer = ({ data, fileType, title }) => {
+  const [url, setUrl] = useState(null);
+  const [scale, setScale] = useState(1);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(new Blob([data], { type: IMAGE_MIME_TYPES[fileType] }));
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [data, fileType]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-end space-x-2 border-b pb-3 mb-3">
+        <button
+          type="button"
+          onClick={() => setScale(current => Math.max(current - 0.25, 0.25))}
+          disabled={scale <= 0.25}
+          className="btn btn-outline btn-sm"
+          title="Zoom out"
+        >
+          <ZoomOut className="w-4 h-4" />
+        </button>
+        <span className="text-sm text-gray-600 w-12 text-center">{Math.round(scale * 100)}%</span>
+        <button
+          type="button"
+          onClick={() => setScale(current => Math.min(current + 0.25, 4))}
+          disabled={scale >= 4}
+          className="btn btn-outline btn-sm"
+          title="Zoom in"
+        >
+          <ZoomIn className="w-4 h-4" />
+        </button>
+      </div>
+      <div className="overflow-auto max-h-[80vh] bg-gray-100 rounded-lg p-4">
+        {url && (
+          <img
+            src={url}
+            alt={title}
+            className="mx-auto max-w-none"
+            style={{ width: `${scale * 100}%` }}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Word and text files, rendered to sanitized HTML by the server
+const HtmlViewer = ({ html }) => {
+  const [fontSize, setFontSize] = useState(16);
+  const [query, setQuery] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [matchCount, setMatchCount] = useState(0);
+  const [matchIndex, setMatchIndex] = useState(0);
+  const containerRef = useRef(null);
+
+  // Insert the document and wrap search hits in <mark> elements
+  useEffect(() => {
+    const container = containerRef.current;
+    container.innerHTML = html;
+
+    let count = 0;
+    if (searchTerm) {
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      const textNodes = [];
+      while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+      for (const node of textNodes) {
+        const text = node.nodeValue;
+        const lowerText = text.toLowerCase();
+        let index = lowerText.indexOf(searchTerm);
+        if (index === -1) continue;
+
+        const fragment = document.createDocumentFragment();
+        let position = 0;
+        while (index !== -1) {
+          fragment.appendChild(document.createTextNode(text.slice(position, index)));
+          const mark = document.createElement('mark');
+          mark.textContent = text.slice(index, index + searchTerm.length);
+          mark.dataset.match = count++;
+          fragment.appendChild(mark);
+          position = index + searchTerm.length;
+          index = lowerText.indexOf(searchTerm, position);
+        }
+        fragment.appendChild(document.createTextNode(text.slice(position)));
+        node.parentNode.replaceChild(fragment, node);
+      }
+    }
+
+    setMatchCount(count);
+  }, [html, searchTerm]);
+
+  // Colour the current match and scroll to it
+  useEffect(() => {
+    const marks = containerRef.current.querySelectorAll('mark[data-match]');
+    marks.forEach((mark, index) => {
+      mark.className = index === matchIndex ? 'bg-orange-300' : 'bg-yellow-200';
+    });
+    if (marks[matchIndex]) marks[matchIndex].scrollIntoView({ block: 'center' });
+  }, [html, searchTerm, matchIndex, matchCount]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearchTerm(query.trim().toLowerCase());
+    setMatchIndex(0);
+  };
+
+  const goToMatch = (step) => {
+    setMatchIndex(current => (current + step + matchCount) % matchCount);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 border-b pb-3 mb-3">
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => setFontSize(current => Math.max(current - 2, 10))}
+            disabled={fontSize <= 10}
+            className="btn btn-outline btn-sm"
+            title="Smaller text"
+          >
+            <ZoomOut className="w-4 h-4" />
+          </button>
+          <span className="text-sm text-gray-600 w-12 text-center">{fontSize}px</span>
+          <button
+            type="button"
+            onClick={() => setFontSize(current => Math.min(current + 2, 32))}
+            disabled={fontSize >= 32}
+            className="btn btn-outline btn-sm"
+            title="Larger text"
+          >
+            <ZoomIn className="w-4 h-4" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSearch} className="flex items-center space-x-2">
+          <div className="relative">
+            <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search in document"
+              className="input h-8 pl-8 w-44"
+            />
+          </div>
+          {matchCount > 0 && (
+            <>
+              <button type="button" onClick={() => goToMatch(-1)} className="btn btn-outline btn-sm" title="Previous match">
+                <ChevronUp className="w-4 h-4" />
+              </button>
+              <button type="button" onClick={() => goToMatch(1)} className="btn btn-outline btn-sm" title="Next match">
+                <ChevronDown className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </form>
+      </div>
+
+      {searchTerm && (
+        <p className="text-sm text-gray-500 mb-3">
+          {matchCount > 0 ? `Match ${matchIndex + 1} of ${matchCount}` : 'No matches found'}
+        </p>
+      )}
+
+      <div
+        ref={containerRef}
+        className="document-html overflow-auto max-h-[80vh] bg-white border rounded-lg p-6 break-words text-gray-800"
+        style={{ fontSize: `${fontSize}px` }}
+      />
+    </div>
+  );
+};
+
+// Shows the main file of a resource, or one of its attachments when `attachment` is given
+const DocumentViewer = ({ resource, attachment, initialPage, onPageChange, onClose }) => {
+  const file = attachment || resource;
+  // The loaded content is kept with the file it belongs to, so content of
+  // the previous file is never handed to the viewer of the next one
+  const fileKey = `${resource._id}:${resource.currentVersion}:${attachment?._id || ''}`;
+  const [loaded, setLoaded] = useState({ key: null, data: null, error: null });
+  const loading = loaded.key !== fileKey;
+  const { data, error } = loaded;
+
+  useEffect(() => {
+    // Switching files cancels the request for the previous one
+    const controller = new AbortController();
+
+    const fetchFile = async () => {
+      try {
+        const params = attachment ? { attachment: attachment._id } : {};
+        const config = { signal: controller.signal };
+        const response = HTML_TYPES.includes(file.fileType)
+          ? await resourcesAPI.getHtml(resource._id, params, config)
+          : await resourcesAPI.getFile(resource._id, params, config);
+        if (controller.signal.aborted) return;
+        setLoaded({ key: fileKey, data: response.data, error: null });
+      } catch (fetchError) {
+        if (controller.signal.aborted) return;
+        console.error('Error loading file:', fetchError);
+        setLoaded({ key: fileKey, data: null, error: 'Failed to load the document. Try downloading it instead.' });
+      }
+    };
+
+    fetchFile();
+    return () => controller.abort();
+  }, [fileKey]);
+
+  const spinner = (
+    <div className="flex justify-center py-12">
+      <div className="loading-spinner"></div>
+    </div>
+  );
+
+  const renderContent = () => {
+    if (loading) {
+      return spinner;
+    }
+
+    if (error) {
+      return <p className="text-center text-gray-500 py-12">{error}</p>;
+    }
+
+    switch (file.fileType) {
+      case 'pdf':
+        return (
+          <Suspense fallback={spinner}>
+            <PdfViewer data={data} initialPage={initialPage} onPageChange={onPageChange} />
+          </Suspense>
+        );
+      case 'jpg':
+      case 'jpeg':
+      case 'png':
+        return <ImageViewer data={data} fileType={file.fileType} title={resource.title} />;
+      case 'doc':
+      case 'docx':
+      case 'txt':
+        return <HtmlViewer html={data} />;
+      default:
+        return <p className="text-center text-gray-500 py-12">This file type can&apos;t be viewed in the browser.</p>;
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900 truncate">
+            Reader
+            {attachment && (
+              <span className="ml-2 text-base font-normal text-gray-500">{attachment.label || attachment.fileName}</span>
+            )}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+            title="Close reader"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+      <div className="card-content">
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { BookOpen, Upload, LogOut, Menu, X, User, Star } from 'lucide-react';
+import { BookOpen, Upload, LogOut, Menu, X, User, Star, ShieldAlert, Users, Trash2, FileEdit, Tags, Network } from 'lucide-react';
 
 const Navbar = () => {
   const { user, isAuthenticated, logout } = useAuth();
@@ -21,6 +21,14 @@ const Navbar = () => {
   const navItems = [
     { path: '/dashboard', label: 'Dashboard', icon: BookOpen },
     { path: '/upload', label: 'Upload', icon: Upload },
+    { path: '/drafts', label: 'Drafts', icon: FileEdit },
+    { path: '/trash', label: 'Trash', icon: Trash2 },
+    ...(user?.role === 'admin' ? [
+      { path: '/admin/quarantine', label: 'Quarantine', icon: ShieldAlert },
+      { path: '/admin/users', label: 'Users', icon: Users },
+      { path: '/admin/tags', label: 'Tags', icon: Tags },
+      { path: '/admin/taxonomy', label: 'Syllabus', icon: Network }
+    ] : []),
   ];
 
   return (
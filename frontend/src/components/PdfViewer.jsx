@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Search, ChevronUp, ChevronDown } from 'lucide-react';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+const SCALE_STEP = 0.25;
+
+const countOccurrences = (text, term) => {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+const PdfViewer = ({ data, initialPage = 1, onPageChange }) => {
+  const [pdf, setPdf] = useState(null);
+  const [pageNumber, setPageNumber] = useState(initialPage);
+  const [pageInput, setPageInput] = useState(String(initialPage));
+  const [scale, setScale] = useState(1);
+  const [query, setQuery] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [matches, setMatches] = useState(null);
+  const [matchIndex, setMatchIndex] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canvasRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const pageTextsRef = useRef({});
+
+  // Load the document
+  useEffect(() => {
+    // pdf.js takes ownership of the buffer it is given, so pass a copy
+    const loadingTask = pdfjsLib.getDocument({ data: data.slice(0) });
+    pageTextsRef.current = {};
+
+    loadingTask.promise
+      .then((doc) => {
+        setPdf(doc);
+        setPageNumber(page => Math.min(Math.max(page, 1), doc.numPages));
+      })
+      .catch((loadError) => {
+        console.error('Error loading PDF:', loadError);
+        setError('This PDF could not be opened.');
+      });
+
+    return () => {
+      loadingTask.destroy();
+    };
+  }, [data]);
+
+  // Render the current page with a text layer for selection and search hits
+  useEffect(() => {
+    if (!pdf) return;
+
+    let cancelled = false;
+    let renderTask = null;
+    let textLayerTask = null;
+
+    const renderPage = async () => {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const outputScale = window.devicePixelRatio || 1;
+
+      const canvas = canvasRef.current;
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.style.width = `${Math.floor(viewport.width)}px`;
+      canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+      renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+      });
+      await renderTask.promise;
+      if (cancelled) return;
+
+      const container = textLayerRef.current;
+      container.innerHTML = '';
+      container.style.setProperty('--scale-factor', viewport.scale);
+
+      const textDivs = [];
+      textLayerTask = pdfjsLib.renderTextLayer({
+        textContentSource: await page.getTextContent(),
+        container,
+        viewport,
+        textDivs
+      });
+      await textLayerTask.promise;
+      if (cancelled || !searchTerm) return;
+
+      textDivs.forEach((div) => {
+        if (div.textContent.toLowerCase().includes(searchTerm)) {
+          div.classList.add('search-hit');
+        }
+      });
+    };
+
+    renderPage().catch((renderError) => {
+      if (!cancelled && renderError?.name !== 'RenderingCancelledException') {
+        console.error('Error rendering page:', renderError);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      if (renderTask) renderTask.cancel();
+      if (textLayerTask) textLayerTask.cancel();
+    };
+  }, [pdf, pageNumber, scale, searchTerm]);
+
+  useEffect(() => {
+    setPageInput(String(pageNumber));
+    if (onPageChange) onPageChange(pageNumber);
+  }, [pageNumber]);
+
+  const numPages = pdf ? pdf.numPages : 0;
+
+  const goToPage = (page) => {
+    if (!pdf) return;
+    setPageNumber(Math.min(Math.max(page, 1), numPages));
+  };
+
+  const handlePageSubmit = (e) => {
+    e.preventDefault();
+    const page = parseInt(pageInput);
+    if (page) {
+      goToPage(page);
+    } else {
+      setPageInput(String(pageNumber));
+    }
+  };
+
+  const zoom = (step) => {
+    setScale(current => Math.min(Math.max(current + step, MIN_SCALE), MAX_SCALE));
+  };
+
+  const getPageText = async (page) => {
+    if (pageTextsRef.current[page] === undefined) {
+      const textContent = await (await pdf.getPage(page)).getTextContent();
+      pageTextsRef.current[page] = textContent.items.map(item => item.str).join(' ').toLowerCase();
+    }
+    return pageTextsRef.current[page];
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!pdf) return;
+
+    const term = query.trim().toLowerCase();
+    if (!term) {
+      setSearchTerm('');
+      setMatches(null);
+      return;
+    }
+
+    try {
+      setSearching(true);
+
+      const found = [];
+      for (let page = 1; page <= numPages; page++) {
+        const count = countOccurrences(await getPageText(page), term);
+        if (count > 0) found.push({ page, count });
+      }
+
+      setSearchTerm(term);
+      setMatches(found);
+      setMatchIndex(0);
+      if (found.length > 0) goToPage(found[0].page);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const goToMatch = (step) => {
+    if (!matches || matches.length === 0) return;
+    const index = (matchIndex + step + matches.length) % matches.length;
+    setMatchIndex(index);
+    goToPage(matches[index].page);
+  };
+
+  if (error) {
+    return <p className="text-center text-gray-500 py-12">{error}</p>;
+  }
+
+  const totalMatches = matches ? matches.reduce((sum, match) => sum + match.count, 0) : 0;
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center justify-between gap-3 border-b pb-3 mb-3">
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => goToPage(pageNumber - 1)}
+            disabled={pageNumber <= 1}
+            className="btn btn-outline btn-sm"
+            title="Previous page"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <form onSubmit={handlePageSubmit} className="flex items-center space-x-1 text-sm text-gray-600">
+            <span>Page</span>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={pageInput}
+              onChange={(e) => setPageInput(e.target.value)}
+              onBlur={handlePageSubmit}
+              className="input h-8 w-14 px-2 text-center"
+              aria-label="Page number"
+            />
+            <span>of {numPages || '…'}</span>
+          </form>
+          <button
+            type="button"
+            onClick={() => goToPage(pageNumber + 1)}
+            disabled={!pdf || pageNumber >= numPages}
+            className="btn btn-outline btn-sm"
+            title="Next page"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => zoom(-SCALE_STEP)}
+            disabled={scale <= MIN_SCALE}
+            className="btn btn-outline btn-sm"
+            title="Zoom out"
+          >
+            <ZoomOut className="w-4 h-4" />
+          </button>
+          <span className="text-sm text-gray-600 w-12 text-center">{Math.round(scale * 100)}%</span>
+          <button
+            type="button"
+            onClick={() => zoom(SCALE_STEP)}
+            disabled={scale >= MAX_SCALE}
+            className="btn btn-outline btn-sm"
+            title="Zoom in"
+          >
+            <ZoomIn className="w-4 h-4" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSearch} className="flex items-center space-x-2">
+          <div className="relative">
+            <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search in document"
+              className="input h-8 pl-8 w-44"
+            />
+          </div>
+          {matches && matches.length > 0 && (
+            <>
+              <button type="button" onClick={() => goToMatch(-1)} className="btn btn-outline btn-sm" title="Previous match">
+                <ChevronUp className="w-4 h-4" />
+              </button>
+              <button type="button" onClick={() => goToMatch(1)} className="btn btn-outline btn-sm" title="Next match">
+                <ChevronDown className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </form>
+      </div>
+
+      {(searching || matches) && (
+        <p className="text-sm text-gray-500 mb-3">
+          {searching
+            ? 'Searching…'
+            : matches.length > 0
+              ? `${totalMatches} matches on ${matches.length} pages (page ${matchIndex + 1} of ${matches.length})`
+              : 'No matches found'}
+        </p>
+      )}
+
+      {/* Page */}
+      <div className="overflow-auto max-h-[80vh] bg-gray-100 rounded-lg p-4">
+        {!pdf && (
+          <div className="flex justify-center py-12">
+            <div className="loading-spinner"></div>
+          </div>
+        )}
+        <div className="relative mx-auto shadow-md bg-white w-fit">
+          <canvas ref={canvasRef} className="block" />
+          <div ref={textLayerRef} className="pdf-text-layer" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PdfViewer;
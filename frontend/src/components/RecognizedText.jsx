@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { ScanLine, Pencil, ChevronDown, ChevronUp } from 'lucide-react';
+import { resourcesAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Text recognized (OCR) in the photos and scanned pages of a resource.
+// The owner can correct it, since it is what search finds them by.
+const RecognizedText = ({ resource, canManage = false, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [text, setText] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const ocr = resource.ocr;
+
+  // The text changes when a new version or file was recognized
+  useEffect(() => {
+    setText(null);
+    setEditing(false);
+  }, [resource._id, ocr?.processedAt]);
+
+  useEffect(() => {
+    if (expanded && text === null) {
+      fetchText();
+    }
+  }, [expanded, text]);
+
+  const fetchText = async () => {
+    try {
+      setLoading(true);
+      const response = await resourcesAPI.getOcr(resource._id);
+      setText(response.data.text);
+      return response.data.text;
+    } catch (error) {
+      console.error('Error fetching recognized text:', error);
+      toast.error('Failed to load the recognized text');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const handleEdit = async () => {
+    const current = text !== null ? text : await fetchText();
+    if (current === null) return;
+
+    setDraft(current);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await resourcesAPI.updateOcr(resource._id, draft);
+      toast.success(response.data.message);
+      setText(response.data.text);
+      setEditing(false);
+      setExpanded(true);
+      if (onChange) onChange(response.data.ocr);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save the text');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!ocr?.status) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+            <ScanLine className="w-5 h-5" />
+            <span>Recognized Text</span>
+          </h2>
+          <div className="flex items-center space-x-2">
+            {canManage && !editing && (
+              <button
+                onClick={handleEdit}
+                className="btn btn-outline btn-sm flex items-center space-x-1"
+                title="Correct the recognized text"
+              >
+                <Pencil className="w-4 h-4" />
+                <span>Edit</span>
+              </button>
+            )}
+            {ocr.status === 'done' && !editing && (
+              <button
+                onClick={() => setExpanded(!expanded)}
+                className="btn btn-outline btn-sm flex items-center space-x-1"
+              >
+                {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                <span>{expanded ? 'Hide' : 'Show'}</span>
+              </button>
+            )}
+          </div>
+        </div>
+        <p className="text-sm text-gray-500 mt-1">
+          {ocr.status === 'failed'
+            ? 'The text of the photos or scanned pages could not be recognized.'
+            : ocr.editedAt
+              ? `Corrected by the uploader on ${formatDate(ocr.editedAt)}.`
+              : `Read automatically from the photos or scanned pages${ocr.confidence !== undefined ? ` (${ocr.confidence}% confidence)` : ''}, so it may contain mistakes.`}
+        </p>
+      </div>
+
+      {(expanded || editing) && (
+        <div className="card-content">
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : editing ? (
+            <div className="space-y-3">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={12}
+                className="input font-mono text-sm"
+                placeholder="Type the text of the photos or scanned pages"
+              />
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={handleSave}
+                  className="btn btn-primary btn-sm"
+                  disabled={saving}
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={() => setEditing(false)}
+                  className="btn btn-outline btn-sm"
+                  disabled={saving}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : text ? (
+            <p className="text-sm text-gray-700 whitespace-pre-wrap max-h-96 overflow-y-auto">{text}</p>
+          ) : (
+            <p className="text-sm text-gray-500">No text was found.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecognizedText;
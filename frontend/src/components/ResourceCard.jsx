@@ -2,6 +2,9 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { Download, Eye, Star, Calendar, User, FileText } from 'lucide-react';
 import StarRating from './StarRating';
+import { resourcesAPI } from '../utils/api';
+import { downloadResource } from '../utils/download';
+import toast from 'react-hot-toast';
 
 const ResourceCard = ({ resource, showUploader = true }) => {
   const formatFileSize = (bytes) => {
@@ -53,8 +56,28 @@ const ResourceCard = ({ resource, showUploader = true }) => {
     return colors[category] || colors['Other'];
   };
 
+  const hasThumbnail = resource.preview && resource.preview.thumbnailKey;
+
+  const handleDownload = async () => {
+    try {
+      await downloadResource(resource._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Download failed');
+    }
+  };
+
   return (
-    <div className="card hover:shadow-lg transition-shadow duration-200">
+    <div className="card hover:shadow-lg transition-shadow duration-200 overflow-hidden">
+      {hasThumbnail && (
+        <Link to={`/resource/${resource._id}`} className="block bg-gray-100 border-b">
+          <img
+            src={resourcesAPI.getThumbnailUrl(resource)}
+            alt={`Preview of ${resource.title}`}
+            loading="lazy"
+            className="w-full h-40 object-cover object-top"
+          />
+        </Link>
+      )}
       <div className="card-header">
         <div className="flex items-start justify-between">
           <div className="flex-1 min-w-0">
@@ -92,6 +115,19 @@ const ResourceCard = ({ resource, showUploader = true }) => {
           {resource.description}
         </p>
 
+        {/* Matches inside the file (search results only) */}
+        {resource.snippets && resource.snippets.length > 0 && (
+          <div className="space-y-1 mb-4">
+            {resource.snippets.map((snippet, index) => (
+              <p key={index} className="text-xs text-gray-600 bg-gray-50 rounded px-2 py-1">
+                {snippet.before}
+                <mark className="bg-yellow-200 text-gray-900 rounded px-0.5">{snippet.match}</mark>
+                {snippet.after}
+              </p>
+            ))}
+          </div>
+        )}
+
         {/* Tags */}
         {resource.tags && resource.tags.length > 0 && (
           <div className="flex flex-wrap gap-1 mb-4">
@@ -119,11 +155,20 @@ const ResourceCard = ({ resource, showUploader = true }) => {
               <span>{resource.fileName}</span>
             </span>
             <span>{formatFileSize(resource.fileSize)}</span>
+            {resource.attachments && resource.attachments.length > 0 && (
+              <span title="Additional files">+{resource.attachments.length} more</span>
+            )}
+          </div>
+          <div className="flex items-center space-x-3">
+            <span className="flex items-center space-x-1" title="Views">
+              <Eye className="w-4 h-4" />
+              <span>{resource.viewCount || 0}</span>
+            </span>
+            <span className="flex items-center space-x-1" title="Downloads">
+              <Download className="w-4 h-4" />
+              <span>{resource.downloadCount || 0}</span>
+            </span>
           </div>
-          <span className="flex items-center space-x-1">
-            <Download className="w-4 h-4" />
-            <span>{resource.downloadCount || 0}</span>
-          </span>
         </div>
 
         {/* Uploader info */}
@@ -158,15 +203,13 @@ const ResourceCard = ({ resource, showUploader = true }) => {
             <Eye className="w-4 h-4" />
             <span>View Details</span>
           </Link>
-          <a
-            href={resource.fileUrl}
-            target="_blank"
-            rel="noopener noreferrer"
+          <button
+            onClick={handleDownload}
             className="flex-1 btn btn-primary btn-sm flex items-center justify-center space-x-2"
           >
             <Download className="w-4 h-4" />
             <span>Download</span>
-          </a>
+          </button>
         </div>
       </div>
     </div>
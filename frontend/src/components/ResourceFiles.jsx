@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import { Files, Download, BookOpen, ChevronUp, ChevronDown, Trash2, Pencil, Plus, Archive } from 'lucide-react';
+import { attachmentsAPI } from '../utils/api';
+import { downloadAttachment, downloadBundle } from '../utils/download';
+import { VIEWABLE_TYPES } from './DocumentViewer';
+import toast from 'react-hot-toast';
+
+// The additional files of a resource (answer keys, further chapters, ...)
+const ResourceFiles = ({ resource, canManage = false, onRead, onChange }) => {
+  const [file, setFile] = useState(null);
+  const [label, setLabel] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [downloadingBundle, setDownloadingBundle] = useState(false);
+
+  const attachments = resource.attachments || [];
+  // Files can only be read or downloaded once they passed the malware scan
+  const isPublished = resource.status === 'published';
+
+  const formatFileSize = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      await downloadAttachment(resource._id, attachment._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Download failed');
+    }
+  };
+
+  const handleDownloadBundle = async () => {
+    try {
+      setDownloadingBundle(true);
+      await downloadBundle(resource);
+    } catch (error) {
+      toast.error('Download failed');
+    } finally {
+      setDownloadingBundle(false);
+    }
+  };
+
+  // Save the order and labels of all files
+  const saveAttachments = async (updated) => {
+    try {
+      const response = await attachmentsAPI.update(
+        resource._id,
+        updated.map(({ _id, label }) => ({ _id, label: label || '' }))
+      );
+      if (onChange) onChange(response.data.resource);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to update files');
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const updated = [...attachments];
+    [updated[index], updated[index + offset]] = [updated[index + offset], updated[index]];
+    saveAttachments(updated);
+  };
+
+  const handleRename = (index) => {
+    const newLabel = window.prompt('Label for this file', attachments[index].label || '');
+    if (newLabel === null) return;
+
+    saveAttachments(attachments.map((attachment, i) => (
+      i === index ? { ...attachment, label: newLabel.trim() } : attachment
+    )));
+  };
+
+  const handleRemove = async (attachment) => {
+    if (!window.confirm(`Remove "${attachment.label || attachment.fileName}" from this resource?`)) return;
+
+    try {
+      const response = await attachmentsAPI.remove(resource._id, attachment._id);
+      toast.success(response.data.message);
+      if (onChange) onChange(response.data.resource);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove file');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    if (!file) {
+      toast.error('Please select a file to upload');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+
+      const uploadData = new FormData();
+      uploadData.append('file', file);
+      uploadData.append('label', label.trim());
+
+      const response = await attachmentsAPI.add(resource._id, uploadData);
+
+      toast.success(response.data.message);
+      setFile(null);
+      setLabel('');
+      e.target.reset();
+      if (onChange) onChange(response.data.resource);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to add file');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (attachments.length === 0 && !canManage) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+            <Files className="w-5 h-5" />
+            <span>Additional Files</span>
+          </h2>
+          {isPublished && attachments.length > 0 && (
+            <button
+              onClick={handleDownloadBundle}
+              disabled={downloadingBundle}
+              className="btn btn-outline btn-sm flex items-center space-x-1"
+              title="Download every file of this resource as a ZIP"
+            >
+              <Archive className="w-4 h-4" />
+              <span>{downloadingBundle ? 'Preparing...' : 'Download All (ZIP)'}</span>
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="card-content space-y-4">
+        {attachments.length > 0 ? (
+          <div className="space-y-3">
+            {attachments.map((attachment, index) => (
+              <div key={attachment._id} className="border-b border-gray-200 pb-3 last:border-b-0">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{attachment.label || attachment.fileName}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {attachment.label && `${attachment.fileName} • `}
+                      {formatFileSize(attachment.fileSize)} • {attachment.fileType.toUpperCase()}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-4">
+                    {isPublished && VIEWABLE_TYPES.includes(attachment.fileType) && (
+                      <button
+                        onClick={() => onRead(attachment)}
+                        className="btn btn-outline btn-sm flex items-center space-x-1"
+                        title="Read"
+                      >
+                        <BookOpen className="w-4 h-4" />
+                      </button>
+                    )}
+                    {isPublished && (
+                      <button
+                        onClick={() => handleDownload(attachment)}
+                        className="btn btn-outline btn-sm flex items-center space-x-1"
+                        title="Download"
+                      >
+                        <Download className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canManage && (
+                      <>
+                        <button
+                          onClick={() => handleMove(index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ChevronUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleMove(index, 1)}
+                          disabled={index === attachments.length - 1}
+                          className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ChevronDown className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleRename(index)}
+                          className="p-1 text-gray-500 hover:text-gray-700"
+                          title="Edit label"
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleRemove(attachment)}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          title="Remove"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            No additional files yet. Add an answer key, solutions or further chapters to keep them together with this resource.
+          </p>
+        )}
+
+        {/* Add File Form */}
+        {canManage && (
+          <form onSubmit={handleAdd} className="border-t pt-4 space-y-3">
+            <h3 className="text-sm font-medium text-gray-700">Add a file</h3>
+            <input
+              type="file"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
+              className="input"
+            />
+            <input
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              maxLength={100}
+              className="input"
+              placeholder="Label (optional, e.g. Answer key, Chapter 2)"
+            />
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm flex items-center space-x-2"
+              disabled={submitting}
+            >
+              {submitting ? (
+                <div className="loading-spinner w-4 h-4"></div>
+              ) : (
+                <Plus className="w-4 h-4" />
+              )}
+              <span>{submitting ? 'Uploading...' : 'Add File'}</span>
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResourceFiles;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, Clock, FileText, Hash, User, X } from 'lucide-react';
+import { resourcesAPI } from '../utils/api';
+
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 5;
+const SUGGEST_DELAY = 250;
+const MIN_SUGGEST_LENGTH = 2;
+
+const suggestionIcons = {
+  recent: Clock,
+  title: FileText,
+  tag: Hash,
+  uploader: User
+};
+
+const getRecentSearches = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Remember a search, most recent first
+export const addRecentSearch = (search) => {
+  const text = search.trim();
+  if (!text) return;
+
+  const recent = [text, ...getRecentSearches().filter(item => item !== text)];
+  localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+};
+
+// Search input with suggestions for titles, tags and uploaders while
+// typing, and recent searches when it is empty. Arrow keys move through
+// the suggestions, Enter picks one and Escape closes the list.
+const SearchBox = ({ value, onChange, onSelect, placeholder }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const text = value.trim();
+
+    if (text.length < MIN_SUGGEST_LENGTH) {
+      setSuggestions(getRecentSearches()
+        .filter(item => item.toLowerCase().startsWith(text.toLowerCase()))
+        .map(item => ({ type: 'recent', value: item })));
+      setActiveIndex(-1);
+      return undefined;
+    }
+
+    // Wait until typing pauses, and drop answers to older input
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await resourcesAPI.suggest(text, { signal: controller.signal });
+        setSuggestions(response.data.suggestions);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (error.name !== 'CanceledError') {
+          console.error('Error fetching suggestions:', error);
+        }
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const selectSuggestion = (suggestion) => {
+    setOpen(false);
+    setActiveIndex(-1);
+    onSelect(suggestion);
+  };
+
+  const removeRecentSearch = (e, search) => {
+    e.stopPropagation();
+    const recent = getRecentSearches().filter(item => item !== search);
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent));
+    setSuggestions(prev => prev.filter(item => !(item.type === 'recent' && item.value === search)));
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) {
+      if (e.key === 'ArrowDown') setOpen(true);
+      return;
+    }
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+    } else if (e.key === 'Enter') {
+      // Without a highlighted suggestion Enter submits the typed text
+      if (activeIndex >= 0) {
+        e.preventDefault();
+        selectSuggestion(suggestions[activeIndex]);
+      } else {
+        setOpen(false);
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showList = open && suggestions.length > 0;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+        <Search className="h-5 w-5 text-gray-400" />
+      </div>
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        className="input pl-10"
+      />
+
+      {showList && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg py-1 max-h-80 overflow-y-auto"
+        >
+          {suggestions.map((suggestion, index) => {
+            const Icon = suggestionIcons[suggestion.type];
+
+            return (
+              <li
+                key={`${suggestion.type}-${suggestion.id || suggestion.value}`}
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                // Keep focus in the input until the click is handled
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectSuggestion(suggestion)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`flex items-center px-3 py-2 text-sm cursor-pointer ${
+                  index === activeIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700'
+                }`}
+              >
+                <Icon className="w-4 h-4 mr-2 text-gray-400 flex-shrink-0" />
+                <span className="flex-1 truncate">
+                  {suggestion.type === 'tag' && '#'}
+                  {suggestion.value}
+                  {suggestion.type === 'uploader' && (
+                    <span className="text-gray-400"> (uploader)</span>
+                  )}
+                </span>
+                {suggestion.type === 'recent' ? (
+                  <button
+                    type="button"
+                    onClick={(e) => removeRecentSearch(e, suggestion.value)}
+                    className="ml-2 text-gray-400 hover:text-gray-600"
+                    title="Remove from recent searches"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                ) : (
+                  <span className="ml-2 text-xs text-gray-400">
+                    {suggestion.count} {suggestion.count === 1 ? 'resource' : 'resources'}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
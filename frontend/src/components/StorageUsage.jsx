@@ -0,0 +1,33 @@
+import React from 'react';
+import { HardDrive } from 'lucide-react';
+
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Bar showing how much of a storage quota is used
+const StorageUsage = ({ storage, compact = false }) => {
+  const percent = storage.quota > 0 ? Math.min((storage.used / storage.quota) * 100, 100) : 100;
+  const barColor = percent >= 90 ? 'bg-red-500' : percent >= 75 ? 'bg-yellow-500' : 'bg-blue-600';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm mb-1">
+        <span className="flex items-center space-x-1 text-gray-700">
+          {!compact && <HardDrive className="w-4 h-4" />}
+          <span>{formatFileSize(storage.used)} of {formatFileSize(storage.quota)} used</span>
+        </span>
+        <span className="text-gray-500">{formatFileSize(storage.remaining)} left</span>
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div className={`h-2 rounded-full ${barColor}`} style={{ width: `${percent}%` }}></div>
+      </div>
+    </div>
+  );
+};
+
+export default StorageUsage;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { tagsAPI } from '../utils/api';
+
+const SUGGEST_DELAY = 200;
+
+const splitTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Tag input with autocomplete from the tag vocabulary. `value` is a comma
+// separated string as the upload form sends it; the server turns each tag
+// into its normalized form, so "Maths" and "maths" end up the same.
+const TagPicker = ({ id, value, onChange, placeholder }) => {
+  const tags = splitTags(value);
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  useEffect(() => {
+    const text = input.trim();
+    if (!text) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const response = await tagsAPI.getAll({ q: text, limit: 8 }, { signal: controller.signal });
+        setSuggestions(response.data.tags);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (error.name !== 'CanceledError') {
+          console.error('Error fetching tags:', error);
+        }
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [input]);
+
+  const isChosen = (name) => tags.some(tag => tag.toLowerCase() === name.toLowerCase());
+  const available = suggestions.filter(tag => !isChosen(tag.name) && !isChosen(tag.slug));
+
+  const addTag = (name) => {
+    const tag = name.replace(/,/g, ' ').trim();
+    if (tag && !isChosen(tag)) {
+      onChange([...tags, tag].join(', '));
+    }
+    setInput('');
+    setSuggestions([]);
+    setActiveIndex(-1);
+  };
+
+  const removeTag = (index) => {
+    onChange(tags.filter((_, i) => i !== index).join(', '));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      // Never submit the form from here
+      e.preventDefault();
+      if (activeIndex >= 0 && available[activeIndex]) {
+        addTag(available[activeIndex].name);
+      } else if (input.trim()) {
+        addTag(input);
+      }
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      removeTag(tags.length - 1);
+    } else if (e.key === 'ArrowDown' && available.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(prev => (prev + 1) % available.length);
+    } else if (e.key === 'ArrowUp' && available.length > 0) {
+      e.preventDefault();
+      setActiveIndex(prev => (prev <= 0 ? available.length - 1 : prev - 1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showList = open && available.length > 0;
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-1 min-h-[2.5rem] w-full rounded-md border border-gray-300 bg-white px-2 py-1.5 focus-within:ring-2 focus-within:ring-blue-500 focus-within:ring-offset-2">
+        {tags.map((tag, index) => (
+          <span
+            key={tag}
+            className="flex items-center space-x-1 px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-sm"
+          >
+            <span>#{tag}</span>
+            <button
+              type="button"
+              onClick={() => removeTag(index)}
+              className="text-blue-400 hover:text-blue-700"
+              title={`Remove ${tag}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          role="combobox"
+          aria-expanded={showList}
+          aria-autocomplete="list"
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setOpen(true);
+          }}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            // Keep what was typed when moving on to the next field
+            if (input.trim()) addTag(input);
+            setOpen(false);
+          }}
+          className="flex-1 min-w-[8rem] border-0 p-1 text-sm focus:outline-none"
+          placeholder={tags.length === 0 ? placeholder : ''}
+        />
+      </div>
+
+      {showList && (
+        <ul
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg py-1 max-h-60 overflow-y-auto"
+        >
+          {available.map((tag, index) => (
+            <li
+              key={tag._id}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Pick before the input's blur adds the typed text instead
+              onMouseDown={(e) => {
+                e.preventDefault();
+                addTag(tag.name);
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`flex items-center justify-between px-3 py-2 text-sm cursor-pointer ${
+                index === activeIndex ? 'bg-blue-50 text-blue-700' : 'text-gray-700'
+              }`}
+            >
+              <span>#{tag.name}</span>
+              <span className="text-xs text-gray-400">
+                {tag.usageCount} {tag.usageCount === 1 ? 'resource' : 'resources'}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagPicker;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+
+// Nodes from the exam down to `nodeId`, or an empty list if it isn't in the tree
+export const findPath = (tree, nodeId) => {
+  for (const node of tree) {
+    if (node._id === nodeId) return [node];
+
+    const path = findPath(node.children, nodeId);
+    if (path.length > 0) return [node, ...path];
+  }
+  return [];
+};
+
+const TreeNode = ({ node, depth, selected, onSelect, showCounts, expanded, onExpand }) => {
+  const isOpen = expanded.includes(node._id);
+  const isSelected = selected.includes(node._id);
+  const hasChildren = node.children.length > 0;
+
+  return (
+    <li>
+      <div
+        className={`flex items-center rounded px-1 py-1 text-sm ${isSelected ? 'bg-blue-50 text-blue-700' : 'text-gray-700'}`}
+        style={{ paddingLeft: `${depth * 1.25 + 0.25}rem` }}
+      >
+        {hasChildren ? (
+          <button
+            type="button"
+            onClick={() => onExpand(node._id)}
+            className="text-gray-400 hover:text-gray-600 mr-1"
+            title={isOpen ? 'Collapse' : 'Expand'}
+          >
+            {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          </button>
+        ) : (
+          <span className="w-4 mr-1" />
+        )}
+        <button
+          type="button"
+          onClick={() => onSelect(node)}
+          className="flex-1 flex items-center justify-between text-left hover:text-blue-700"
+        >
+          <span className="truncate">
+            {node.name}
+            <span className="ml-2 text-xs text-gray-400 capitalize">{node.level}</span>
+          </span>
+          {showCounts && (
+            <span className="ml-2 text-xs text-gray-400">{node.count}</span>
+          )}
+        </button>
+      </div>
+
+      {isOpen && hasChildren && (
+        <ul>
+          {node.children.map(child => (
+            <TreeNode
+              key={child._id}
+              node={child}
+              depth={depth + 1}
+              selected={selected}
+              onSelect={onSelect}
+              showCounts={showCounts}
+              expanded={expanded}
+              onExpand={onExpand}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Expandable syllabus tree (exam → paper → subject → topic). Clicking a
+// node calls `onSelect` with it; `selected` holds the ids to highlight.
+// Nodes on the way to a selected node start expanded.
+const TaxonomyTree = ({ tree, selected = [], onSelect, showCounts = false }) => {
+  const [expanded, setExpanded] = useState([]);
+
+  // The tree and the selection may arrive after the first render
+  useEffect(() => {
+    const ids = selected.flatMap(id => findPath(tree, id).slice(0, -1).map(node => node._id));
+    if (ids.length > 0) {
+      setExpanded(prev => [...new Set([...prev, ...ids])]);
+    }
+  }, [tree, selected.join(',')]);
+
+  const toggleExpanded = (nodeId) => {
+    setExpanded(prev => (prev.includes(nodeId) ? prev.filter(id => id !== nodeId) : [...prev, nodeId]));
+  };
+
+  if (tree.length === 0) {
+    return <p className="text-sm text-gray-500">No syllabus has been set up yet.</p>;
+  }
+
+  return (
+    <ul className="max-h-72 overflow-y-auto">
+      {tree.map(node => (
+        <TreeNode
+          key={node._id}
+          node={node}
+          depth={0}
+          selected={selected}
+          onSelect={onSelect}
+          showCounts={showCounts}
+          expanded={expanded}
+          onExpand={toggleExpanded}
+        />
+      ))}
+    </ul>
+  );
+};
+
+export default TaxonomyTree;
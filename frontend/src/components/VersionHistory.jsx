@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { History, Download, RotateCcw, Upload as UploadIcon, User, Calendar } from 'lucide-react';
+import { versionsAPI } from '../utils/api';
+import { downloadResource } from '../utils/download';
+import toast from 'react-hot-toast';
+
+const VersionHistory = ({ resource, canManage = false, onVersionChange }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [file, setFile] = useState(null);
+  const [changelog, setChangelog] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [resource._id, resource.currentVersion]);
+
+  const fetchVersions = async () => {
+    try {
+      setLoading(true);
+      const response = await versionsAPI.getAll(resource._id);
+      setVersions(response.data.versions);
+    } catch (error) {
+      console.error('Error fetching versions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+
+    if (!file) {
+      toast.error('Please select a file to upload');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+
+      const uploadData = new FormData();
+      uploadData.append('file', file);
+      uploadData.append('changelog', changelog.trim());
+
+      const response = await versionsAPI.upload(resource._id, uploadData);
+
+      toast.success(response.data.message);
+      setFile(null);
+      setChangelog('');
+      e.target.reset();
+      if (onVersionChange) onVersionChange(response.data.resource);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload version');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownload = async (version) => {
+    try {
+      await downloadResource(resource._id, version);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Download failed');
+    }
+  };
+
+  const handleRevert = async (version) => {
+    if (!window.confirm(`Make version ${version} the current version?`)) return;
+
+    try {
+      const response = await versionsAPI.revert(resource._id, version);
+      toast.success(response.data.message);
+      if (onVersionChange) onVersionChange(response.data.resource);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revert');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+          <History className="w-5 h-5" />
+          <span>Version History</span>
+        </h2>
+      </div>
+      <div className="card-content space-y-4">
+        {loading ? (
+          <div className="space-y-3">
+            {[...Array(2)].map((_, index) => (
+              <div key={index} className="animate-pulse h-12 bg-gray-100 rounded"></div>
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {versions.map((version) => {
+              const isCurrent = version.version === resource.currentVersion;
+              // Files found infected are kept for the record but never served
+              const isInfected = version.scan?.result === 'infected';
+
+              return (
+                <div key={version._id} className="border-b border-gray-200 pb-3 last:border-b-0">
+                  <div className="flex items-start justify-between">
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium text-gray-900">Version {version.version}</span>
+                        {isCurrent && (
+                          <span className="px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs font-medium">
+                            Current
+                          </span>
+                        )}
+                        {isInfected && (
+                          <span className="px-2 py-0.5 bg-red-100 text-red-800 rounded-full text-xs font-medium">
+                            Flagged as malware
+                          </span>
+                        )}
+                      </div>
+                      {version.changelog && (
+                        <p className="text-sm text-gray-700 mt-1">{version.changelog}</p>
+                      )}
+                      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500 mt-1">
+                        <span>{version.fileName} • {formatFileSize(version.fileSize)}</span>
+                        {version.uploadedBy && (
+                          <span className="flex items-center space-x-1">
+                            <User className="w-3 h-3" />
+                            <span>{version.uploadedBy.name}</span>
+                          </span>
+                        )}
+                        <span className="flex items-center space-x-1">
+                          <Calendar className="w-3 h-3" />
+                          <span>{formatDate(version.createdAt)}</span>
+                        </span>
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2 ml-4">
+                      {!isInfected && (
+                        <button
+                          onClick={() => handleDownload(version.version)}
+                          className="btn btn-outline btn-sm flex items-center space-x-1"
+                          title={`Download version ${version.version}`}
+                        >
+                          <Download className="w-4 h-4" />
+                        </button>
+                      )}
+                      {canManage && !isCurrent && !isInfected && (
+                        <button
+                          onClick={() => handleRevert(version.version)}
+                          className="btn btn-outline btn-sm flex items-center space-x-1"
+                          title={`Revert to version ${version.version}`}
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                          <span>Revert</span>
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* New Version Form */}
+        {canManage && (
+          <form onSubmit={handleUpload} className="border-t pt-4 space-y-3">
+            <h3 className="text-sm font-medium text-gray-700">Upload a new version</h3>
+            <input
+              type="file"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
+              className="input"
+            />
+            <textarea
+              rows={2}
+              value={changelog}
+              onChange={(e) => setChangelog(e.target.value)}
+              maxLength={500}
+              className="input h-auto"
+              placeholder="What changed in this version? (e.g., fixed answer key for Q12)"
+            />
+            <button
+              type="submit"
+              className="btn btn-primary btn-sm flex items-center space-x-2"
+              disabled={submitting}
+            >
+              {submitting ? (
+                <div className="loading-spinner w-4 h-4"></div>
+              ) : (
+                <UploadIcon className="w-4 h-4" />
+              )}
+              <span>{submitting ? 'Uploading...' : 'Upload Version'}</span>
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistory;
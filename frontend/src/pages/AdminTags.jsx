@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { Tags, Search, RefreshCw, Pencil, Merge } from 'lucide-react';
+import { adminAPI, tagsAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+const AdminTags = () => {
+  const { user } = useAuth();
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [recounting, setRecounting] = useState(false);
+  // Tags picked for merging, and the one they are merged into
+  const [selected, setSelected] = useState([]);
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [merging, setMerging] = useState(false);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalTags: 0,
+    hasNext: false,
+    hasPrev: false
+  });
+
+  const fetchTags = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await tagsAPI.getAll({ q: searchTerm || undefined, page, limit: 30 });
+      setTags(response.data.tags);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      toast.error('Failed to load tags');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchTags(1);
+    }
+  }, [searchTerm]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearchTerm(search.trim());
+  };
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+  };
+
+  const replaceTag = (tag) => {
+    setTags(prev => prev.map(item => (item._id === tag._id ? tag : item)));
+  };
+
+  const handleRename = async (tag) => {
+    const name = window.prompt(`Rename "${tag.name}". Resources keep the tag and the old name still works.`, tag.name);
+    if (name === null || !name.trim() || name.trim() === tag.name) return;
+
+    try {
+      const response = await adminAPI.renameTag(tag._id, name.trim());
+      toast.success(response.data.message);
+      replaceTag(response.data.tag);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to rename tag'));
+    }
+  };
+
+  const handleSynonyms = async (tag) => {
+    const input = window.prompt(
+      `Other spellings of "${tag.name}", separated by commas. They become "${tag.slug}" when a resource is saved.`,
+      tag.synonyms.join(', ')
+    );
+    if (input === null) return;
+
+    const synonyms = input.split(',').map(item => item.trim()).filter(Boolean);
+
+    try {
+      const response = await adminAPI.setTagSynonyms(tag._id, synonyms);
+      toast.success(response.data.message);
+      replaceTag(response.data.tag);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to save synonyms'));
+    }
+  };
+
+  const toggleSelected = (tag) => {
+    const next = selected.some(item => item._id === tag._id)
+      ? selected.filter(item => item._id !== tag._id)
+      : [...selected, tag];
+
+    setSelected(next);
+    if (!next.some(item => item._id === mergeTarget)) {
+      setMergeTarget(next.length > 0 ? next[0]._id : '');
+    }
+  };
+
+  const handleMerge = async () => {
+    const target = selected.find(tag => tag._id === mergeTarget);
+    const sources = selected.filter(tag => tag._id !== mergeTarget);
+    if (!target || sources.length === 0) return;
+
+    const names = sources.map(tag => `"${tag.name}"`).join(', ');
+    if (!window.confirm(`Merge ${names} into "${target.name}"? Their resources will be tagged "${target.name}" instead.`)) return;
+
+    try {
+      setMerging(true);
+      for (const source of sources) {
+        await adminAPI.mergeTags(source._id, target._id);
+      }
+      toast.success('Tags merged');
+      setSelected([]);
+      setMergeTarget('');
+      fetchTags(pagination.currentPage);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to merge tags'));
+      fetchTags(pagination.currentPage);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const handleRecount = async () => {
+    try {
+      setRecounting(true);
+      const response = await adminAPI.recountTags();
+      toast.success(`${response.data.message} (${response.data.resourcesUpdated} resource(s) updated)`);
+      fetchTags(pagination.currentPage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to recount tags');
+    } finally {
+      setRecounting(false);
+    }
+  };
+
+  if (user?.role !== 'admin') {
+    return <Navigate to="/dashboard" />;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-3">
+            <Tags className="w-8 h-8 text-blue-600" />
+            <span>Tags</span>
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Keep one tag per topic: rename tags, list other spellings as synonyms and merge duplicates.
+          </p>
+        </div>
+        <button
+          onClick={handleRecount}
+          disabled={recounting}
+          className="btn btn-outline btn-sm flex items-center space-x-1"
+          title="Normalize every resource's tags and rebuild usage counts"
+        >
+          <RefreshCw className={`w-4 h-4 ${recounting ? 'animate-spin' : ''}`} />
+          <span>Recount Tags</span>
+        </button>
+      </div>
+
+      {/* Search */}
+      <form onSubmit={handleSearch} className="flex space-x-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input pl-9"
+            placeholder="Search tags or synonyms"
+          />
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Search
+        </button>
+      </form>
+
+      {/* Merge */}
+      {selected.length > 1 && (
+        <div className="card">
+          <div className="card-content pt-6 flex flex-wrap items-center gap-2 text-sm">
+            <span>Merge {selected.length - 1} tag(s) into</span>
+            <select
+              value={mergeTarget}
+              onChange={(e) => setMergeTarget(e.target.value)}
+              className="input w-auto"
+            >
+              {selected.map(tag => (
+                <option key={tag._id} value={tag._id}>{tag.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleMerge}
+              disabled={merging}
+              className="btn btn-primary btn-sm flex items-center space-x-1"
+            >
+              <Merge className="w-4 h-4" />
+              <span>{merging ? 'Merging...' : 'Merge'}</span>
+            </button>
+            <button
+              onClick={() => {
+                setSelected([]);
+                setMergeTarget('');
+              }}
+              className="btn btn-outline btn-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : tags.length > 0 ? (
+        <div className="space-y-3">
+          {tags.map(tag => (
+            <div key={tag._id} className="card">
+              <div className="card-content pt-6">
+                <div className="flex items-start justify-between">
+                  <label className="flex items-start space-x-3 flex-1 min-w-0">
+                    <input
+                      type="checkbox"
+                      checked={selected.some(item => item._id === tag._id)}
+                      onChange={() => toggleSelected(tag)}
+                      className="mt-1"
+                      title="Select for merging"
+                    />
+                    <div className="min-w-0">
+                      <div className="flex items-center space-x-2">
+                        <span className="font-semibold text-gray-900">{tag.name}</span>
+                        <span className="text-xs text-gray-500">#{tag.slug}</span>
+                        <span className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">
+                          {tag.usageCount} {tag.usageCount === 1 ? 'resource' : 'resources'}
+                        </span>
+                      </div>
+                      {tag.synonyms.length > 0 && (
+                        <p className="text-sm text-gray-500 mt-1">
+                          Also: {tag.synonyms.join(', ')}
+                        </p>
+                      )}
+                    </div>
+                  </label>
+
+                  <div className="flex items-center space-x-2 ml-4">
+                    <button
+                      onClick={() => handleRename(tag)}
+                      className="btn btn-outline btn-sm flex items-center space-x-1"
+                    >
+                      <Pencil className="w-4 h-4" />
+                      <span>Rename</span>
+                    </button>
+                    <button
+                      onClick={() => handleSynonyms(tag)}
+                      className="btn btn-outline btn-sm"
+                    >
+                      Synonyms
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center space-x-2">
+              <button
+                onClick={() => fetchTags(pagination.currentPage - 1)}
+                disabled={!pagination.hasPrev}
+                className="btn btn-outline btn-sm"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => fetchTags(pagination.currentPage + 1)}
+                disabled={!pagination.hasNext}
+                className="btn btn-outline btn-sm"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <Tags className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <p className="text-gray-500">No tags found.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminTags;
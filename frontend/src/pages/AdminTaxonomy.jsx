@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { Network, Plus, Pencil, Trash2, ChevronUp, ChevronDown, Move, CornerDownRight, X } from 'lucide-react';
+import { taxonomyAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+// Level of the nodes below each level; topics have none
+const childLevels = {
+  exam: 'paper',
+  paper: 'subject',
+  subject: 'topic'
+};
+
+// Levels from the root down
+const levels = ['exam', 'paper', 'subject', 'topic'];
+
+// Levels below a node, counting itself
+const getHeight = (node) => 1 + Math.max(0, ...node.children.map(getHeight));
+
+const containsNode = (node, nodeId) => {
+  return node._id === nodeId || node.children.some(child => containsNode(child, nodeId));
+};
+
+const AdminTaxonomy = () => {
+  const { user } = useAuth();
+  const [tree, setTree] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [examName, setExamName] = useState('');
+  const [saving, setSaving] = useState(false);
+  // Node being moved while the admin picks its new parent
+  const [moving, setMoving] = useState(null);
+
+  const fetchTree = async () => {
+    try {
+      const response = await taxonomyAPI.getTree();
+      setTree(response.data.tree);
+    } catch (error) {
+      console.error('Error fetching syllabus:', error);
+      toast.error('Failed to load syllabus');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchTree();
+    }
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+  };
+
+  const handleAddExam = async (e) => {
+    e.preventDefault();
+    if (!examName.trim()) return;
+
+    try {
+      setSaving(true);
+      await taxonomyAPI.create({ name: examName.trim() });
+      toast.success('Exam added');
+      setExamName('');
+      fetchTree();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to add exam'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddChild = async (node) => {
+    const level = childLevels[node.level];
+    const name = window.prompt(`Name of the new ${level} under "${node.name}"`);
+    if (name === null || !name.trim()) return;
+
+    try {
+      await taxonomyAPI.create({ name: name.trim(), parent: node._id });
+      toast.success(`${level.charAt(0).toUpperCase()}${level.slice(1)} added`);
+      fetchTree();
+    } catch (error) {
+      toast.error(getErrorMessage(error, `Failed to add ${level}`));
+    }
+  };
+
+  const handleRename = async (node) => {
+    const name = window.prompt(`Rename "${node.name}"`, node.name);
+    if (name === null || !name.trim() || name.trim() === node.name) return;
+
+    try {
+      await taxonomyAPI.update(node._id, { name: name.trim() });
+      toast.success('Node renamed');
+      fetchTree();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to rename node'));
+    }
+  };
+
+  // Move a node one place up or down among its siblings and number all of
+  // them again, so nodes with the same order get distinct ones
+  const handleMove = async (siblings, index, offset) => {
+    const reordered = [...siblings];
+    const [node] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, node);
+
+    try {
+      await Promise.all(reordered
+        .map((item, order) => ({ item, order }))
+        .filter(({ item, order }) => item.order !== order)
+        .map(({ item, order }) => taxonomyAPI.update(item._id, { order })));
+      fetchTree();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to reorder'));
+      fetchTree();
+    }
+  };
+
+  // Whether the node being moved can go below `node`
+  const canMoveInto = (node) => {
+    return node._id !== moving.parent
+      && !containsNode(moving, node._id)
+      && levels.indexOf(node.level) + 1 + getHeight(moving) <= levels.length;
+  };
+
+  const handleMoveTo = async (parent) => {
+    const node = moving;
+    setMoving(null);
+
+    try {
+      await taxonomyAPI.move(node._id, parent ? parent._id : null);
+      toast.success(parent ? `Moved under "${parent.name}"` : 'Moved to the top level');
+      fetchTree();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to move node'));
+    }
+  };
+
+  const handleDelete = async (node) => {
+    if (!window.confirm(`Delete the ${node.level} "${node.name}"?`)) return;
+
+    try {
+      await taxonomyAPI.delete(node._id);
+      toast.success('Node deleted');
+      fetchTree();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to delete node'));
+    }
+  };
+
+  const renderNodes = (nodes, depth) => (
+    <ul className={depth > 0 ? 'ml-6 border-l border-gray-200 pl-3' : ''}>
+      {nodes.map((node, index) => (
+        <li key={node._id}>
+          <div className="flex items-center justify-between py-1.5">
+            <div className="flex items-center space-x-2 min-w-0">
+              <span className="font-medium text-gray-900 truncate">{node.name}</span>
+              <span className="text-xs text-gray-500 capitalize">{node.level}</span>
+              <span className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">
+                {node.count} {node.count === 1 ? 'resource' : 'resources'}
+              </span>
+            </div>
+
+            {moving ? (
+              <div className="flex items-center ml-4">
+                {canMoveInto(node) && (
+                  <button
+                    onClick={() => handleMoveTo(node)}
+                    className="btn btn-outline btn-sm flex items-center space-x-1"
+                  >
+                    <CornerDownRight className="w-4 h-4" />
+                    <span>Move here</span>
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div className="flex items-center space-x-1 ml-4">
+                <button
+                  onClick={() => handleMove(nodes, index, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                  title="Move up"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleMove(nodes, index, 1)}
+                  disabled={index === nodes.length - 1}
+                  className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                  title="Move down"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                {childLevels[node.level] && (
+                  <button
+                    onClick={() => handleAddChild(node)}
+                    className="p-1 text-gray-400 hover:text-blue-600"
+                    title={`Add ${childLevels[node.level]}`}
+                  >
+                    <Plus className="w-4 h-4" />
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRename(node)}
+                  className="p-1 text-gray-400 hover:text-blue-600"
+                  title="Rename"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setMoving(node)}
+                  className="p-1 text-gray-400 hover:text-blue-600"
+                  title="Move under another node"
+                >
+                  <Move className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(node)}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Delete"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </div>
+
+          {node.children.length > 0 && renderNodes(node.children, depth + 1)}
+        </li>
+      ))}
+    </ul>
+  );
+
+  if (user?.role !== 'admin') {
+    return <Navigate to="/dashboard" />;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-3">
+          <Network className="w-8 h-8 text-blue-600" />
+          <span>Syllabus</span>
+        </h1>
+        <p className="text-gray-600 mt-2">
+          Arrange the syllabus as exams, papers, subjects and topics. Uploaders file resources under any of them.
+        </p>
+      </div>
+
+      {/* Add exam */}
+      <form onSubmit={handleAddExam} className="flex space-x-2">
+        <input
+          type="text"
+          value={examName}
+          onChange={(e) => setExamName(e.target.value)}
+          className="input flex-1"
+          placeholder="New exam (e.g., UPSC Civil Services)"
+          maxLength={100}
+        />
+        <button
+          type="submit"
+          disabled={saving || !examName.trim()}
+          className="btn btn-primary flex items-center space-x-1"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add Exam</span>
+        </button>
+      </form>
+
+      {moving && (
+        <div className="flex items-center justify-between p-3 bg-blue-50 border border-blue-200 rounded-lg">
+          <p className="text-sm text-blue-900">
+            Choose where to move the {moving.level} <span className="font-medium">{moving.name}</span>.
+            Everything below it moves along.
+          </p>
+          <div className="flex items-center space-x-2 ml-4">
+            {moving.parent && (
+              <button
+                onClick={() => handleMoveTo(null)}
+                className="btn btn-outline btn-sm"
+              >
+                Make it an exam
+              </button>
+            )}
+            <button
+              onClick={() => setMoving(null)}
+              className="p-1 text-gray-400 hover:text-gray-600"
+              title="Cancel"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : tree.length > 0 ? (
+        <div className="card">
+          <div className="card-content pt-6">
+            {renderNodes(tree, 0)}
+          </div>
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <Network className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <p className="text-gray-500">No syllabus yet. Start by adding an exam.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminTaxonomy;
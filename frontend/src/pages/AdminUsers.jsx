@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { Users, Search, RefreshCw, HardDrive } from 'lucide-react';
+import { adminAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import StorageUsage from '../components/StorageUsage';
+import toast from 'react-hot-toast';
+
+const MB = 1024 * 1024;
+
+const AdminUsers = () => {
+  const { user } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [recounting, setRecounting] = useState(false);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalUsers: 0,
+    hasNext: false,
+    hasPrev: false
+  });
+
+  const fetchUsers = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getUsers({ search: searchTerm || undefined, page, limit: 20 });
+      setUsers(response.data.users);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchUsers(1);
+    }
+  }, [searchTerm]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearchTerm(search.trim());
+  };
+
+  const handleSetQuota = async (account) => {
+    const current = account.storage.customQuota ? String(Math.round(account.storage.quota / MB)) : '';
+    const input = window.prompt(
+      `Storage quota for ${account.name} in MB (leave empty to use the ${account.role} default)`,
+      current
+    );
+    if (input === null) return;
+
+    const quotaMB = input.trim() === '' ? null : parseInt(input, 10);
+    if (quotaMB !== null && (isNaN(quotaMB) || quotaMB < 0)) {
+      toast.error('Quota must be a whole number of MB');
+      return;
+    }
+
+    try {
+      const response = await adminAPI.setQuota(account._id, quotaMB);
+      toast.success(response.data.message);
+      setUsers(prev => prev.map(item => (item._id === account._id ? response.data.user : item)));
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to update quota');
+    }
+  };
+
+  const handleRecount = async () => {
+    try {
+      setRecounting(true);
+      const response = await adminAPI.recountStorage();
+      toast.success(response.data.message);
+      fetchUsers(pagination.currentPage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to recount storage');
+    } finally {
+      setRecounting(false);
+    }
+  };
+
+  if (user?.role !== 'admin') {
+    return <Navigate to="/dashboard" />;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-3">
+            <Users className="w-8 h-8 text-blue-600" />
+            <span>Users</span>
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Storage used by each account. Give a user more space by setting a quota of their own.
+          </p>
+        </div>
+        <button
+          onClick={handleRecount}
+          disabled={recounting}
+          className="btn btn-outline btn-sm flex items-center space-x-1"
+          title="Rebuild storage use from the stored files"
+        >
+          <RefreshCw className={`w-4 h-4 ${recounting ? 'animate-spin' : ''}`} />
+          <span>Recount Storage</span>
+        </button>
+      </div>
+
+      {/* Search */}
+      <form onSubmit={handleSearch} className="flex space-x-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input pl-9"
+            placeholder="Search by name or email"
+          />
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Search
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : users.length > 0 ? (
+        <div className="space-y-4">
+          {users.map(account => (
+            <div key={account._id} className="card">
+              <div className="card-content pt-6">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <span className="font-semibold text-gray-900">{account.name}</span>
+                      <span className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">
+                        {account.role}
+                      </span>
+                      {account.storage.customQuota && (
+                        <span className="px-2 py-0.5 bg-blue-100 text-blue-800 rounded-full text-xs font-medium">
+                          Custom quota
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1 truncate">{account.email}</p>
+                    <div className="mt-3">
+                      <StorageUsage storage={account.storage} compact />
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={() => handleSetQuota(account)}
+                    className="btn btn-outline btn-sm flex items-center space-x-1 ml-4"
+                  >
+                    <HardDrive className="w-4 h-4" />
+                    <span>Set Quota</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center space-x-2">
+              <button
+                onClick={() => fetchUsers(pagination.currentPage - 1)}
+                disabled={!pagination.hasPrev}
+                className="btn btn-outline btn-sm"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => fetchUsers(pagination.currentPage + 1)}
+                disabled={!pagination.hasNext}
+                className="btn btn-outline btn-sm"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <Users className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <p className="text-gray-500">No users found.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsers;
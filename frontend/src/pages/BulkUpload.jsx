@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Archive, FileText, Download, CheckCircle, XCircle, AlertCircle, ArrowLeft } from 'lucide-react';
+import { resourcesAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+const MANIFEST_TEMPLATE = [
+  'file,title,description,examCategory,section,tags',
+  'papers/jee-main-2023.pdf,JEE Main 2023 Paper 1,Full question paper of JEE Main 2023 (January shift 1),JEE,Previous Papers,"jee, 2023, physics"'
+].join('\n');
+
+const statusStyles = {
+  created: 'bg-green-100 text-green-800',
+  valid: 'bg-blue-100 text-blue-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+const BulkUpload = () => {
+  const [archive, setArchive] = useState(null);
+  const [manifest, setManifest] = useState(null);
+  const [allowDuplicates, setAllowDuplicates] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleDownloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([MANIFEST_TEMPLATE], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'manifest.csv';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const runImport = async (dryRun) => {
+    if (!archive) {
+      toast.error('Please select a ZIP archive');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setReport(null);
+
+      const uploadData = new FormData();
+      uploadData.append('archive', archive);
+      if (manifest) uploadData.append('manifest', manifest);
+      uploadData.append('allowDuplicates', allowDuplicates);
+
+      const response = await resourcesAPI.bulkImport(uploadData, dryRun ? { dryRun: true } : {});
+      setReport({ ...response.data, dryRun });
+
+      const { summary } = response.data;
+      if (summary.failed > 0) {
+        toast.error(`${summary.failed} of ${summary.total} rows have problems`);
+      } else {
+        toast.success(response.data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Import failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runImport(false);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <Link
+        to="/upload"
+        className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 mb-6 transition-colors"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        <span>Back to single upload</span>
+      </Link>
+
+      <div className="text-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Bulk Import</h1>
+        <p className="text-gray-600">
+          Upload a ZIP of files together with a manifest describing each one
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="card">
+        <div className="card-content pt-6 space-y-6">
+          <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-600 space-y-2">
+            <p>
+              The manifest is a CSV or JSON file with one row per file and the columns
+              <code className="mx-1">file</code>,
+              <code className="mx-1">title</code>,
+              <code className="mx-1">description</code>,
+              <code className="mx-1">examCategory</code>,
+              <code className="mx-1">section</code> and
+              <code className="mx-1">tags</code> (comma separated).
+              <code className="mx-1">file</code> is the path of the file inside the ZIP.
+            </p>
+            <p>
+              Instead of uploading it separately, you can put it in the ZIP as
+              <code className="mx-1">manifest.csv</code> or <code className="mx-1">manifest.json</code>.
+            </p>
+            <button
+              type="button"
+              onClick={handleDownloadTemplate}
+              className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-700"
+            >
+              <Download className="w-4 h-4" />
+              <span>Download a manifest template</span>
+            </button>
+          </div>
+
+          <fieldset disabled={submitting} className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="archive" className="block text-sm font-medium text-gray-700 mb-1">
+                  ZIP Archive *
+                </label>
+                <label className="flex items-center space-x-3 border-2 border-dashed border-gray-300 rounded-lg p-4 cursor-pointer hover:border-blue-400 transition-colors">
+                  <Archive className="w-6 h-6 text-gray-400" />
+                  <span className="text-sm text-gray-600 truncate">
+                    {archive ? archive.name : 'Choose a .zip file'}
+                  </span>
+                  <input
+                    id="archive"
+                    type="file"
+                    accept=".zip"
+                    className="hidden"
+                    onChange={(e) => setArchive(e.target.files[0] || null)}
+                  />
+                </label>
+              </div>
+
+              <div>
+                <label htmlFor="manifest" className="block text-sm font-medium text-gray-700 mb-1">
+                  Manifest (optional if inside the ZIP)
+                </label>
+                <label className="flex items-center space-x-3 border-2 border-dashed border-gray-300 rounded-lg p-4 cursor-pointer hover:border-blue-400 transition-colors">
+                  <FileText className="w-6 h-6 text-gray-400" />
+                  <span className="text-sm text-gray-600 truncate">
+                    {manifest ? manifest.name : 'Choose a .csv or .json file'}
+                  </span>
+                  <input
+                    id="manifest"
+                    type="file"
+                    accept=".csv,.json"
+                    className="hidden"
+                    onChange={(e) => setManifest(e.target.files[0] || null)}
+                  />
+                </label>
+              </div>
+            </div>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={allowDuplicates}
+                onChange={(e) => setAllowDuplicates(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              <span>Import files even if they look like duplicates of existing resources</span>
+            </label>
+
+            <div className="flex space-x-4">
+              <button
+                type="button"
+                onClick={() => runImport(true)}
+                className="flex-1 btn btn-outline"
+              >
+                Validate Only
+              </button>
+              <button
+                type="submit"
+                className="flex-1 btn btn-primary"
+              >
+                {submitting ? 'Importing...' : 'Import Resources'}
+              </button>
+            </div>
+          </fieldset>
+        </div>
+      </form>
+
+      {/* Report */}
+      {report && (
+        <div className="card mt-6">
+          <div className="card-header">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {report.dryRun ? 'Validation Report' : 'Import Report'}
+            </h2>
+            <p className="text-sm text-gray-600 mt-1">{report.message}</p>
+          </div>
+          <div className="card-content overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Row</th>
+                  <th className="py-2 pr-4">File</th>
+                  <th className="py-2 pr-4">Title</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.results.map(result => (
+                  <tr key={result.row} className="border-b last:border-b-0 align-top">
+                    <td className="py-2 pr-4 text-gray-500">{result.row}</td>
+                    <td className="py-2 pr-4 font-mono text-xs break-all">{result.file || '—'}</td>
+                    <td className="py-2 pr-4">{result.title || '—'}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`inline-flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[result.status]}`}>
+                        {result.status === 'error' ? <XCircle className="w-3 h-3" /> : <CheckCircle className="w-3 h-3" />}
+                        <span>{result.status}</span>
+                      </span>
+                    </td>
+                    <td className="py-2">
+                      {result.status === 'created' && (
+                        <Link to={`/resource/${result.resourceId}`} className="text-blue-600 hover:text-blue-700">
+                          View resource
+                        </Link>
+                      )}
+                      {result.status === 'error' && (
+                        <ul className="text-red-600 space-y-1">
+                          {(result.errors || [result.message]).map((message, index) => (
+                            <li key={index} className="flex items-start">
+                              <AlertCircle className="w-4 h-4 mr-1 flex-shrink-0" />
+                              <span>{message}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkUpload;
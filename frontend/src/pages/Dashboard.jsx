@@ -1,20 +1,92 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import { Search, Filter, Upload, BookOpen, Star, TrendingUp, Users, FileText } from 'lucide-react';
-import { resourcesAPI } from '../utils/api';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Search, Filter, Upload, BookOpen, TrendingUp, Users, FileText, X } from 'lucide-react';
+import { resourcesAPI, taxonomyAPI } from '../utils/api';
 import ResourceCard from '../components/ResourceCard';
+import SearchBox, { addRecentSearch } from '../components/SearchBox';
+import TaxonomyTree from '../components/TaxonomyTree';
 import toast from 'react-hot-toast';
 
+const FACET_KEYS = ['taxonomy', 'examCategory', 'section', 'fileType', 'tags', 'rating'];
+
+const ratingLabels = {
+  4: '4+ stars',
+  3: '3 to 4 stars',
+  2: '2 to 3 stars',
+  1: '1 to 2 stars',
+  unrated: 'Not rated'
+};
+
+// Selectable values of one facet with the number of resources each would
+// match. Selected values stay visible even when nothing matches them.
+const FacetGroup = ({ title, options, counts, selected, onToggle, formatLabel = (value) => value }) => {
+  const countOf = (value) => {
+    const facet = counts.find(item => item.value === value);
+    return facet ? facet.count : 0;
+  };
+
+  const values = [...new Set([...options, ...selected])];
+  if (values.length === 0) return null;
+
+  return (
+    <div>
+      <p className="block text-sm font-medium text-gray-700 mb-2">{title}</p>
+      <div className="flex flex-wrap gap-2">
+        {values.map(value => {
+          const isSelected = selected.includes(value);
+          const count = countOf(value);
+
+          return (
+            <button
+              key={value}
+              type="button"
+              onClick={() => onToggle(value)}
+              disabled={!isSelected && count === 0}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                isSelected
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {formatLabel(value)}
+              <span className={`ml-1 ${isSelected ? 'text-blue-100' : 'text-gray-400'}`}>{count}</span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
 const Dashboard = () => {
+  const [searchParams] = useSearchParams();
   const [resources, setResources] = useState([]);
   const [loading, setLoading] = useState(true);
+  // Links such as /dashboard?examCategory=UPSC open with that facet selected
+  const getInitialValues = (key) => (searchParams.get(key) || '').split(',').filter(Boolean);
+  // What is typed in the search box; it is searched for on submit
+  const [searchInput, setSearchInput] = useState('');
   const [filters, setFilters] = useState({
     search: '',
-    examCategory: 'All',
-    section: 'All',
+    uploader: null,
+    // Syllabus nodes; each matches the resources filed anywhere below it
+    taxonomy: getInitialValues('taxonomy'),
+    examCategory: getInitialValues('examCategory'),
+    section: getInitialValues('section'),
+    fileType: getInitialValues('fileType'),
+    tags: getInitialValues('tags'),
+    rating: getInitialValues('rating'),
     sortBy: 'createdAt',
     sortOrder: 'desc'
   });
+  const [facets, setFacets] = useState({
+    examCategory: [],
+    section: [],
+    fileType: [],
+    tags: [],
+    rating: []
+  });
+  const [taxonomyTree, setTaxonomyTree] = useState([]);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -23,20 +95,32 @@ const Dashboard = () => {
     hasPrev: false
   });
 
-  const examCategories = ['All', 'UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other'];
-  const sections = ['All', 'General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other'];
+  const examCategories = ['UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other'];
+  const sections = ['General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other'];
   const sortOptions = [
+    { value: 'relevance', label: 'Best Match' },
     { value: 'createdAt', label: 'Newest First' },
     { value: 'stars', label: 'Highest Rated' },
     { value: 'downloadCount', label: 'Most Downloaded' },
+    { value: 'viewCount', label: 'Most Viewed' },
     { value: 'title', label: 'Title A-Z' }
   ];
 
+  // Facets with several selected values are sent comma-separated
+  const getQueryParams = () => {
+    const { uploader, ...params } = filters;
+    FACET_KEYS.forEach(key => {
+      params[key] = filters[key].join(',');
+    });
+    params.uploadedBy = uploader?.id;
+    return params;
+  };
+
   const fetchResources = async (page = 1) => {
     try {
       setLoading(true);
       const params = {
-        ...filters,
+        ...getQueryParams(),
         page,
         limit: 12
       };
@@ -52,10 +136,33 @@ const Dashboard = () => {
     }
   };
 
+  const fetchFacets = async () => {
+    try {
+      const response = await resourcesAPI.getFacets(getQueryParams());
+      setFacets(response.data.facets);
+    } catch (error) {
+      console.error('Error fetching facets:', error);
+    }
+  };
+
   useEffect(() => {
     fetchResources(1);
+    fetchFacets();
   }, [filters]);
 
+  useEffect(() => {
+    fetchTaxonomy();
+  }, []);
+
+  const fetchTaxonomy = async () => {
+    try {
+      const response = await taxonomyAPI.getTree();
+      setTaxonomyTree(response.data.tree);
+    } catch (error) {
+      console.error('Error fetching syllabus:', error);
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
@@ -63,9 +170,55 @@ const Dashboard = () => {
     }));
   };
 
+  const toggleFacetValue = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter(item => item !== value)
+        : [...prev[key], value]
+    }));
+  };
+
+  const clearFacets = () => {
+    setFilters(prev => {
+      const cleared = { ...prev };
+      FACET_KEYS.forEach(key => {
+        cleared[key] = [];
+      });
+      cleared.uploader = null;
+      return cleared;
+    });
+  };
+
+  const hasSelectedFacets = Boolean(filters.uploader) || FACET_KEYS.some(key => filters[key].length > 0);
+
+  const runSearch = (search) => {
+    addRecentSearch(search);
+    handleFilterChange('search', search.trim());
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
-    fetchResources(1);
+    runSearch(searchInput);
+  };
+
+  // Titles and recent searches are searched for; tags and uploaders
+  // become filters instead of search text
+  const handleSuggestionSelect = (suggestion) => {
+    if (suggestion.type === 'tag' || suggestion.type === 'uploader') {
+      setSearchInput('');
+      setFilters(prev => ({
+        ...prev,
+        search: '',
+        ...(suggestion.type === 'tag'
+          ? { tags: prev.tags.includes(suggestion.value) ? prev.tags : [...prev.tags, suggestion.value] }
+          : { uploader: { id: suggestion.id, name: suggestion.value } })
+      }));
+      return;
+    }
+
+    setSearchInput(suggestion.value);
+    runSearch(suggestion.value);
   };
 
   const handlePageChange = (page) => {
@@ -82,7 +235,7 @@ const Dashboard = () => {
     },
     {
       name: 'Exam Categories',
-      value: examCategories.length - 1,
+      value: examCategories.length,
       icon: BookOpen,
       color: 'text-green-600'
     },
@@ -137,59 +290,38 @@ const Dashboard = () => {
         <div className="card-content">
           <form onSubmit={handleSearch} className="space-y-4">
             {/* Search Bar */}
-            <div className="relative">
-              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                <Search className="h-5 w-5 text-gray-400" />
-              </div>
-              <input
-                type="text"
-                placeholder="Search resources by title, description, or tags..."
-                value={filters.search}
-                onChange={(e) => handleFilterChange('search', e.target.value)}
-                className="input pl-10"
-              />
-            </div>
-
-            {/* Filters */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-              {/* Exam Category Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Exam Category
-                </label>
-                <select
-                  value={filters.examCategory}
-                  onChange={(e) => handleFilterChange('examCategory', e.target.value)}
-                  className="input"
-                >
-                  {examCategories.map(category => (
-                    <option key={category} value={category}>{category}</option>
-                  ))}
-                </select>
-              </div>
+            <SearchBox
+              value={searchInput}
+              onChange={setSearchInput}
+              onSelect={handleSuggestionSelect}
+              placeholder="Search resources by title, description, tags, or file contents..."
+            />
+            <p className="text-xs text-gray-500 -mt-2">
+              Use &quot;quotes&quot; to find an exact phrase and -word to leave out results containing a word.
+            </p>
 
-              {/* Section Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Section
-                </label>
-                <select
-                  value={filters.section}
-                  onChange={(e) => handleFilterChange('section', e.target.value)}
-                  className="input"
-                >
-                  {sections.map(section => (
-                    <option key={section} value={section}>{section}</option>
-                  ))}
-                </select>
+            {/* Sort */}
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+                <Filter className="w-4 h-4" />
+                <span>Filters</span>
+                {hasSelectedFacets && (
+                  <button
+                    type="button"
+                    onClick={clearFacets}
+                    className="flex items-center space-x-1 text-blue-600 hover:text-blue-700 font-normal"
+                  >
+                    <X className="w-3 h-3" />
+                    <span>Clear all</span>
+                  </button>
+                )}
               </div>
-
-              {/* Sort Filter */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
+              <div className="flex items-center space-x-2">
+                <label htmlFor="sortBy" className="text-sm font-medium text-gray-700 whitespace-nowrap">
                   Sort By
                 </label>
                 <select
+                  id="sortBy"
                   value={filters.sortBy}
                   onChange={(e) => handleFilterChange('sortBy', e.target.value)}
                   className="input"
@@ -201,6 +333,74 @@ const Dashboard = () => {
               </div>
             </div>
 
+            {/* Facets */}
+            <div className="space-y-4">
+              {filters.uploader && (
+                <div>
+                  <p className="block text-sm font-medium text-gray-700 mb-2">Uploader</p>
+                  <button
+                    type="button"
+                    onClick={() => handleFilterChange('uploader', null)}
+                    className="px-3 py-1 rounded-full text-sm border bg-blue-600 border-blue-600 text-white flex items-center space-x-1"
+                  >
+                    <span>{filters.uploader.name}</span>
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              )}
+              {taxonomyTree.length > 0 && (
+                <div>
+                  <p className="block text-sm font-medium text-gray-700 mb-2">Syllabus</p>
+                  <div className="rounded-md border border-gray-200 p-2">
+                    <TaxonomyTree
+                      tree={taxonomyTree}
+                      selected={filters.taxonomy}
+                      onSelect={(node) => toggleFacetValue('taxonomy', node._id)}
+                      showCounts
+                    />
+                  </div>
+                </div>
+              )}
+              <FacetGroup
+                title="Exam Category"
+                options={examCategories}
+                counts={facets.examCategory}
+                selected={filters.examCategory}
+                onToggle={(value) => toggleFacetValue('examCategory', value)}
+              />
+              <FacetGroup
+                title="Section"
+                options={sections}
+                counts={facets.section}
+                selected={filters.section}
+                onToggle={(value) => toggleFacetValue('section', value)}
+              />
+              <FacetGroup
+                title="File Type"
+                options={facets.fileType.map(item => item.value)}
+                counts={facets.fileType}
+                selected={filters.fileType}
+                onToggle={(value) => toggleFacetValue('fileType', value)}
+                formatLabel={(value) => value.toUpperCase()}
+              />
+              <FacetGroup
+                title="Rating"
+                options={facets.rating.map(item => item.value)}
+                counts={facets.rating}
+                selected={filters.rating}
+                onToggle={(value) => toggleFacetValue('rating', value)}
+                formatLabel={(value) => ratingLabels[value]}
+              />
+              <FacetGroup
+                title="Tags"
+                options={facets.tags.map(item => item.value)}
+                counts={facets.tags}
+                selected={filters.tags}
+                onToggle={(value) => toggleFacetValue('tags', value)}
+                formatLabel={(value) => `#${value}`}
+              />
+            </div>
+
             {/* Search Button */}
             <div className="flex justify-center">
               <button
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FileEdit, CalendarClock, Calendar, Trash2, Pencil, Eye, Plus } from 'lucide-react';
+import { draftsAPI } from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Upload forms saved for later, and uploads waiting for their publish time
+const Drafts = () => {
+  const [drafts, setDrafts] = useState([]);
+  const [scheduled, setScheduled] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchDrafts = async () => {
+    try {
+      setLoading(true);
+      const response = await draftsAPI.getAll();
+      setDrafts(response.data.drafts);
+      setScheduled(response.data.scheduled);
+    } catch (error) {
+      console.error('Error fetching drafts:', error);
+      toast.error('Failed to load your drafts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDrafts();
+  }, []);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const handleDelete = async (draft) => {
+    if (!window.confirm(`Delete the draft "${draft.title || 'Untitled draft'}"?`)) return;
+
+    try {
+      await draftsAPI.delete(draft._id);
+      toast.success('Draft deleted');
+      setDrafts(prev => prev.filter(item => item._id !== draft._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Delete failed');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-3">
+            <FileEdit className="w-8 h-8 text-gray-600" />
+            <span>Drafts</span>
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Continue an upload you saved, or check on resources waiting for their publish time.
+          </p>
+        </div>
+        <Link to="/upload" className="btn btn-primary btn-sm flex items-center space-x-1">
+          <Plus className="w-4 h-4" />
+          <span>New Upload</span>
+        </Link>
+      </div>
+
+      {/* Saved Drafts */}
+      <section className="space-y-4">
+        <h2 className="text-xl font-semibold text-gray-900">Saved Drafts</h2>
+        {drafts.length > 0 ? (
+          drafts.map(draft => (
+            <div key={draft._id} className="card">
+              <div className="card-content pt-6">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0">
+                    <p className={`font-semibold truncate ${draft.title ? 'text-gray-900' : 'text-gray-400 italic'}`}>
+                      {draft.title || 'Untitled draft'}
+                    </p>
+                    {draft.description && (
+                      <p className="text-sm text-gray-500 mt-1 line-clamp-2">{draft.description}</p>
+                    )}
+                    <div className="flex items-center space-x-4 text-xs text-gray-500 mt-2">
+                      {draft.examCategory && (
+                        <span>{draft.examCategory}{draft.section && ` • ${draft.section}`}</span>
+                      )}
+                      <span className="flex items-center space-x-1">
+                        <Calendar className="w-3 h-3" />
+                        <span>Saved {formatDate(draft.updatedAt)}</span>
+                      </span>
+                      {draft.publishAt && (
+                        <span className="flex items-center space-x-1">
+                          <CalendarClock className="w-3 h-3" />
+                          <span>To publish {formatDateTime(draft.publishAt)}</span>
+                        </span>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2 ml-4">
+                    <Link
+                      to={`/upload?draft=${draft._id}`}
+                      className="btn btn-outline btn-sm flex items-center space-x-1"
+                    >
+                      <Pencil className="w-4 h-4" />
+                      <span>Continue</span>
+                    </Link>
+                    <button
+                      onClick={() => handleDelete(draft)}
+                      className="btn btn-sm bg-red-600 text-white hover:bg-red-700 flex items-center space-x-1"
+                      title="Delete draft"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))
+        ) : (
+          <p className="text-sm text-gray-500">
+            No saved drafts. Use Save Draft on the upload page to finish an upload later.
+          </p>
+        )}
+      </section>
+
+      {/* Scheduled Resources */}
+      <section className="space-y-4">
+        <h2 className="text-xl font-semibold text-gray-900">Scheduled</h2>
+        {scheduled.length > 0 ? (
+          scheduled.map(resource => (
+            <div key={resource._id} className="card">
+              <div className="card-content pt-6">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-gray-900 truncate">{resource.title}</p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {resource.fileName} • {resource.fileType.toUpperCase()}
+                    </p>
+                    <div className="flex items-center space-x-1 text-xs text-blue-700 mt-2">
+                      <CalendarClock className="w-3 h-3" />
+                      <span>Publishes {formatDateTime(resource.publishAt)}</span>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2 ml-4">
+                    <Link
+                      to={`/resource/${resource._id}`}
+                      className="btn btn-outline btn-sm flex items-center space-x-1"
+                    >
+                      <Eye className="w-4 h-4" />
+                      <span>View</span>
+                    </Link>
+                    <Link
+                      to={`/resource/${resource._id}/edit`}
+                      className="btn btn-outline btn-sm flex items-center space-x-1"
+                      title="Change the publish time"
+                    >
+                      <Pencil className="w-4 h-4" />
+                      <span>Edit</span>
+                    </Link>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))
+        ) : (
+          <p className="text-sm text-gray-500">
+            No resources are waiting to be published. Choose Publish later when uploading to release one at a set time.
+          </p>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Drafts;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, AlertCircle, CalendarClock, X } from 'lucide-react';
+import { resourcesAPI, taxonomyAPI } from '../utils/api';
+import TagPicker from '../components/TagPicker';
+import TaxonomyTree, { findPath } from '../components/TaxonomyTree';
+import toast from 'react-hot-toast';
+
+// Value for a datetime-local input, which shows local time
+const toDateTimeInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Change the details of an uploaded resource. Files are changed from the
+// resource page (new versions and additional files).
+const EditResource = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [isScheduled, setIsScheduled] = useState(false);
+  const [taxonomyTree, setTaxonomyTree] = useState([]);
+
+  const examCategories = ['UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other'];
+  const sections = ['General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other'];
+
+  useEffect(() => {
+    fetchResource();
+  }, [id]);
+
+  useEffect(() => {
+    fetchTaxonomy();
+  }, []);
+
+  const fetchTaxonomy = async () => {
+    try {
+      const response = await taxonomyAPI.getTree();
+      setTaxonomyTree(response.data.tree);
+    } catch (error) {
+      console.error('Error fetching syllabus:', error);
+    }
+  };
+
+  const fetchResource = async () => {
+    try {
+      const response = await resourcesAPI.getById(id);
+      const resource = response.data.resource;
+      setFormData({
+        title: resource.title,
+        description: resource.description,
+        examCategory: resource.examCategory,
+        section: resource.section,
+        taxonomy: resource.taxonomy || '',
+        tags: (resource.tags || []).join(', '),
+        watermarkDownloads: Boolean(resource.watermarkDownloads),
+        publishAt: resource.publishAt ? toDateTimeInput(new Date(resource.publishAt)) : ''
+      });
+      setIsScheduled(resource.visibility === 'scheduled');
+    } catch (error) {
+      console.error('Error fetching resource:', error);
+      toast.error('Failed to load resource');
+      navigate('/dashboard');
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Title is required';
+    } else if (formData.title.trim().length < 5) {
+      newErrors.title = 'Title must be at least 5 characters';
+    }
+
+    if (!formData.description.trim()) {
+      newErrors.description = 'Description is required';
+    } else if (formData.description.trim().length < 10) {
+      newErrors.description = 'Description must be at least 10 characters';
+    }
+
+    if (isScheduled && !formData.publishAt) {
+      newErrors.publishAt = 'Please choose when to publish';
+    } else if (isScheduled && new Date(formData.publishAt) <= new Date()) {
+      newErrors.publishAt = 'The publish time must be in the future';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    try {
+      setSaving(true);
+      await resourcesAPI.update(id, {
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        examCategory: formData.examCategory,
+        section: formData.section,
+        taxonomy: formData.taxonomy,
+        tags: formData.tags.trim(),
+        watermarkDownloads: formData.watermarkDownloads,
+        ...(isScheduled && { publishAt: new Date(formData.publishAt).toISOString() })
+      });
+      toast.success('Resource updated');
+      navigate(`/resource/${id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Update failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Release a scheduled resource right away
+  const handlePublishNow = async () => {
+    if (!window.confirm('Publish this resource now? Everyone will be able to see it.')) return;
+
+    try {
+      setSaving(true);
+      await resourcesAPI.update(id, { publishAt: '' });
+      toast.success('Resource published');
+      navigate(`/resource/${id}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Publishing failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!formData) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <Link
+        to={`/resource/${id}`}
+        className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 mb-6 transition-colors"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        <span>Back to resource</span>
+      </Link>
+
+      <div className="card">
+        <div className="card-header">
+          <h1 className="text-2xl font-bold text-gray-900">Edit Resource</h1>
+        </div>
+
+        <div className="card-content">
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1">
+                Resource Title *
+              </label>
+              <input
+                id="title"
+                name="title"
+                type="text"
+                value={formData.title}
+                onChange={handleChange}
+                className={`input ${errors.title ? 'border-red-300 focus:ring-red-500' : ''}`}
+              />
+              {errors.title && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.title}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+                Description *
+              </label>
+              <textarea
+                id="description"
+                name="description"
+                rows={4}
+                value={formData.description}
+                onChange={handleChange}
+                className={`input ${errors.description ? 'border-red-300 focus:ring-red-500' : ''}`}
+              />
+              {errors.description && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.description}
+                </p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="examCategory" className="block text-sm font-medium text-gray-700 mb-1">
+                  Exam Category *
+                </label>
+                <select
+                  id="examCategory"
+                  name="examCategory"
+                  value={formData.examCategory}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  {examCategories.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="section" className="block text-sm font-medium text-gray-700 mb-1">
+                  Section *
+                </label>
+                <select
+                  id="section"
+                  name="section"
+                  value={formData.section}
+                  onChange={handleChange}
+                  className="input"
+                >
+                  {sections.map(section => (
+                    <option key={section} value={section}>{section}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Syllabus (Optional)
+              </label>
+              <div className="rounded-md border border-gray-300 p-2">
+                {formData.taxonomy && (
+                  <div className="flex items-center justify-between px-1 pb-2 mb-2 border-b border-gray-200 text-sm">
+                    <span className="text-blue-700">
+                      {findPath(taxonomyTree, formData.taxonomy).map(node => node.name).join(' › ')}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setFormData(prev => ({ ...prev, taxonomy: '' }))}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Clear"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+                <TaxonomyTree
+                  tree={taxonomyTree}
+                  selected={formData.taxonomy ? [formData.taxonomy] : []}
+                  onSelect={(node) => setFormData(prev => ({
+                    ...prev,
+                    taxonomy: prev.taxonomy === node._id ? '' : node._id
+                  }))}
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">
+                Tags (Optional)
+              </label>
+              <TagPicker
+                id="tags"
+                value={formData.tags}
+                onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+                placeholder="Type a tag and press Enter (e.g., mathematics, physics, formulas)"
+              />
+            </div>
+
+            <label className="flex items-start space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="watermarkDownloads"
+                checked={formData.watermarkDownloads}
+                onChange={handleChange}
+                className="mt-0.5"
+              />
+              <span>
+                Credit me on downloaded PDFs
+                <span className="block text-gray-500">
+                  Adds a small footer with your name and a link back to this resource to every page. Your uploaded file stays unchanged.
+                </span>
+              </span>
+            </label>
+
+            {isScheduled && (
+              <div>
+                <label htmlFor="publishAt" className="block text-sm font-medium text-gray-700 mb-1">
+                  Publish At
+                </label>
+                <div className="flex items-center space-x-2">
+                  <input
+                    id="publishAt"
+                    name="publishAt"
+                    type="datetime-local"
+                    value={formData.publishAt}
+                    min={toDateTimeInput(new Date())}
+                    onChange={handleChange}
+                    className={`input ${errors.publishAt ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={handlePublishNow}
+                    disabled={saving}
+                    className="btn btn-outline whitespace-nowrap flex items-center space-x-1"
+                  >
+                    <CalendarClock className="w-4 h-4" />
+                    <span>Publish Now</span>
+                  </button>
+                </div>
+                {errors.publishAt ? (
+                  <p className="mt-1 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.publishAt}
+                  </p>
+                ) : (
+                  <p className="mt-1 text-sm text-gray-500">
+                    Only you can see this resource until then.
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <Link to={`/resource/${id}`} className="btn btn-outline">
+                Cancel
+              </Link>
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditResource;
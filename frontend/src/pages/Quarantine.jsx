@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import { ShieldAlert, RefreshCw, CheckCircle, Trash2, User, Calendar } from 'lucide-react';
+import { adminAPI, resourcesAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+const tabs = [
+  { value: 'quarantined', label: 'Quarantined' },
+  { value: 'pending_scan', label: 'Pending Scan' }
+];
+
+const Quarantine = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState('quarantined');
+  const [resources, setResources] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalResources: 0,
+    hasNext: false,
+    hasPrev: false
+  });
+
+  const fetchResources = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await adminAPI.getQuarantine({ status, page, limit: 10 });
+      setResources(response.data.resources);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching quarantined resources:', error);
+      toast.error('Failed to load quarantined resources');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchResources(1);
+    }
+  }, [status]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const handleRescan = async (resource) => {
+    try {
+      await adminAPI.rescan(resource._id);
+      toast.success('Scan scheduled');
+      fetchResources(pagination.currentPage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to schedule scan');
+    }
+  };
+
+  const handleRelease = async (resource) => {
+    if (!window.confirm(`Publish "${resource.title}" even though the scanner did not clear it?`)) return;
+
+    try {
+      await adminAPI.release(resource._id);
+      toast.success('Resource released');
+      fetchResources(pagination.currentPage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to release resource');
+    }
+  };
+
+  const handleDelete = async (resource) => {
+    if (!window.confirm(`Move "${resource.title}" to the trash?`)) return;
+
+    try {
+      await resourcesAPI.delete(resource._id);
+      toast.success('Resource moved to the trash');
+      fetchResources(pagination.currentPage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Delete failed');
+    }
+  };
+
+  if (user?.role !== 'admin') {
+    return <Navigate to="/dashboard" />;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-3">
+          <ShieldAlert className="w-8 h-8 text-red-600" />
+          <span>Quarantine</span>
+        </h1>
+        <p className="text-gray-600 mt-2">
+          Uploads held back by the malware scan. They are hidden from everyone else and their files are never served.
+        </p>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex space-x-2 border-b">
+        {tabs.map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setStatus(tab.value)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              status === tab.value
+                ? 'border-blue-600 text-blue-700'
+                : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : resources.length > 0 ? (
+        <div className="space-y-4">
+          {resources.map(resource => (
+            <div key={resource._id} className="card">
+              <div className="card-content pt-6">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <Link
+                      to={`/resource/${resource._id}`}
+                      className="font-semibold text-gray-900 hover:text-blue-600"
+                    >
+                      {resource.title}
+                    </Link>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {resource.fileName} • {resource.fileType.toUpperCase()}
+                    </p>
+                    {resource.scan && resource.scan.result && (
+                      <p className={`text-sm mt-2 ${resource.scan.result === 'infected' ? 'text-red-600' : 'text-gray-600'}`}>
+                        {resource.scan.result === 'infected' && `Detected: ${resource.scan.signature}`}
+                        {resource.scan.result === 'error' && `Scan failed: ${resource.scan.error}`}
+                        {resource.scan.result === 'clean' && 'Clean'}
+                        {resource.scan.scanner && ` (${resource.scan.scanner}, ${formatDate(resource.scan.scannedAt)})`}
+                      </p>
+                    )}
+                    <div className="flex items-center space-x-4 text-xs text-gray-500 mt-2">
+                      <span className="flex items-center space-x-1">
+                        <User className="w-3 h-3" />
+                        <span>{resource.uploadedBy?.name} ({resource.uploadedBy?.email})</span>
+                      </span>
+                      <span className="flex items-center space-x-1">
+                        <Calendar className="w-3 h-3" />
+                        <span>{formatDate(resource.createdAt)}</span>
+                      </span>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2 ml-4">
+                    <button
+                      onClick={() => handleRescan(resource)}
+                      className="btn btn-outline btn-sm flex items-center space-x-1"
+                      title="Scan again"
+                    >
+                      <RefreshCw className="w-4 h-4" />
+                      <span>Rescan</span>
+                    </button>
+                    <button
+                      onClick={() => handleRelease(resource)}
+                      className="btn btn-outline btn-sm flex items-center space-x-1"
+                      title="Publish anyway"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                      <span>Release</span>
+                    </button>
+                    <button
+                      onClick={() => handleDelete(resource)}
+                      className="btn btn-sm bg-red-600 text-white hover:bg-red-700 flex items-center space-x-1"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center space-x-2">
+              <button
+                onClick={() => fetchResources(pagination.currentPage - 1)}
+                disabled={!pagination.hasPrev}
+                className="btn btn-outline btn-sm"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => fetchResources(pagination.currentPage + 1)}
+                disabled={!pagination.hasNext}
+                className="btn btn-outline btn-sm"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <ShieldAlert className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <p className="text-gray-500">
+            {status === 'quarantined' ? 'No quarantined resources.' : 'No resources are waiting for a scan.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Quarantine;
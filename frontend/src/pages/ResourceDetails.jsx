@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { 
   Download, 
   Star, 
@@ -10,16 +10,25 @@ import {
   Share2,
   Eye,
   ThumbsUp,
-  MessageCircle
+  MessageCircle,
+  BookOpen,
+  ShieldAlert,
+  CalendarClock
 } from 'lucide-react';
 import { resourcesAPI, ratingsAPI } from '../utils/api';
 import StarRating from '../components/StarRating';
+import { downloadResource } from '../utils/download';
+import VersionHistory from '../components/VersionHistory';
+import ResourceFiles from '../components/ResourceFiles';
+import RecognizedText from '../components/RecognizedText';
+import DocumentViewer, { VIEWABLE_TYPES } from '../components/DocumentViewer';
 import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
 
 const ResourceDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [resource, setResource] = useState(null);
   const [ratings, setRatings] = useState([]);
   const [ratingStats, setRatingStats] = useState(null);
@@ -27,12 +36,28 @@ const ResourceDetails = () => {
   const [ratingsLoading, setRatingsLoading] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalRatings, setTotalRatings] = useState(0);
+  // A ?page= link opens the reader straight at that page, ?attachment= at one of the additional files
+  const [viewerOpen, setViewerOpen] = useState(searchParams.has('page') || searchParams.has('attachment'));
+  const [viewerAttachmentId, setViewerAttachmentId] = useState(searchParams.get('attachment'));
+  const initialViewerPage = parseInt(searchParams.get('page')) || 1;
 
   const { user } = useAuth();
   const isOwnerOrAdmin =
     user &&
     resource &&
     (resource.uploadedBy._id === user.id || user.role === 'admin');
+  // Files can only be read or downloaded once they passed the malware scan
+  const isPublished = resource && resource.status === 'published';
+  const canRead = isPublished && VIEWABLE_TYPES.includes(resource.fileType);
+  // Scheduled resources are only seen by their owner, so preview images (plain links) are not served yet
+  const isScheduled = resource && resource.visibility === 'scheduled';
+  const hasPreview = resource && resource.preview && !isScheduled;
+  const viewerAttachment = viewerAttachmentId && resource
+    ? (resource.attachments || []).find(attachment => attachment._id === viewerAttachmentId)
+    : null;
+  const canReadViewerFile = viewerAttachmentId
+    ? isPublished && Boolean(viewerAttachment) && VIEWABLE_TYPES.includes(viewerAttachment.fileType)
+    : canRead;
 
   useEffect(() => {
     fetchResource();
@@ -137,15 +162,37 @@ const ResourceDetails = () => {
     return colors[category] || colors['Other'];
   };
 
-  const handleDownload = () => {
-    // Create a temporary link to download the file
-    const link = document.createElement('a');
-    link.href = resource.fileUrl;
-    link.download = resource.fileName;
-    link.target = '_blank';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const handleDownload = async () => {
+    try {
+      await downloadResource(resource._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Download failed');
+    }
+  };
+
+  const handleOpenViewer = () => {
+    setViewerAttachmentId(null);
+    setViewerOpen(true);
+    setSearchParams({}, { replace: true });
+  };
+
+  const handleReadAttachment = (attachment) => {
+    setViewerAttachmentId(attachment._id);
+    setViewerOpen(true);
+    setSearchParams({ attachment: attachment._id }, { replace: true });
+  };
+
+  const handleCloseViewer = () => {
+    setViewerOpen(false);
+    setViewerAttachmentId(null);
+    setSearchParams({}, { replace: true });
+  };
+
+  const handleViewerPageChange = (page) => {
+    setSearchParams(
+      viewerAttachmentId ? { attachment: viewerAttachmentId, page: String(page) } : { page: String(page) },
+      { replace: true }
+    );
   };
 
   const handleShare = async () => {
@@ -167,10 +214,10 @@ const ResourceDetails = () => {
   };
 
   const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this resource?')) {
+    if (window.confirm('Move this resource to the trash? You can restore it from the trash until it is purged.')) {
       try {
         await resourcesAPI.delete(resource._id);
-        toast.success('Resource deleted!');
+        toast.success('Resource moved to the trash');
         navigate('/dashboard');
       } catch (error) {
         toast.error(error.response?.data?.message || 'Delete failed');
@@ -218,7 +265,15 @@ const ResourceDetails = () => {
               <div className="flex items-start justify-between">
                 <div className="flex-1">
                   <div className="flex items-center space-x-3 mb-3">
-                    <span className="text-3xl">{getFileIcon(resource.fileType)}</span>
+                    {hasPreview && resource.preview.thumbnailKey ? (
+                      <img
+                        src={resourcesAPI.getThumbnailUrl(resource)}
+                        alt=""
+                        className="w-12 h-16 object-cover object-top rounded border"
+                      />
+                    ) : (
+                      <span className="text-3xl">{getFileIcon(resource.fileType)}</span>
+                    )}
                     <h1 className="text-2xl font-bold text-gray-900">{resource.title}</h1>
                   </div>
                   
@@ -247,26 +302,75 @@ const ResourceDetails = () => {
             </div>
 
             <div className="card-content">
+              {/* Scheduled Publishing */}
+              {isScheduled && (
+                <div className="flex items-start space-x-3 bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+                  <CalendarClock className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
+                  <p className="text-sm text-blue-800">
+                    Scheduled to be published on {new Date(resource.publishAt).toLocaleString()}. Until then only you and admins can see this resource.
+                  </p>
+                </div>
+              )}
+
+              {/* Scan Status */}
+              {resource.status === 'pending_scan' && (
+                <div className="flex items-start space-x-3 bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+                  <ShieldAlert className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+                  <p className="text-sm text-yellow-800">
+                    This file is being scanned for malware. Only you and admins can see this resource until the scan finishes.
+                  </p>
+                </div>
+              )}
+              {resource.status === 'quarantined' && (
+                <div className="flex items-start space-x-3 bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                  <ShieldAlert className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+                  <p className="text-sm text-red-800">
+                    This file was flagged by the malware scan and has been quarantined. It is hidden from other users and cannot be downloaded.
+                  </p>
+                </div>
+              )}
+
               {/* File Information */}
               <div className="bg-gray-50 rounded-lg p-4 mb-6">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-3">
                     <FileText className="w-6 h-6 text-blue-500" />
                     <div>
-                      <p className="font-medium text-gray-900">{resource.fileName}</p>
+                      <p className="font-medium text-gray-900">{resource.fileLabel || resource.fileName}</p>
                       <p className="text-sm text-gray-500">
+                        {resource.fileLabel && `${resource.fileName} • `}
                         {formatFileSize(resource.fileSize)} • {resource.fileType.toUpperCase()}
+                        {resource.currentVersion > 1 && ` • Version ${resource.currentVersion}`}
                       </p>
                     </div>
                   </div>
                   <div className="flex items-center space-x-2">
-                    <button
-                      onClick={handleDownload}
-                      className="btn btn-primary flex items-center space-x-2"
-                    >
-                      <Download className="w-4 h-4" />
-                      <span>Download</span>
-                    </button>
+                    {canRead && !(viewerOpen && !viewerAttachmentId) && (
+                      <button
+                        onClick={handleOpenViewer}
+                        className="btn btn-outline flex items-center space-x-2"
+                      >
+                        <BookOpen className="w-4 h-4" />
+                        <span>Read</span>
+                      </button>
+                    )}
+                    {isPublished && (
+                      <button
+                        onClick={handleDownload}
+                        className="btn btn-primary flex items-center space-x-2"
+                      >
+                        <Download className="w-4 h-4" />
+                        <span>Download</span>
+                      </button>
+                    )}
+                    {isOwnerOrAdmin && (
+                      <Link
+                        to={`/resource/${resource._id}/edit`}
+                        className="btn btn-outline ml-2"
+                      >
+                        Edit
+                      </Link>
+                    )}
                     {isOwnerOrAdmin && (
                       <button
                         onClick={handleDelete}
@@ -279,6 +383,52 @@ const ResourceDetails = () => {
                 </div>
               </div>
 
+              {/* Page Previews */}
+              {hasPreview && resource.preview.pageKeys && resource.preview.pageKeys.length > 0 && (
+                <div className="mb-6">
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">Preview</h3>
+                  <div className="flex space-x-3 overflow-x-auto pb-2">
+                    {resource.preview.pageKeys.map((_, index) => (
+                      <a
+                        key={index}
+                        href={resourcesAPI.getPreviewUrl(resource, index + 1)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="flex-shrink-0 border rounded-lg overflow-hidden bg-gray-100 hover:shadow-md transition-shadow"
+                      >
+                        <img
+                          src={resourcesAPI.getPreviewUrl(resource, index + 1)}
+                          alt={`Page ${index + 1} of ${resource.title}`}
+                          loading="lazy"
+                          className="h-64 w-auto"
+                        />
+                      </a>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Syllabus */}
+              {resource.taxonomyPath && resource.taxonomyPath.length > 0 && (
+                <div className="mb-6">
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">Syllabus</h3>
+                  <nav className="flex flex-wrap items-center gap-1 text-sm">
+                    {resource.taxonomyPath.map((node, index) => (
+                      <React.Fragment key={node._id}>
+                        {index > 0 && <span className="text-gray-400">›</span>}
+                        <Link
+                          to={`/dashboard?taxonomy=${node._id}`}
+                          className="text-blue-600 hover:text-blue-700"
+                          title={`All resources under this ${node.level}`}
+                        >
+                          {node.name}
+                        </Link>
+                      </React.Fragment>
+                    ))}
+                  </nav>
+                </div>
+              )}
+
               {/* Tags */}
               {resource.tags && resource.tags.length > 0 && (
                 <div className="mb-6">
@@ -309,6 +459,10 @@ const ResourceDetails = () => {
                   </div>
                 </div>
                 <div className="flex items-center space-x-4">
+                  <div className="flex items-center space-x-1">
+                    <Eye className="w-4 h-4" />
+                    <span>{resource.viewCount || 0} views</span>
+                  </div>
                   <div className="flex items-center space-x-1">
                     <Download className="w-4 h-4" />
                     <span>{resource.downloadCount} downloads</span>
@@ -318,6 +472,40 @@ const ResourceDetails = () => {
             </div>
           </div>
 
+          {/* Reader */}
+          {viewerOpen && canReadViewerFile && (
+            <DocumentViewer
+              key={viewerAttachmentId || 'main'}
+              resource={resource}
+              attachment={viewerAttachment}
+              initialPage={initialViewerPage}
+              onPageChange={handleViewerPageChange}
+              onClose={handleCloseViewer}
+            />
+          )}
+
+          {/* Additional Files */}
+          <ResourceFiles
+            resource={resource}
+            canManage={isOwnerOrAdmin}
+            onRead={handleReadAttachment}
+            onChange={setResource}
+          />
+
+          {/* Recognized Text */}
+          <RecognizedText
+            resource={resource}
+            canManage={isOwnerOrAdmin}
+            onChange={(ocr) => setResource(prev => ({ ...prev, ocr }))}
+          />
+
+          {/* Version History */}
+          <VersionHistory
+            resource={resource}
+            canManage={isOwnerOrAdmin}
+            onVersionChange={setResource}
+          />
+
           {/* Rating Section */}
           <div className="card">
             <div className="card-header">
@@ -377,7 +565,14 @@ const ResourceDetails = () => {
                             <User className="w-4 h-4 text-blue-600" />
                           </div>
                           <div>
-                            <p className="font-medium text-gray-900">{rating.user.name}</p>
+                            <p className="font-medium text-gray-900">
+                              {rating.user.name}
+                              {resource.currentVersion > 1 && rating.version && (
+                                <span className="ml-2 text-xs font-normal text-gray-500">
+                                  on version {rating.version}
+                                </span>
+                              )}
+                            </p>
                             <div className="flex items-center space-x-1">
                               {[...Array(5)].map((_, i) => (
                                 <Star
@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Trash2, RotateCcw, User, Calendar, Clock } from 'lucide-react';
+import { trashAPI, adminAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const tabs = [
+  { value: 'mine', label: 'My Trash' },
+  { value: 'all', label: 'All Users' }
+];
+
+const Trash = () => {
+  const { user } = useAuth();
+  const [scope, setScope] = useState('mine');
+  const [resources, setResources] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [purging, setPurging] = useState(false);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    totalPages: 1,
+    totalResources: 0,
+    hasNext: false,
+    hasPrev: false
+  });
+
+  const isAdmin = user?.role === 'admin';
+
+  const fetchResources = async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await trashAPI.getAll({ scope: scope === 'all' ? 'all' : undefined, page, limit: 10 });
+      setResources(response.data.resources);
+      setRetentionDays(response.data.retentionDays);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      toast.error('Failed to load the trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchResources(1);
+  }, [scope]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  const formatTimeLeft = (purgeAt) => {
+    const days = Math.ceil((new Date(purgeAt).getTime() - Date.now()) / DAY);
+    if (days <= 0) return 'Deleted forever at the next purge';
+    return `Deleted forever in ${days} day${days === 1 ? '' : 's'}`;
+  };
+
+  const handleRestore = async (resource) => {
+    try {
+      await trashAPI.restore(resource._id);
+      toast.success('Resource restored');
+      fetchResources(pagination.currentPage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Restore failed');
+    }
+  };
+
+  const handlePurge = async (resource) => {
+    if (!window.confirm(`Permanently delete "${resource.title}"? Its files and ratings cannot be recovered.`)) return;
+
+    try {
+      await trashAPI.purge(resource._id);
+      toast.success('Resource permanently deleted');
+      fetchResources(pagination.currentPage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Delete failed');
+    }
+  };
+
+  const handlePurgeExpired = async () => {
+    try {
+      setPurging(true);
+      const response = await adminAPI.purgeTrash();
+      toast.success(response.data.message);
+      fetchResources(1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to purge the trash');
+    } finally {
+      setPurging(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center space-x-3">
+            <Trash2 className="w-8 h-8 text-gray-600" />
+            <span>Trash</span>
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Deleted resources are hidden from everyone, together with their ratings.
+            {retentionDays && ` They can be restored for ${retentionDays} days, then their files and ratings are deleted for good.`}
+          </p>
+        </div>
+        {isAdmin && scope === 'all' && (
+          <button
+            onClick={handlePurgeExpired}
+            disabled={purging}
+            className="btn btn-outline btn-sm flex items-center space-x-1"
+            title="Purge resources past the retention window now"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>{purging ? 'Purging...' : 'Purge Expired'}</span>
+          </button>
+        )}
+      </div>
+
+      {/* Tabs */}
+      {isAdmin && (
+        <div className="flex space-x-2 border-b">
+          {tabs.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => setScope(tab.value)}
+              className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                scope === tab.value
+                  ? 'border-blue-600 text-blue-700'
+                  : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : resources.length > 0 ? (
+        <div className="space-y-4">
+          {resources.map(resource => (
+            <div key={resource._id} className="card">
+              <div className="card-content pt-6">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <p className="font-semibold text-gray-900">{resource.title}</p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {resource.fileName} • {resource.fileType.toUpperCase()}
+                    </p>
+                    <div className="flex items-center space-x-4 text-xs text-gray-500 mt-2">
+                      {scope === 'all' && (
+                        <span className="flex items-center space-x-1">
+                          <User className="w-3 h-3" />
+                          <span>{resource.uploadedBy?.name} ({resource.uploadedBy?.email})</span>
+                        </span>
+                      )}
+                      {resource.deletedAt && (
+                        <span className="flex items-center space-x-1">
+                          <Calendar className="w-3 h-3" />
+                          <span>
+                            Deleted {formatDate(resource.deletedAt)}
+                            {resource.deletedBy && resource.deletedBy._id !== resource.uploadedBy?._id && ` by ${resource.deletedBy.name}`}
+                          </span>
+                        </span>
+                      )}
+                      <span className="flex items-center space-x-1 text-red-600">
+                        <Clock className="w-3 h-3" />
+                        <span>{formatTimeLeft(resource.purgeAt)}</span>
+                      </span>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-2 ml-4">
+                    <button
+                      onClick={() => handleRestore(resource)}
+                      className="btn btn-outline btn-sm flex items-center space-x-1"
+                      title="Restore"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      <span>Restore</span>
+                    </button>
+                    <button
+                      onClick={() => handlePurge(resource)}
+                      className="btn btn-sm bg-red-600 text-white hover:bg-red-700 flex items-center space-x-1"
+                      title="Delete forever"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {/* Pagination */}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-center space-x-2">
+              <button
+                onClick={() => fetchResources(pagination.currentPage - 1)}
+                disabled={!pagination.hasPrev}
+                className="btn btn-outline btn-sm"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => fetchResources(pagination.currentPage + 1)}
+                disabled={!pagination.hasNext}
+                className="btn btn-outline btn-sm"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <Trash2 className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <p className="text-gray-500">The trash is empty.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
@@ -1,26 +1,125 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Upload as UploadIcon, FileText, X, AlertCircle } from 'lucide-react';
-import { resourcesAPI } from '../utils/api';
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { Upload as UploadIcon, FileText, X, AlertCircle, Pause, Play, Copy, Archive, Plus, ChevronUp, ChevronDown, Camera, Save, FileEdit } from 'lucide-react';
+import { createChunkedUpload } from '../utils/chunkedUpload';
+import { attachmentsAPI, authAPI, draftsAPI, resourcesAPI, taxonomyAPI } from '../utils/api';
+import StorageUsage from '../components/StorageUsage';
+import TagPicker from '../components/TagPicker';
+import TaxonomyTree, { findPath } from '../components/TaxonomyTree';
 import toast from 'react-hot-toast';
 
+// Value for a datetime-local input, which shows local time
+const toDateTimeInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
 const Upload = () => {
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     examCategory: 'UPSC',
     section: 'General',
+    // Syllabus node the resource is filed under
+    taxonomy: '',
     tags: ''
   });
+  const [taxonomyTree, setTaxonomyTree] = useState([]);
+  // file: one file of any type | photos: photographed pages combined into a PDF
+  const [uploadMode, setUploadMode] = useState('file');
   const [file, setFile] = useState(null);
-  const [loading, setLoading] = useState(false);
+  // Page photos in order as { file, previewUrl }
+  const [pages, setPages] = useState([]);
+  const [pageOptions, setPageOptions] = useState({ grayscale: false, autoRotate: true });
+  const [fileLabel, setFileLabel] = useState('');
+  const [watermarkDownloads, setWatermarkDownloads] = useState(false);
+  // Keep the resource hidden from others until publishAt (a datetime-local value)
+  const [publishLater, setPublishLater] = useState(false);
+  const [publishAt, setPublishAt] = useState('');
+  // Draft being continued; the upload turns it into the resource
+  const [draftId, setDraftId] = useState(searchParams.get('draft'));
+  const [savingDraft, setSavingDraft] = useState(false);
+  // Further files of the bundle as { file, label }, uploaded once the resource exists
+  const [attachments, setAttachments] = useState([]);
+  // idle | uploading | paused | failed | duplicate
+  const [uploadStatus, setUploadStatus] = useState('idle');
+  const [uploadedBytes, setUploadedBytes] = useState(0);
+  const [duplicate, setDuplicate] = useState(null);
   const [errors, setErrors] = useState({});
+  const [storage, setStorage] = useState(null);
+  const uploadRef = useRef(null);
+  // Aborts the request sending the page photos
+  const photosAbortRef = useRef(null);
+
+  useEffect(() => {
+    fetchStorage();
+    fetchTaxonomy();
+    if (draftId) fetchDraft();
+  }, []);
+
+  // Free the page thumbnails when leaving the page
+  const pagesRef = useRef(pages);
+  pagesRef.current = pages;
+  useEffect(() => {
+    return () => pagesRef.current.forEach(page => URL.revokeObjectURL(page.previewUrl));
+  }, []);
+
+  const fetchStorage = async () => {
+    try {
+      const response = await authAPI.getStorage();
+      setStorage(response.data.storage);
+    } catch (error) {
+      console.error('Error fetching storage:', error);
+    }
+  };
+
+  const fetchTaxonomy = async () => {
+    try {
+      const response = await taxonomyAPI.getTree();
+      setTaxonomyTree(response.data.tree);
+    } catch (error) {
+      console.error('Error fetching syllabus:', error);
+    }
+  };
+
+  const fetchDraft = async () => {
+    try {
+      const response = await draftsAPI.getById(draftId);
+      const draft = response.data.draft;
+      setFormData(prev => ({
+        title: draft.title || '',
+        description: draft.description || '',
+        examCategory: draft.examCategory || prev.examCategory,
+        section: draft.section || prev.section,
+        taxonomy: draft.taxonomy || '',
+        tags: (draft.tags || []).join(', ')
+      }));
+      setFileLabel(draft.fileLabel || '');
+      setWatermarkDownloads(Boolean(draft.watermarkDownloads));
+      if (draft.publishAt) {
+        setPublishLater(true);
+        setPublishAt(toDateTimeInput(new Date(draft.publishAt)));
+      }
+    } catch (error) {
+      console.error('Error fetching draft:', error);
+      toast.error('Draft not found');
+      setDraftId(null);
+      setSearchParams({}, { replace: true });
+    }
+  };
+
+  const isUploading = uploadStatus === 'uploading';
+  const uploadInProgress = uploadStatus !== 'idle';
 
   const examCategories = ['UPSC', 'JEE', 'GATE', 'NEET', 'CAT', 'SSC', 'Banking', 'Railway', 'Other'];
   const sections = ['General', 'Optional', 'Subject-specific', 'Previous Papers', 'Notes', 'Books', 'Other'];
   const allowedTypes = ['pdf', 'doc', 'docx', 'txt', 'jpg', 'jpeg', 'png'];
   const maxFileSize = 50 * 1024 * 1024; // 50MB
+  const maxAttachments = 20;
+  const maxPages = 50;
+  const pageTypes = ['jpg', 'jpeg', 'png'];
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -38,25 +137,29 @@ const Upload = () => {
     }
   };
 
+  // Check type and size of a selected file, returning an error message if it can't be uploaded
+  const getFileError = (selectedFile) => {
+    const fileExtension = selectedFile.name.split('.').pop().toLowerCase();
+    if (!allowedTypes.includes(fileExtension)) {
+      return 'Please select a valid file type (PDF, DOC, DOCX, TXT, JPG, PNG)';
+    }
+
+    if (selectedFile.size > maxFileSize) {
+      return 'File size must be less than 50MB';
+    }
+
+    return null;
+  };
+
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     
     if (selectedFile) {
-      // Validate file type
-      const fileExtension = selectedFile.name.split('.').pop().toLowerCase();
-      if (!allowedTypes.includes(fileExtension)) {
-        setErrors(prev => ({
-          ...prev,
-          file: 'Please select a valid file type (PDF, DOC, DOCX, TXT, JPG, PNG)'
-        }));
-        return;
-      }
-
-      // Validate file size
-      if (selectedFile.size > maxFileSize) {
+      const fileError = getFileError(selectedFile);
+      if (fileError) {
         setErrors(prev => ({
           ...prev,
-          file: 'File size must be less than 50MB'
+          file: fileError
         }));
         return;
       }
@@ -77,6 +180,103 @@ const Upload = () => {
     }));
   };
 
+  const handlePagesChange = (e) => {
+    const selectedFiles = Array.from(e.target.files);
+    e.target.value = '';
+
+    for (const selectedFile of selectedFiles) {
+      if (!pageTypes.includes(selectedFile.name.split('.').pop().toLowerCase())) {
+        setErrors(prev => ({ ...prev, file: `${selectedFile.name}: Only JPG and PNG photos can be combined into a PDF` }));
+        return;
+      }
+      if (selectedFile.size > maxFileSize) {
+        setErrors(prev => ({ ...prev, file: `${selectedFile.name}: File size must be less than 50MB` }));
+        return;
+      }
+    }
+
+    if (pages.length + selectedFiles.length > maxPages) {
+      setErrors(prev => ({ ...prev, file: `You can combine at most ${maxPages} pages` }));
+      return;
+    }
+
+    setPages(prev => [
+      ...prev,
+      ...selectedFiles.map(selectedFile => ({ file: selectedFile, previewUrl: URL.createObjectURL(selectedFile) }))
+    ]);
+    setErrors(prev => ({ ...prev, file: '' }));
+  };
+
+  const movePage = (index, offset) => {
+    setPages(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const removePage = (index) => {
+    URL.revokeObjectURL(pages[index].previewUrl);
+    setPages(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleAttachmentsChange = (e) => {
+    const selectedFiles = Array.from(e.target.files);
+    e.target.value = '';
+
+    for (const selectedFile of selectedFiles) {
+      const fileError = getFileError(selectedFile);
+      if (fileError) {
+        setErrors(prev => ({ ...prev, attachments: `${selectedFile.name}: ${fileError}` }));
+        return;
+      }
+    }
+
+    if (attachments.length + selectedFiles.length > maxAttachments) {
+      setErrors(prev => ({ ...prev, attachments: `You can add at most ${maxAttachments} additional files` }));
+      return;
+    }
+
+    setAttachments(prev => [...prev, ...selectedFiles.map(selectedFile => ({ file: selectedFile, label: '' }))]);
+    setErrors(prev => ({ ...prev, attachments: '' }));
+  };
+
+  const updateAttachmentLabel = (index, label) => {
+    setAttachments(prev => prev.map((attachment, i) => (i === index ? { ...attachment, label } : attachment)));
+  };
+
+  const moveAttachment = (index, offset) => {
+    setAttachments(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const removeAttachment = (index) => {
+    setAttachments(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Add the additional files to the newly created resource, in order.
+  // Returns how many could not be uploaded.
+  const uploadAttachments = async (resource) => {
+    let failed = 0;
+
+    for (const attachment of attachments) {
+      try {
+        const uploadData = new FormData();
+        uploadData.append('file', attachment.file);
+        uploadData.append('label', attachment.label.trim());
+        await attachmentsAPI.add(resource._id, uploadData);
+      } catch (error) {
+        console.error('Attachment upload error:', error);
+        failed += 1;
+      }
+    }
+
+    return failed;
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -92,43 +292,195 @@ const Upload = () => {
       newErrors.description = 'Description must be at least 10 characters';
     }
 
-    if (!file) {
+    if (publishLater && !publishAt) {
+      newErrors.publishAt = 'Please choose when to publish';
+    } else if (publishLater && new Date(publishAt) <= new Date()) {
+      newErrors.publishAt = 'The publish time must be in the future';
+    }
+
+    if (uploadMode === 'file' && !file) {
       newErrors.file = 'Please select a file to upload';
+    } else if (uploadMode === 'photos' && pages.length === 0) {
+      newErrors.file = 'Please add the photos of your pages';
+    } else if (storage) {
+      // The combined PDF is usually smaller than the photos, so this errs on the safe side
+      const totalSize = attachments.reduce((sum, attachment) => sum + attachment.file.size, uploadSize);
+      if (totalSize > storage.remaining) {
+        newErrors.file = `These files need ${formatFileSize(totalSize)} but only ${formatFileSize(storage.remaining)} of your storage is left`;
+      }
     }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!validateForm()) return;
-
+  const runUpload = async (action) => {
     try {
-      setLoading(true);
-      
-      const uploadData = new FormData();
-      uploadData.append('title', formData.title.trim());
-      uploadData.append('description', formData.description.trim());
-      uploadData.append('examCategory', formData.examCategory);
-      uploadData.append('section', formData.section);
-      uploadData.append('tags', formData.tags.trim());
-      uploadData.append('file', file);
-
-      const response = await resourcesAPI.create(uploadData);
-      
-      toast.success('Resource uploaded successfully!');
-      navigate(`/resource/${response.data.resource._id}`);
+      setUploadStatus('uploading');
+
+      const resource = await action();
+      if (!resource) {
+        // Upload was paused
+        setUploadStatus('paused');
+        return;
+      }
+
+      const failedAttachments = await uploadAttachments(resource);
+
+      uploadRef.current = null;
+      setUploadStatus('idle');
+      if (failedAttachments > 0) {
+        toast.error(`${failedAttachments} additional file(s) could not be uploaded. You can add them on the resource page.`);
+      }
+      toast.success(publishLater
+        ? `Resource uploaded! Others will see it from ${new Date(publishAt).toLocaleString()}.`
+        : 'Resource uploaded! It will be published once the security scan finishes.');
+      navigate(`/resource/${resource._id}`);
     } catch (error) {
+      // The user cancelled the upload
+      if (error.code === 'ERR_CANCELED') return;
+
+      const data = error.response?.data;
+      if (data?.code === 'POSSIBLE_DUPLICATE' || data?.code === 'DUPLICATE_RESOURCE') {
+        setDuplicate({ code: data.code, message: data.message, resource: data.duplicate });
+        setUploadStatus('duplicate');
+        return;
+      }
+
+      // The file itself was refused, so resuming the upload can't help
+      if (data?.code === 'FILE_TYPE_MISMATCH' || data?.code === 'QUARANTINED_FILE' || data?.code === 'QUOTA_EXCEEDED') {
+        await handleCancelUpload();
+        toast.error(data.message);
+        if (data.storage) setStorage(data.storage);
+        return;
+      }
+
       console.error('Upload error:', error);
-      const message = error.response?.data?.message || 'Failed to upload resource';
+      if (!uploadRef.current || !uploadRef.current.hasSession()) {
+        // Nothing was uploaded yet, let the user fix the form
+        uploadRef.current = null;
+        setUploadStatus('idle');
+      } else {
+        setUploadStatus('failed');
+      }
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Upload interrupted. You can resume it.';
       toast.error(message);
+    }
+  };
+
+  const getMetadata = () => ({
+    title: formData.title.trim(),
+    description: formData.description.trim(),
+    examCategory: formData.examCategory,
+    section: formData.section,
+    taxonomy: formData.taxonomy,
+    tags: formData.tags.trim(),
+    fileLabel: fileLabel.trim(),
+    watermarkDownloads,
+    publishAt: publishLater && publishAt ? new Date(publishAt).toISOString() : '',
+    draftId: draftId || ''
+  });
+
+  // Keep what was typed so far. Files can't be kept in a draft; they are
+  // chosen again when the draft is continued.
+  const handleSaveDraft = async () => {
+    try {
+      setSavingDraft(true);
+      const response = draftId
+        ? await draftsAPI.update(draftId, getMetadata())
+        : await draftsAPI.create(getMetadata());
+
+      if (!draftId) {
+        setDraftId(response.data.draft._id);
+        setSearchParams({ draft: response.data.draft._id }, { replace: true });
+      }
+      toast.success(hasMainFile || attachments.length > 0
+        ? 'Draft saved. Files are not kept in drafts, so add them again when you continue.'
+        : 'Draft saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save the draft');
     } finally {
-      setLoading(false);
+      setSavingDraft(false);
     }
   };
 
+  // Send the page photos in one request; the server combines them into a PDF
+  const uploadPhotos = async ({ allowDuplicate = false } = {}) => {
+    const uploadData = new FormData();
+    Object.entries(getMetadata()).forEach(([key, value]) => uploadData.append(key, value));
+    uploadData.append('grayscale', String(pageOptions.grayscale));
+    uploadData.append('autoRotate', String(pageOptions.autoRotate));
+    if (allowDuplicate) uploadData.append('allowDuplicate', 'true');
+    pages.forEach(page => uploadData.append('pages', page.file));
+
+    setUploadedBytes(0);
+    photosAbortRef.current = new AbortController();
+    try {
+      const response = await resourcesAPI.createFromPhotos(uploadData, {
+        signal: photosAbortRef.current.signal,
+        onUploadProgress: (event) => setUploadedBytes(Math.min(event.loaded, uploadSize))
+      });
+      return response.data.resource;
+    } finally {
+      photosAbortRef.current = null;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) return;
+
+    if (uploadMode === 'photos') {
+      await runUpload(uploadPhotos);
+      return;
+    }
+
+    uploadRef.current = createChunkedUpload({
+      file,
+      metadata: getMetadata(),
+      onProgress: (uploaded) => setUploadedBytes(uploaded),
+      onRetry: (attempt) => toast(`Connection problem, retrying chunk (attempt ${attempt + 1})...`)
+    });
+    setUploadedBytes(0);
+
+    await runUpload(uploadRef.current.start);
+  };
+
+  const handleUploadAnyway = () => {
+    setDuplicate(null);
+    if (uploadMode === 'photos') {
+      runUpload(() => uploadPhotos({ allowDuplicate: true }));
+    } else if (uploadRef.current) {
+      runUpload(() => uploadRef.current.complete({ allowDuplicate: true }));
+    }
+  };
+
+  const handlePause = () => {
+    if (uploadRef.current) uploadRef.current.pause();
+  };
+
+  const handleResume = () => {
+    if (uploadRef.current) runUpload(uploadRef.current.resume);
+  };
+
+  const handleCancelUpload = async () => {
+    if (photosAbortRef.current) photosAbortRef.current.abort();
+    if (uploadRef.current) await uploadRef.current.cancel();
+    uploadRef.current = null;
+    setUploadedBytes(0);
+    setDuplicate(null);
+    setUploadStatus('idle');
+  };
+
+  // Bytes sent for the main file: the file itself or all page photos
+  const uploadSize = uploadMode === 'photos'
+    ? pages.reduce((sum, page) => sum + page.file.size, 0)
+    : (file ? file.size : 0);
+  const hasMainFile = uploadMode === 'photos' ? pages.length > 0 : Boolean(file);
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -144,162 +496,509 @@ const Upload = () => {
         <p className="text-gray-600">
           Share your study materials with the community
         </p>
+        <Link
+          to="/upload/bulk"
+          className="inline-flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-700 mt-2"
+        >
+          <Archive className="w-4 h-4" />
+          <span>Uploading a whole set? Import a ZIP with a manifest</span>
+        </Link>
+        {draftId && (
+          <p className="flex items-center justify-center space-x-1 text-sm text-gray-500 mt-2">
+            <FileEdit className="w-4 h-4" />
+            <span>Continuing a saved draft. <Link to="/drafts" className="text-blue-600 hover:text-blue-700">All drafts</Link></span>
+          </p>
+        )}
       </div>
 
-      <form onSubmit={handleSubmit} className="space-y-6">
-        {/* Title Field */}
-        <div>
-          <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1">
-            Resource Title *
-          </label>
-          <input
-            id="title"
-            name="title"
-            type="text"
-            value={formData.title}
-            onChange={handleChange}
-            className={`input ${errors.title ? 'border-red-300 focus:ring-red-500' : ''}`}
-            placeholder="Enter a descriptive title for your resource"
-          />
-          {errors.title && (
-            <p className="mt-1 text-sm text-red-600 flex items-center">
-              <AlertCircle className="w-4 h-4 mr-1" />
-              {errors.title}
-            </p>
-          )}
-        </div>
-
-        {/* Description Field */}
-        <div>
-          <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
-            Description *
-          </label>
-          <textarea
-            id="description"
-            name="description"
-            rows={4}
-            value={formData.description}
-            onChange={handleChange}
-            className={`input ${errors.description ? 'border-red-300 focus:ring-red-500' : ''}`}
-            placeholder="Describe what this resource contains and how it can help students"
-          />
-          {errors.description && (
-            <p className="mt-1 text-sm text-red-600 flex items-center">
-              <AlertCircle className="w-4 h-4 mr-1" />
-              {errors.description}
-            </p>
-          )}
+      {/* Storage Quota */}
+      {storage && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-6">
+          <StorageUsage storage={storage} />
         </div>
+      )}
 
-        {/* Category and Section */}
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <fieldset disabled={uploadInProgress} className="space-y-6">
+          {/* Title Field */}
           <div>
-            <label htmlFor="examCategory" className="block text-sm font-medium text-gray-700 mb-1">
-              Exam Category *
+            <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1">
+              Resource Title *
             </label>
-            <select
-              id="examCategory"
-              name="examCategory"
-              value={formData.examCategory}
+            <input
+              id="title"
+              name="title"
+              type="text"
+              value={formData.title}
               onChange={handleChange}
-              className="input"
-            >
-              {examCategories.map(category => (
-                <option key={category} value={category}>{category}</option>
-              ))}
-            </select>
+              className={`input ${errors.title ? 'border-red-300 focus:ring-red-500' : ''}`}
+              placeholder="Enter a descriptive title for your resource"
+            />
+            {errors.title && (
+              <p className="mt-1 text-sm text-red-600 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {errors.title}
+              </p>
+            )}
           </div>
 
+          {/* Description Field */}
           <div>
-            <label htmlFor="section" className="block text-sm font-medium text-gray-700 mb-1">
-              Section *
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+              Description *
             </label>
-            <select
-              id="section"
-              name="section"
-              value={formData.section}
+            <textarea
+              id="description"
+              name="description"
+              rows={4}
+              value={formData.description}
               onChange={handleChange}
-              className="input"
-            >
-              {sections.map(section => (
-                <option key={section} value={section}>{section}</option>
-              ))}
-            </select>
+              className={`input ${errors.description ? 'border-red-300 focus:ring-red-500' : ''}`}
+              placeholder="Describe what this resource contains and how it can help students"
+            />
+            {errors.description && (
+              <p className="mt-1 text-sm text-red-600 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {errors.description}
+              </p>
+            )}
           </div>
-        </div>
 
-        {/* Tags Field */}
-        <div>
-          <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">
-            Tags (Optional)
-          </label>
-          <input
-            id="tags"
-            name="tags"
-            type="text"
-            value={formData.tags}
-            onChange={handleChange}
-            className="input"
-            placeholder="Enter tags separated by commas (e.g., mathematics, physics, formulas)"
-          />
-          <p className="mt-1 text-sm text-gray-500">
-            Add relevant tags to help others find your resource
-          </p>
-        </div>
+          {/* Category and Section */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="examCategory" className="block text-sm font-medium text-gray-700 mb-1">
+                Exam Category *
+              </label>
+              <select
+                id="examCategory"
+                name="examCategory"
+                value={formData.examCategory}
+                onChange={handleChange}
+                className="input"
+              >
+                {examCategories.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </div>
 
-        {/* File Upload */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            File Upload *
-          </label>
-          
-          {!file ? (
-            <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-gray-400 transition-colors">
-              <input
-                type="file"
-                id="file"
-                onChange={handleFileChange}
-                accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
-                className="hidden"
-              />
-              <label htmlFor="file" className="cursor-pointer">
-                <UploadIcon className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-                <p className="text-lg font-medium text-gray-900 mb-2">
-                  Click to upload or drag and drop
-                </p>
-                <p className="text-sm text-gray-500">
-                  PDF, DOC, DOCX, TXT, JPG, PNG (max 50MB)
-                </p>
+            <div>
+              <label htmlFor="section" className="block text-sm font-medium text-gray-700 mb-1">
+                Section *
               </label>
+              <select
+                id="section"
+                name="section"
+                value={formData.section}
+                onChange={handleChange}
+                className="input"
+              >
+                {sections.map(section => (
+                  <option key={section} value={section}>{section}</option>
+                ))}
+              </select>
             </div>
-          ) : (
-            <div className="border border-gray-200 rounded-lg p-4">
-              <div className="flex items-center justify-between">
-                <div className="flex items-center space-x-3">
-                  <FileText className="w-8 h-8 text-blue-500" />
-                  <div>
-                    <p className="text-sm font-medium text-gray-900">{file.name}</p>
-                    <p className="text-sm text-gray-500">{formatFileSize(file.size)}</p>
-                  </div>
+          </div>
+
+          {/* Syllabus Field */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Syllabus (Optional)
+            </label>
+            <div className="rounded-md border border-gray-300 p-2">
+              {formData.taxonomy && (
+                <div className="flex items-center justify-between px-1 pb-2 mb-2 border-b border-gray-200 text-sm">
+                  <span className="text-blue-700">
+                    {findPath(taxonomyTree, formData.taxonomy).map(node => node.name).join(' › ')}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, taxonomy: '' }))}
+                    className="text-gray-400 hover:text-gray-600"
+                    title="Clear"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
                 </div>
+              )}
+              <TaxonomyTree
+                tree={taxonomyTree}
+                selected={formData.taxonomy ? [formData.taxonomy] : []}
+                onSelect={(node) => setFormData(prev => ({
+                  ...prev,
+                  taxonomy: prev.taxonomy === node._id ? '' : node._id
+                }))}
+              />
+            </div>
+            <p className="mt-1 text-sm text-gray-500">
+              File it under the exam, paper, subject or topic it covers.
+            </p>
+          </div>
+
+          {/* Tags Field */}
+          <div>
+            <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">
+              Tags (Optional)
+            </label>
+            <TagPicker
+              id="tags"
+              value={formData.tags}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              placeholder="Type a tag and press Enter (e.g., mathematics, physics, formulas)"
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Add relevant tags to help others find your resource. Pick an existing tag where one fits.
+            </p>
+          </div>
+
+          {/* File Upload */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">
+                File Upload *
+              </label>
+              <div className="flex space-x-1 text-sm">
+                <button
+                  type="button"
+                  onClick={() => setUploadMode('file')}
+                  className={`px-3 py-1 rounded-md ${uploadMode === 'file' ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                >
+                  Single file
+                </button>
                 <button
                   type="button"
-                  onClick={removeFile}
-                  className="text-red-500 hover:text-red-700"
+                  onClick={() => setUploadMode('photos')}
+                  className={`px-3 py-1 rounded-md flex items-center space-x-1 ${uploadMode === 'photos' ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'}`}
                 >
-                  <X className="w-5 h-5" />
+                  <Camera className="w-4 h-4" />
+                  <span>Photos of pages</span>
                 </button>
               </div>
             </div>
-          )}
-          
-          {errors.file && (
-            <p className="mt-1 text-sm text-red-600 flex items-center">
-              <AlertCircle className="w-4 h-4 mr-1" />
-              {errors.file}
+            
+            {uploadMode === 'photos' ? (
+              <div className="space-y-3">
+                <p className="text-sm text-gray-500">
+                  Photographed your notes page by page? Add the photos in reading order and they are combined into one compressed PDF.
+                </p>
+
+                {pages.length > 0 && (
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    {pages.map((page, index) => (
+                      <div key={page.previewUrl} className="border border-gray-200 rounded-lg p-2">
+                        <img
+                          src={page.previewUrl}
+                          alt={`Page ${index + 1}`}
+                          className="w-full h-32 object-cover rounded"
+                        />
+                        <div className="flex items-center justify-between mt-2">
+                          <span className="text-xs font-medium text-gray-700">Page {index + 1}</span>
+                          <div className="flex items-center">
+                            <button
+                              type="button"
+                              onClick={() => movePage(index, -1)}
+                              disabled={index === 0}
+                              className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                              title="Move earlier"
+                            >
+                              <ChevronUp className="w-4 h-4" />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => movePage(index, 1)}
+                              disabled={index === pages.length - 1}
+                              className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                              title="Move later"
+                            >
+                              <ChevronDown className="w-4 h-4" />
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => removePage(index)}
+                              className="p-1 text-red-500 hover:text-red-700"
+                              title="Remove"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {pages.length < maxPages && (
+                  <label className="btn btn-outline btn-sm inline-flex items-center space-x-2 cursor-pointer">
+                    <Plus className="w-4 h-4" />
+                    <span>{pages.length > 0 ? 'Add More Pages' : 'Add Page Photos'}</span>
+                    <input
+                      type="file"
+                      multiple
+                      onChange={handlePagesChange}
+                      accept=".jpg,.jpeg,.png"
+                      className="hidden"
+                    />
+                  </label>
+                )}
+
+                <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm text-gray-700">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={pageOptions.autoRotate}
+                      onChange={(e) => setPageOptions(prev => ({ ...prev, autoRotate: e.target.checked }))}
+                    />
+                    <span>Turn pages upright automatically</span>
+                  </label>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={pageOptions.grayscale}
+                      onChange={(e) => setPageOptions(prev => ({ ...prev, grayscale: e.target.checked }))}
+                    />
+                    <span>Grayscale (smaller file)</span>
+                  </label>
+                </div>
+              </div>
+            ) : !file ? (
+              <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-gray-400 transition-colors">
+                <input
+                  type="file"
+                  id="file"
+                  onChange={handleFileChange}
+                  accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
+                  className="hidden"
+                />
+                <label htmlFor="file" className="cursor-pointer">
+                  <UploadIcon className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                  <p className="text-lg font-medium text-gray-900 mb-2">
+                    Click to upload or drag and drop
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    PDF, DOC, DOCX, TXT, JPG, PNG (max 50MB)
+                  </p>
+                </label>
+              </div>
+            ) : (
+              <div className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    <FileText className="w-8 h-8 text-blue-500" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{file.name}</p>
+                      <p className="text-sm text-gray-500">{formatFileSize(file.size)}</p>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={removeFile}
+                    className="text-red-500 hover:text-red-700"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                </div>
+              </div>
+            )}
+            
+            {errors.file && (
+              <p className="mt-1 text-sm text-red-600 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {errors.file}
+              </p>
+            )}
+
+            {hasMainFile && attachments.length > 0 && (
+              <input
+                type="text"
+                value={fileLabel}
+                onChange={(e) => setFileLabel(e.target.value)}
+                maxLength={100}
+                className="input mt-2"
+                placeholder="Label for this file (optional, e.g. Question paper)"
+              />
+            )}
+          </div>
+
+          {/* Additional Files */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Additional Files (Optional)
+            </label>
+            <p className="text-sm text-gray-500 mb-2">
+              Add an answer key, solutions or further chapters. Files are listed in this order and can be downloaded together as a ZIP.
             </p>
-          )}
-        </div>
+
+            {attachments.length > 0 && (
+              <div className="space-y-2 mb-2">
+                {attachments.map((attachment, index) => (
+                  <div key={`${attachment.file.name}-${index}`} className="border border-gray-200 rounded-lg p-3">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-3 min-w-0">
+                        <FileText className="w-6 h-6 text-blue-500 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900 truncate">{attachment.file.name}</p>
+                          <p className="text-sm text-gray-500">{formatFileSize(attachment.file.size)}</p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-1 ml-2">
+                        <button
+                          type="button"
+                          onClick={() => moveAttachment(index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ChevronUp className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveAttachment(index, 1)}
+                          disabled={index === attachments.length - 1}
+                          className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ChevronDown className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeAttachment(index)}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          title="Remove"
+                        >
+                          <X className="w-5 h-5" />
+                        </button>
+                      </div>
+                    </div>
+                    <input
+                      type="text"
+                      value={attachment.label}
+                      onChange={(e) => updateAttachmentLabel(index, e.target.value)}
+                      maxLength={100}
+                      className="input mt-2"
+                      placeholder="Label (optional, e.g. Answer key, Chapter 2)"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {attachments.length < maxAttachments && (
+              <label className="btn btn-outline btn-sm inline-flex items-center space-x-2 cursor-pointer">
+                <Plus className="w-4 h-4" />
+                <span>Add Files</span>
+                <input
+                  type="file"
+                  multiple
+                  onChange={handleAttachmentsChange}
+                  accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png"
+                  className="hidden"
+                />
+              </label>
+            )}
+
+            {errors.attachments && (
+              <p className="mt-1 text-sm text-red-600 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {errors.attachments}
+              </p>
+            )}
+          </div>
+
+          {/* Attribution */}
+          <label className="flex items-start space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={watermarkDownloads}
+              onChange={(e) => setWatermarkDownloads(e.target.checked)}
+              className="mt-0.5"
+            />
+            <span>
+              Credit me on downloaded PDFs
+              <span className="block text-gray-500">
+                Adds a small footer with your name and a link back to this resource to every page. Your uploaded file stays unchanged.
+              </span>
+            </span>
+          </label>
+
+          {/* Scheduled Publishing */}
+          <div>
+            <label className="flex items-start space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={publishLater}
+                onChange={(e) => setPublishLater(e.target.checked)}
+                className="mt-0.5"
+              />
+              <span>
+                Publish later
+                <span className="block text-gray-500">
+                  Only you can see the resource until then, e.g. to release answer keys after an exam.
+                </span>
+              </span>
+            </label>
+            {publishLater && (
+              <input
+                type="datetime-local"
+                value={publishAt}
+                min={toDateTimeInput(new Date())}
+                onChange={(e) => setPublishAt(e.target.value)}
+                className={`input mt-2 ${errors.publishAt ? 'border-red-300 focus:ring-red-500' : ''}`}
+              />
+            )}
+            {publishLater && errors.publishAt && (
+              <p className="mt-1 text-sm text-red-600 flex items-center">
+                <AlertCircle className="w-4 h-4 mr-1" />
+                {errors.publishAt}
+              </p>
+            )}
+          </div>
+
+        </fieldset>
+
+        {/* Upload Progress */}
+        {uploadInProgress && hasMainFile && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span className="font-medium text-gray-900">
+                {uploadStatus === 'uploading' && 'Uploading...'}
+                {uploadStatus === 'paused' && 'Upload paused'}
+                {uploadStatus === 'failed' && 'Upload interrupted'}
+                {uploadStatus === 'duplicate' && 'Upload finished'}
+              </span>
+              <span className="text-gray-500">
+                {formatFileSize(uploadedBytes)} / {formatFileSize(uploadSize)}
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`h-2 rounded-full ${uploadStatus === 'failed' ? 'bg-red-500' : 'bg-blue-600'}`}
+                style={{ width: `${Math.round((uploadedBytes / uploadSize) * 100)}%` }}
+              ></div>
+            </div>
+          </div>
+        )}
+
+        {/* Duplicate Warning */}
+        {duplicate && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+            <div className="flex items-start space-x-3">
+              <Copy className="w-5 h-5 text-yellow-600 mt-0.5" />
+              <div className="text-sm">
+                <p className="font-medium text-yellow-900">{duplicate.message}</p>
+                {duplicate.resource && (
+                  <p className="text-yellow-800 mt-1">
+                    Existing resource:{' '}
+                    <Link to={`/resource/${duplicate.resource._id}`} className="underline font-medium">
+                      {duplicate.resource.title}
+                    </Link>
+                    {duplicate.resource.uploadedBy && ` by ${duplicate.resource.uploadedBy.name}`}
+                  </p>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
 
         {/* Guidelines */}
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
@@ -310,34 +1009,79 @@ const Upload = () => {
             <li>• Only upload materials you have the right to share</li>
             <li>• File size must be less than 50MB</li>
             <li>• Supported formats: PDF, DOC, DOCX, TXT, JPG, PNG</li>
+            <li>• Photos of up to 50 pages can be combined into one PDF</li>
           </ul>
         </div>
 
         {/* Submit Buttons */}
-        <div className="flex space-x-4">
-          <button
-            type="button"
-            onClick={() => navigate('/dashboard')}
-            className="flex-1 btn btn-outline"
-            disabled={loading}
-          >
-            Cancel
-          </button>
-          <button
-            type="submit"
-            className="flex-1 btn btn-primary"
-            disabled={loading}
-          >
-            {loading ? (
-              <div className="flex items-center justify-center space-x-2">
-                <div className="loading-spinner w-4 h-4"></div>
-                <span>Uploading...</span>
-              </div>
+        {uploadStatus === 'idle' ? (
+          <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={() => navigate('/dashboard')}
+              className="flex-1 btn btn-outline"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSaveDraft}
+              disabled={savingDraft}
+              className="flex-1 btn btn-secondary flex items-center justify-center space-x-2"
+            >
+              <Save className="w-4 h-4" />
+              <span>{savingDraft ? 'Saving...' : 'Save Draft'}</span>
+            </button>
+            <button
+              type="submit"
+              className="flex-1 btn btn-primary"
+            >
+              {publishLater ? 'Upload and Schedule' : 'Upload Resource'}
+            </button>
+          </div>
+        ) : (
+          <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={handleCancelUpload}
+              className="flex-1 btn btn-outline"
+            >
+              Cancel Upload
+            </button>
+            {uploadStatus === 'duplicate' ? (
+              duplicate?.code === 'POSSIBLE_DUPLICATE' && (
+                <button
+                  type="button"
+                  onClick={handleUploadAnyway}
+                  className="flex-1 btn btn-primary"
+                >
+                  Upload Anyway
+                </button>
+              )
+            ) : isUploading ? (
+              // Page photos are sent in one request, which can't be paused
+              uploadMode === 'file' && (
+                <button
+                  type="button"
+                  onClick={handlePause}
+                  className="flex-1 btn btn-secondary flex items-center justify-center space-x-2"
+                >
+                  <Pause className="w-4 h-4" />
+                  <span>Pause</span>
+                </button>
+              )
             ) : (
-              'Upload Resource'
+              <button
+                type="button"
+                onClick={handleResume}
+                className="flex-1 btn btn-primary flex items-center justify-center space-x-2"
+              >
+                <Play className="w-4 h-4" />
+                <span>Resume Upload</span>
+              </button>
             )}
-          </button>
-        </div>
+          </div>
+        )}
       </form>
     </div>
   );
@@ -72,17 +72,90 @@ export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
   getMe: () => api.get('/auth/me'),
+  getStorage: () => api.get('/auth/storage'),
 };
 
 // Resources API calls
 export const resourcesAPI = {
   getAll: (params = {}) => api.get('/resources', { params }),
+  getFacets: (params = {}) => api.get('/resources/facets', { params }),
+  suggest: (q, config = {}) => api.get('/resources/suggest', { params: { q }, ...config }),
   getById: (id) => api.get(`/resources/${id}`),
   create: (formData) => api.post('/resources', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  createFromPhotos: (formData, config = {}) => api.post('/resources/photos', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 0,
+    ...config
+  }),
+  getFile: (id, params = {}, config = {}) => api.get(`/resources/${id}/file`, {
+    params,
+    responseType: 'arraybuffer',
+    timeout: 0,
+    ...config
+  }),
+  getHtml: (id, params = {}, config = {}) => api.get(`/resources/${id}/html`, {
+    params,
+    responseType: 'text',
+    timeout: 0,
+    ...config
+  }),
+  getDownloadUrl: (id, params = {}) => api.get(`/resources/${id}/download`, { params }),
+  downloadFile: (id, params = {}) => api.get(`/resources/${id}/download`, {
+    params: { ...params, stream: true },
+    responseType: 'blob',
+    timeout: 0
+  }),
+  getOcr: (id) => api.get(`/resources/${id}/ocr`),
+  updateOcr: (id, text) => api.put(`/resources/${id}/ocr`, { text }),
+  // Sent with the token, so owners and admins can zip resources that aren't public yet
+  downloadBundle: (id) => api.get(`/resources/${id}/download/zip`, { responseType: 'blob', timeout: 0 }),
+  bulkImport: (formData, params = {}) => api.post('/resources/bulk', formData, {
+    params,
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 0
+  }),
   update: (id, data) => api.put(`/resources/${id}`, data),
   delete: (id) => api.delete(`/resources/${id}`),
+  // Image URLs for <img> tags; the version parameter busts caches when previews are rebuilt
+  getThumbnailUrl: (resource) => `${api.defaults.baseURL}/resources/${resource._id}/thumbnail?v=${new Date(resource.preview.generatedAt).getTime()}`,
+  getPreviewUrl: (resource, page) => `${api.defaults.baseURL}/resources/${resource._id}/previews/${page}?v=${new Date(resource.preview.generatedAt).getTime()}`,
+};
+
+// Resource version API calls
+export const versionsAPI = {
+  getAll: (resourceId) => api.get(`/resources/${resourceId}/versions`),
+  getOne: (resourceId, version) => api.get(`/resources/${resourceId}/versions/${version}`),
+  upload: (resourceId, formData) => api.post(`/resources/${resourceId}/versions`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 300000
+  }),
+  revert: (resourceId, version) => api.post(`/resources/${resourceId}/versions/${version}/revert`),
+};
+
+// Additional files of a resource
+export const attachmentsAPI = {
+  add: (resourceId, formData) => api.post(`/resources/${resourceId}/attachments`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 300000
+  }),
+  update: (resourceId, attachments) => api.put(`/resources/${resourceId}/attachments`, { attachments }),
+  remove: (resourceId, attachmentId) => api.delete(`/resources/${resourceId}/attachments/${attachmentId}`),
+};
+
+// Resumable upload API calls
+export const uploadsAPI = {
+  start: (data) => api.post('/uploads', data),
+  getStatus: (id) => api.get(`/uploads/${id}`),
+  uploadChunk: (id, offset, chunk, config = {}) => api.put(`/uploads/${id}`, chunk, {
+    params: { offset },
+    headers: { 'Content-Type': 'application/octet-stream' },
+    timeout: 120000,
+    ...config
+  }),
+  complete: (id, data = {}) => api.post(`/uploads/${id}/complete`, data, { timeout: 300000 }),
+  cancel: (id) => api.delete(`/uploads/${id}`),
 };
 
 // Ratings API calls
@@ -95,6 +168,51 @@ export const ratingsAPI = {
   getStats: (resourceId) => api.get(`/ratings/stats/${resourceId}`),
 };
 
+// Trash API calls
+export const trashAPI = {
+  getAll: (params = {}) => api.get('/trash', { params }),
+  restore: (resourceId) => api.post(`/trash/${resourceId}/restore`),
+  purge: (resourceId) => api.delete(`/trash/${resourceId}`),
+};
+
+// Drafts API calls
+export const draftsAPI = {
+  getAll: () => api.get('/drafts'),
+  getById: (draftId) => api.get(`/drafts/${draftId}`),
+  create: (data) => api.post('/drafts', data),
+  update: (draftId, data) => api.put(`/drafts/${draftId}`, data),
+  delete: (draftId) => api.delete(`/drafts/${draftId}`),
+};
+
+// Tags API calls
+export const tagsAPI = {
+  getAll: (params = {}, config = {}) => api.get('/tags', { params, ...config }),
+};
+
+// Syllabus taxonomy API calls
+export const taxonomyAPI = {
+  getTree: () => api.get('/taxonomy'),
+  create: (data) => api.post('/taxonomy', data),
+  update: (nodeId, data) => api.put(`/taxonomy/${nodeId}`, data),
+  move: (nodeId, parent) => api.put(`/taxonomy/${nodeId}/move`, { parent }),
+  delete: (nodeId) => api.delete(`/taxonomy/${nodeId}`),
+};
+
+// Admin API calls
+export const adminAPI = {
+  getQuarantine: (params = {}) => api.get('/admin/quarantine', { params }),
+  rescan: (resourceId) => api.post(`/admin/resources/${resourceId}/rescan`),
+  release: (resourceId) => api.post(`/admin/resources/${resourceId}/release`),
+  getUsers: (params = {}) => api.get('/admin/users', { params }),
+  setQuota: (userId, quotaMB) => api.put(`/admin/users/${userId}/quota`, { quotaMB }),
+  recountStorage: () => api.post('/admin/recount-storage'),
+  purgeTrash: () => api.post('/admin/purge-trash'),
+  renameTag: (tagId, name) => api.put(`/admin/tags/${tagId}`, { name }),
+  setTagSynonyms: (tagId, synonyms) => api.put(`/admin/tags/${tagId}/synonyms`, { synonyms }),
+  mergeTags: (tagId, targetId) => api.post(`/admin/tags/${tagId}/merge`, { into: targetId }),
+  recountTags: () => api.post('/admin/recount-tags'),
+};
+
 // Health check
 export const healthCheck = () => api.get('/health');
 
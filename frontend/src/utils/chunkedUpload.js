@@ -0,0 +1,108 @@
+import { uploadsAPI } from './api';
+
+const MAX_RETRIES = 3;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Upload a file in chunks through the resumable upload API.
+// `start`/`resume` resolve with the created resource, or null when paused.
+export const createChunkedUpload = ({ file, metadata, onProgress, onRetry }) => {
+  let upload = null;
+  let paused = false;
+  let controller = null;
+
+  // Send one chunk, retrying network and server errors with backoff.
+  // Resolves with the next offset, or null if the upload was paused.
+  const sendChunk = async (offset) => {
+    const chunk = file.slice(offset, offset + upload.chunkSize);
+
+    for (let attempt = 1; ; attempt++) {
+      controller = new AbortController();
+      try {
+        const response = await uploadsAPI.uploadChunk(upload.uploadId, offset, chunk, {
+          signal: controller.signal
+        });
+        return response.data.offset;
+      } catch (error) {
+        if (paused) return null;
+
+        const status = error.response?.status;
+
+        // The server's progress differs from ours: continue from its offset
+        if (status === 409 && error.response.data.upload) {
+          return error.response.data.upload.offset;
+        }
+
+        if (attempt >= MAX_RETRIES || (status && status < 500)) {
+          throw error;
+        }
+
+        if (onRetry) onRetry(attempt);
+        await wait(1000 * 2 ** (attempt - 1));
+      }
+    }
+  };
+
+  const run = async () => {
+    paused = false;
+
+    if (upload) {
+      // Ask the server where to continue from
+      const response = await uploadsAPI.getStatus(upload.uploadId);
+      upload = response.data.upload;
+    } else {
+      const response = await uploadsAPI.start({
+        ...metadata,
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type
+      });
+      upload = response.data.upload;
+    }
+
+    let offset = upload.offset;
+    if (onProgress) onProgress(offset, file.size);
+
+    while (offset < file.size) {
+      if (paused) return null;
+
+      const nextOffset = await sendChunk(offset);
+      if (nextOffset === null) return null;
+
+      offset = nextOffset;
+      if (onProgress) onProgress(offset, file.size);
+    }
+
+    return complete();
+  };
+
+  // Create the resource from the uploaded file. Called again with
+  // { allowDuplicate: true } to keep a file flagged as a possible duplicate.
+  const complete = async (options = {}) => {
+    const response = await uploadsAPI.complete(upload.uploadId, options);
+    return response.data.resource;
+  };
+
+  const pause = () => {
+    paused = true;
+    if (controller) controller.abort();
+  };
+
+  const cancel = async () => {
+    pause();
+    if (upload) {
+      await uploadsAPI.cancel(upload.uploadId).catch(() => {});
+      upload = null;
+    }
+  };
+
+  return {
+    // Whether the server has a session for this upload yet
+    hasSession: () => upload !== null,
+    start: run,
+    resume: run,
+    complete,
+    pause,
+    cancel
+  };
+};
@@ -0,0 +1,54 @@
+import { resourcesAPI } from './api';
+
+const clickLink = (url, fileName, newTab = false) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.rel = 'noopener noreferrer';
+  if (newTab) link.target = '_blank';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
+
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  clickLink(url, fileName);
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+// Fetch a file the server only sends itself (e.g. a PDF stamped with the
+// uploader's credit) and save it from memory
+const saveStreamedFile = async (resourceId, params, fileName) => {
+  const response = await resourcesAPI.downloadFile(resourceId, params);
+  saveBlob(response.data, fileName);
+};
+
+// Ask the API for a short-lived signed link and start the download
+const startDownload = async (resourceId, params) => {
+  const response = await resourcesAPI.getDownloadUrl(resourceId, params);
+  const { url, fileName, expiresAt, stream } = response.data;
+
+  if (stream) {
+    return saveStreamedFile(resourceId, params, fileName);
+  }
+
+  // Signed links are served as attachments; older public links may open inline instead
+  clickLink(url, fileName, !expiresAt);
+};
+
+// Download the main file. Pass a version number to download an older revision.
+export const downloadResource = (resourceId, version) => {
+  return startDownload(resourceId, version ? { version } : {});
+};
+
+// Download one of the additional files of a resource
+export const downloadAttachment = (resourceId, attachmentId) => {
+  return startDownload(resourceId, { attachment: attachmentId });
+};
+
+// Download the main file and all additional files as one ZIP
+export const downloadBundle = async (resource) => {
+  const response = await resourcesAPI.downloadBundle(resource._id);
+  saveBlob(response.data, `${resource.title.replace(/[\\/:*?"<>|]/g, '-')}.zip`);
+};